@@ -106,6 +106,22 @@ export async function connectDB() {
   });
 }
 
+/**
+ * Add columns introduced after a table was first created
+ * @param {string} table - Table name
+ * @param {object} columns - Column name -> definition
+ */
+function addMissingColumns(table, columns) {
+  const result = db.exec(`PRAGMA table_info(${table})`);
+  const existing = new Set((result[0]?.values || []).map((row) => row[1]));
+
+  Object.entries(columns).forEach(([column, definition]) => {
+    if (!existing.has(column)) {
+      db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  });
+}
+
 /**
  * Run database migrations
  */
@@ -158,6 +174,124 @@ function runMigrations() {
       );
     `);
 
+    // Create seed pairs table (provably fair server/client seeds per user)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS seed_pairs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        server_seed TEXT NOT NULL,
+        server_seed_hash TEXT NOT NULL,
+        client_seed TEXT NOT NULL,
+        nonce INTEGER DEFAULT 0,
+        status TEXT DEFAULT 'active',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        revealed_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      );
+    `);
+
+    // Create hash chains table (pre-generated round hashes for crash and slide)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS hash_chains (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        game_type TEXT NOT NULL,
+        seed TEXT NOT NULL,
+        terminating_hash TEXT NOT NULL,
+        client_seed TEXT NOT NULL,
+        length INTEGER NOT NULL,
+        current_round INTEGER DEFAULT 0,
+        status TEXT DEFAULT 'active',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    // Create crash rounds table (one row per round, seeds kept for verification,
+    // bet totals filled in when the round is settled)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS crash_rounds (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        game_id TEXT UNIQUE NOT NULL,
+        chain_id INTEGER NOT NULL,
+        round_number INTEGER NOT NULL,
+        hash TEXT NOT NULL,
+        previous_hash TEXT NOT NULL,
+        client_seed TEXT NOT NULL,
+        crash_point REAL NOT NULL,
+        status TEXT DEFAULT 'starting',
+        player_count INTEGER DEFAULT 0,
+        winner_count INTEGER DEFAULT 0,
+        total_wagered REAL DEFAULT 0,
+        total_paid REAL DEFAULT 0,
+        duration_ms INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME,
+        ended_at DATETIME,
+        FOREIGN KEY (chain_id) REFERENCES hash_chains(id)
+      );
+    `);
+    addMissingColumns('crash_rounds', {
+      player_count: 'INTEGER DEFAULT 0',
+      winner_count: 'INTEGER DEFAULT 0',
+      total_wagered: 'REAL DEFAULT 0',
+      total_paid: 'REAL DEFAULT 0',
+      duration_ms: 'INTEGER',
+    });
+
+    // Create slide rounds table (one row per round, seeds and house edge kept for verification;
+    // rounds without a house edge predate the crash distribution and used the uniform one)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS slide_rounds (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        game_id TEXT UNIQUE NOT NULL,
+        chain_id INTEGER NOT NULL,
+        round_number INTEGER NOT NULL,
+        hash TEXT NOT NULL,
+        previous_hash TEXT NOT NULL,
+        client_seed TEXT NOT NULL,
+        house_edge REAL,
+        result REAL NOT NULL,
+        status TEXT DEFAULT 'betting',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME,
+        ended_at DATETIME,
+        FOREIGN KEY (chain_id) REFERENCES hash_chains(id)
+      );
+    `);
+    addMissingColumns('slide_rounds', {
+      house_edge: 'REAL',
+    });
+
+    // Create jackpots table (progressive pools)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS jackpots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        game_type TEXT UNIQUE NOT NULL,
+        amount REAL DEFAULT 0,
+        total_contributed REAL DEFAULT 0,
+        total_paid REAL DEFAULT 0,
+        wins INTEGER DEFAULT 0,
+        last_won_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    // Create jackpot entries table (ledger of each pool's contributions and wins)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS jackpot_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        jackpot_id INTEGER NOT NULL,
+        type TEXT NOT NULL,
+        user_id INTEGER NOT NULL,
+        game_id TEXT,
+        amount REAL NOT NULL,
+        pool REAL NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (jackpot_id) REFERENCES jackpots(id),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      );
+    `);
+
     // Create indexes
     db.run(`
       CREATE INDEX IF NOT EXISTS idx_users_public_key ON users(public_key);
@@ -167,6 +301,12 @@ function runMigrations() {
       CREATE INDEX IF NOT EXISTS idx_games_user_id ON games(user_id);
       CREATE INDEX IF NOT EXISTS idx_games_game_id ON games(game_id);
       CREATE INDEX IF NOT EXISTS idx_games_status ON games(status);
+      CREATE INDEX IF NOT EXISTS idx_seed_pairs_user_id ON seed_pairs(user_id);
+      CREATE INDEX IF NOT EXISTS idx_crash_rounds_game_id ON crash_rounds(game_id);
+      CREATE INDEX IF NOT EXISTS idx_crash_rounds_status ON crash_rounds(status);
+      CREATE INDEX IF NOT EXISTS idx_slide_rounds_game_id ON slide_rounds(game_id);
+      CREATE INDEX IF NOT EXISTS idx_jackpot_entries_jackpot_id ON jackpot_entries(jackpot_id);
+      CREATE INDEX IF NOT EXISTS idx_jackpot_entries_user_id ON jackpot_entries(user_id);
     `);
 
     // Save after migrations
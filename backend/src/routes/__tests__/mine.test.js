@@ -0,0 +1,50 @@
+import { useTestDB } from '../../test/testDb.js';
+import { useTestServer } from '../../test/testServer.js';
+
+useTestDB('mine-routes');
+
+const { getOne, run, transaction } = await import('../../utils/dbHelpers.js');
+const { minesService } = await import('../../services/minesService.js');
+const { default: mineRoutes } = await import('../mine.js');
+
+const PUBLIC_KEY = 'MINEROUTES'.padEnd(55, 'A');
+
+describe('POST /api/mine/bet', () => {
+  const request = useTestServer('/api/mine', () => mineRoutes);
+  const post = (body) => request('/bet', { publicKey: PUBLIC_KEY, ...body });
+  let userId;
+
+  const createGame = () => {
+    const { gameId, metadata } = transaction(() => minesService.createGame(userId, { mines: 3, amount: 1 }));
+    run('UPDATE users SET locked_balance = locked_balance + 1 WHERE id = ?', [userId]);
+    return { gameId, metadata };
+  };
+
+  beforeAll(() => {
+    run('INSERT INTO users (public_key, balance) VALUES (?, ?)', [PUBLIC_KEY, 10]);
+    userId = getOne('SELECT id FROM users WHERE public_key = ?', [PUBLIC_KEY]).id;
+  });
+
+  test('a point sent as a string is revealed once and counted as safe', async () => {
+    const { gameId, metadata } = createGame();
+    const safe = [...Array(25).keys()].find((point) => !metadata.mineAreas.includes(point));
+
+    const first = await post({ gameId, point: String(safe) });
+    expect(first.status).toBe(200);
+    expect(first.body).toMatchObject({ status: 'BET', point: safe, revealedAreas: [safe], safeRevealed: 1 });
+
+    const again = await post({ gameId, point: String(safe) });
+    expect(again.status).toBe(400);
+    expect(again.body.error).toBe('Point already revealed');
+  });
+
+  test('a mine sent as a string ends the game', async () => {
+    const { gameId, metadata } = createGame();
+
+    const { status, body } = await post({ gameId, point: String(metadata.mineAreas[0]) });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ status: 'END', mine: true, gameOver: true });
+    expect(getOne('SELECT status FROM games WHERE game_id = ?', [gameId]).status).toBe('lost');
+  });
+});
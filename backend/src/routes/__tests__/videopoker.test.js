@@ -0,0 +1,65 @@
+import { useTestDB } from '../../test/testDb.js';
+import { useTestServer } from '../../test/testServer.js';
+
+useTestDB('videopoker-routes');
+
+const { getOne, run } = await import('../../utils/dbHelpers.js');
+const { default: videoPokerRoutes } = await import('../videopoker.js');
+
+const PUBLIC_KEY = 'VIDEOPOKER'.padEnd(55, 'A');
+
+describe('video poker holds', () => {
+  const request = useTestServer('/api/video-poker', () => videoPokerRoutes);
+  const post = (path, body) => request(path, { publicKey: PUBLIC_KEY, ...body });
+
+  let deals = 0;
+  const deal = async () => {
+    const { body } = await post('/init', { betAmount: 1, txHash: `tx-${++deals}` });
+    return getOne('SELECT * FROM games WHERE game_id = ?', [body.gameId]);
+  };
+
+  test('holds sent as strings keep their cards', async () => {
+    const game = await deal();
+    const { hand } = JSON.parse(game.metadata);
+
+    const { status } = await post('/draw', { gameId: game.game_id, holdIndexes: ['4', '0', '2', '1', '3'] });
+
+    expect(status).toBe(200);
+    const metadata = JSON.parse(getOne('SELECT metadata FROM games WHERE id = ?', [game.id]).metadata);
+    expect(metadata.hand).toEqual(hand);
+    expect(metadata.holds).toEqual([4, 0, 2, 1, 3]);
+  });
+
+  test('holds outside the hand are rejected', async () => {
+    const game = await deal();
+
+    const { status } = await post('/draw', { gameId: game.game_id, holdIndexes: [5] });
+
+    expect(status).toBe(400);
+    expect(JSON.parse(getOne('SELECT metadata FROM games WHERE id = ?', [game.id]).metadata).holds).toEqual([]);
+  });
+
+  test('the strategy grades holds in any order', async () => {
+    const game = await deal();
+    const { hand } = JSON.parse(game.metadata);
+
+    const { status, body } = await post('/strategy', { hand, holds: ['3', 1, '0'] });
+
+    expect(status).toBe(200);
+    expect(body.played.holds).toEqual([0, 1, 3]);
+    expect(body.holds[body.played.rank - 1].holds).toEqual([0, 1, 3]);
+  });
+
+  test('a game saved with holds outside the hand cannot be graded', async () => {
+    const game = await deal();
+    const metadata = JSON.parse(game.metadata);
+    run('UPDATE games SET metadata = ? WHERE id = ?', [
+      JSON.stringify({ ...metadata, dealtHand: metadata.hand, holds: [7] }),
+      game.id,
+    ]);
+
+    const { status } = await post('/strategy', { gameId: game.game_id });
+
+    expect(status).toBe(400);
+  });
+});
@@ -0,0 +1,116 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { logger } from '../utils/logger.js';
+import { getOne, getAll } from '../utils/dbHelpers.js';
+import { crashRoundService } from '../services/crashRoundService.js';
+import { trenballService } from '../services/trenballService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/crash/games
+ * Get settled rounds, newest first, with stats over every settled round
+ * (crash point distribution and bet totals)
+ */
+router.get(
+  '/games',
+  [
+    query('skip').optional().isInt({ min: 0 }).withMessage('Skip must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array(),
+        });
+      }
+
+      const skip = parseInt(req.query.skip) || 0;
+      const limit = parseInt(req.query.limit) || 20;
+      const { games, total } = crashRoundService.getHistory({ skip, limit });
+
+      res.json({
+        success: true,
+        games,
+        total,
+        skip,
+        limit,
+        stats: crashRoundService.getStats(),
+      });
+    } catch (error) {
+      logger.error('Error fetching crash games:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/crash/game/:id
+ * Get a crash round for verification, with its bets and trenball side bets
+ * The round hash and crash point are withheld until the round is settled
+ */
+router.get('/game/:id', async (req, res, next) => {
+  try {
+    const round = getOne('SELECT * FROM crash_rounds WHERE game_id = ?', [req.params.id]);
+
+    if (!round) {
+      return res.status(404).json({
+        success: false,
+        error: 'Game not found',
+      });
+    }
+
+    const settled = round.status === 'settled';
+
+    // All bets placed in this round
+    const bets = getAll(
+      `SELECT g.*, u.public_key FROM games g
+       JOIN users u ON g.user_id = u.id
+       WHERE g.game_type = 'crash' AND json_extract(g.metadata, '$.roundId') = ?
+       ORDER BY g.created_at ASC`,
+      [round.game_id]
+    );
+
+    res.json({
+      success: true,
+      _id: round.game_id,
+      status: round.status,
+      privateSeed: settled ? round.hash : null,
+      privateHash: round.previous_hash,
+      publicSeed: round.client_seed,
+      nonce: round.round_number,
+      crashPoint: settled ? parseFloat(round.crash_point) : null,
+      players: bets.map((bet) => {
+        const metadata = JSON.parse(bet.metadata || '{}');
+        const betAmount = parseFloat(bet.bet_amount);
+        const winAmount = parseFloat(bet.win_amount || 0);
+        return {
+          playerID: bet.public_key,
+          betId: bet.game_id,
+          betAmount,
+          target: metadata.target,
+          stoppedAt: bet.status === 'completed' ? winAmount / betAmount : null,
+          winAmount,
+          cashouts: metadata.cashouts || [],
+          status: bet.status,
+          createdAt: bet.created_at,
+          completedAt: bet.completed_at,
+        };
+      }),
+      sideBets: trenballService.getRoundBets(round.game_id),
+      winningSides: settled ? trenballService.getWinningSides(parseFloat(round.crash_point)) : null,
+      createdAt: round.created_at,
+      startedAt: round.started_at,
+      endedAt: round.ended_at,
+    });
+  } catch (error) {
+    logger.error('Error fetching crash game:', error);
+    next(error);
+  }
+});
+
+export default router;
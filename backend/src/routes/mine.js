@@ -1,10 +1,33 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
 import { logger } from '../utils/logger.js';
-import { getOne, getAll, run, transaction } from '../utils/dbHelpers.js';
+import { normalizePublicKey } from '../utils/publicKey.js';
+import { getOne, run, transaction } from '../utils/dbHelpers.js';
+import { seedService } from '../services/seedService.js';
+import { minesService, MIN_BOARD_SIZE, MAX_BOARD_SIZE, DEFAULT_BOARD_SIZE } from '../services/minesService.js';
+import { mineAutobetService } from '../services/mineAutobetService.js';
 
 const router = express.Router();
 
+const MAX_TILES = MAX_BOARD_SIZE * MAX_BOARD_SIZE;
+
+// Board size validator shared by /create and /autobet
+const boardSizeValidator = body('size')
+  .optional()
+  .isInt({ min: MIN_BOARD_SIZE, max: MAX_BOARD_SIZE })
+  .withMessage(`Size must be between ${MIN_BOARD_SIZE} and ${MAX_BOARD_SIZE}`);
+
+// Mine count validator; the upper bound depends on the chosen board size
+const minesValidator = body('mines')
+  .isInt({ min: 1 })
+  .custom((mines, { req }) => {
+    const tiles = minesService.getTiles(parseInt(req.body.size) || DEFAULT_BOARD_SIZE);
+    if (parseInt(mines) >= tiles) {
+      throw new Error(`Mines must be between 1 and ${tiles - 1}`);
+    }
+    return true;
+  });
+
 /**
  * POST /api/mine/status
  * Check for active Mines game
@@ -12,7 +35,7 @@ const router = express.Router();
 router.post('/status', async (req, res, next) => {
   try {
     // Get public key from request (should be in body or headers)
-    const publicKey = req.body.publicKey || req.headers['x-public-key'];
+    const publicKey = normalizePublicKey(req.body.publicKey || req.headers['x-public-key']);
     
     if (!publicKey) {
       return res.status(400).json({
@@ -21,16 +44,8 @@ router.post('/status', async (req, res, next) => {
       });
     }
 
-    // Normalize public key (handle 60-character WalletConnect format)
-    let normalizedPublicKey = publicKey.trim();
-    if (normalizedPublicKey.length === 60) {
-      normalizedPublicKey = normalizedPublicKey.slice(-55);
-    } else if (normalizedPublicKey.length > 55) {
-      normalizedPublicKey = normalizedPublicKey.slice(-55);
-    }
-
     // Get user
-    const user = getOne('SELECT * FROM users WHERE public_key = ?', [normalizedPublicKey]);
+    const user = getOne('SELECT * FROM users WHERE public_key = ?', [publicKey]);
     
     if (!user) {
       return res.json({
@@ -54,16 +69,19 @@ router.post('/status', async (req, res, next) => {
       });
     }
 
-    // Parse game metadata
+    // Parse game metadata (mine positions stay on the server until the game ends)
     const metadata = JSON.parse(game.metadata || '{}');
-    const mineAreas = metadata.mineAreas || [];
     const mines = metadata.mines || 0;
 
     res.json({
       success: true,
-      datas: mineAreas,
+      datas: minesService.buildBoard(metadata, false),
+      serverSeedHash: metadata.serverSeedHash,
+      clientSeed: metadata.clientSeed,
+      nonce: metadata.nonce,
       amount: parseFloat(game.bet_amount),
       mines: mines,
+      size: minesService.getBoardSize(metadata),
       gameId: game.game_id,
     });
   } catch (error) {
@@ -72,6 +90,55 @@ router.post('/status', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/mine/payouts?mines=&size=
+ * Get the payout table for a mine count and board size
+ */
+router.get(
+  '/payouts',
+  [
+    query('size')
+      .optional()
+      .isInt({ min: MIN_BOARD_SIZE, max: MAX_BOARD_SIZE })
+      .withMessage(`Size must be between ${MIN_BOARD_SIZE} and ${MAX_BOARD_SIZE}`),
+    query('mines')
+      .isInt({ min: 1 })
+      .custom((mines, { req }) => {
+        const tiles = minesService.getTiles(parseInt(req.query.size) || DEFAULT_BOARD_SIZE);
+        if (parseInt(mines) >= tiles) {
+          throw new Error(`Mines must be between 1 and ${tiles - 1}`);
+        }
+        return true;
+      }),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array(),
+        });
+      }
+
+      const mines = parseInt(req.query.mines);
+      const size = parseInt(req.query.size) || DEFAULT_BOARD_SIZE;
+
+      res.json({
+        success: true,
+        mines,
+        size,
+        houseEdge: minesService.houseEdge,
+        payouts: minesService.getPayoutTable(mines, size),
+      });
+    } catch (error) {
+      logger.error('Error fetching Mines payouts:', error);
+      next(error);
+    }
+  }
+);
+
 /**
  * POST /api/mine/create
  * Create a new Mines game
@@ -79,7 +146,8 @@ router.post('/status', async (req, res, next) => {
 router.post(
   '/create',
   [
-    body('mines').isInt({ min: 1, max: 24 }).withMessage('Mines must be between 1 and 24'),
+    boardSizeValidator,
+    minesValidator,
     body('amount').isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
     body('txHash').isString().notEmpty().withMessage('Transaction hash is required'),
   ],
@@ -94,8 +162,10 @@ router.post(
         });
       }
 
-      const { mines, amount, txHash } = req.body;
-      const publicKey = req.body.publicKey || req.headers['x-public-key'];
+      const { amount, txHash } = req.body;
+      const mines = parseInt(req.body.mines);
+      const size = parseInt(req.body.size) || DEFAULT_BOARD_SIZE;
+      const publicKey = normalizePublicKey(req.body.publicKey || req.headers['x-public-key']);
 
       if (!publicKey) {
         return res.status(400).json({
@@ -104,70 +174,35 @@ router.post(
         });
       }
 
-      // Normalize public key
-      let normalizedPublicKey = publicKey.trim();
-      if (normalizedPublicKey.length === 60) {
-        normalizedPublicKey = normalizedPublicKey.slice(-55);
-      } else if (normalizedPublicKey.length > 55) {
-        normalizedPublicKey = normalizedPublicKey.slice(-55);
-      }
-
       // Get or create user
-      let user = getOne('SELECT * FROM users WHERE public_key = ?', [normalizedPublicKey]);
+      let user = getOne('SELECT * FROM users WHERE public_key = ?', [publicKey]);
       if (!user) {
-        run('INSERT INTO users (public_key, balance) VALUES (?, ?)', [normalizedPublicKey, 0]);
-        user = getOne('SELECT * FROM users WHERE public_key = ?', [normalizedPublicKey]);
+        run('INSERT INTO users (public_key, balance) VALUES (?, ?)', [publicKey, 0]);
+        user = getOne('SELECT * FROM users WHERE public_key = ?', [publicKey]);
       }
 
-      const userId = user.id;
-
-      // Generate game ID
-      const gameId = `mine-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+      if (mineAutobetService.getSession(user.id)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Stop autobet before starting a manual game',
+        });
+      }
 
       // Create game record
-      const result = transaction(() => {
-        run(
-          `INSERT INTO games (game_id, user_id, game_type, bet_amount, status, metadata)
-           VALUES (?, ?, ?, ?, ?, ?)`,
-          [
-            gameId,
-            userId,
-            'mines',
-            amount,
-            'active',
-            JSON.stringify({
-              mines: mines,
-              mineAreas: [],
-              revealedAreas: [],
-            }),
-          ]
-        );
-
-        // Record transaction
-        run(
-          `INSERT INTO transactions 
-           (user_id, type, game_type, amount, tx_hash, status, metadata)
-           VALUES (?, ?, ?, ?, ?, ?, ?)`,
-          [
-            userId,
-            'bet',
-            'mines',
-            amount,
-            txHash,
-            'pending',
-            JSON.stringify({ gameId, mines }),
-          ]
-        );
-
-        return { gameId };
-      });
+      const result = transaction(() =>
+        minesService.createGame(user.id, { mines, size, amount, txHash })
+      );
 
       res.json({
         status: 'BET',
         gameId: result.gameId,
         _id: result.gameId, // For backward compatibility
         mines: mines,
+        size: size,
         amount: amount,
+        serverSeedHash: result.seeds.serverSeedHash,
+        clientSeed: result.seeds.clientSeed,
+        nonce: result.seeds.nonce,
       });
     } catch (error) {
       logger.error('Error creating Mines game:', error);
@@ -183,7 +218,7 @@ router.post(
 router.post(
   '/bet',
   [
-    body('point').isInt({ min: 0, max: 24 }).withMessage('Point must be between 0 and 24'),
+    body('point').isInt({ min: 0, max: MAX_TILES - 1 }).withMessage('Point is outside the board').toInt(),
     body('gameId').isString().notEmpty().withMessage('Game ID is required'),
   ],
   async (req, res, next) => {
@@ -198,7 +233,7 @@ router.post(
       }
 
       const { point, gameId } = req.body;
-      const publicKey = req.body.publicKey || req.headers['x-public-key'];
+      const publicKey = normalizePublicKey(req.body.publicKey || req.headers['x-public-key']);
 
       if (!publicKey) {
         return res.status(400).json({
@@ -207,16 +242,8 @@ router.post(
         });
       }
 
-      // Normalize public key
-      let normalizedPublicKey = publicKey.trim();
-      if (normalizedPublicKey.length === 60) {
-        normalizedPublicKey = normalizedPublicKey.slice(-55);
-      } else if (normalizedPublicKey.length > 55) {
-        normalizedPublicKey = normalizedPublicKey.slice(-55);
-      }
-
       // Get user
-      const user = getOne('SELECT * FROM users WHERE public_key = ?', [normalizedPublicKey]);
+      const user = getOne('SELECT * FROM users WHERE public_key = ?', [publicKey]);
       if (!user) {
         return res.status(404).json({
           success: false,
@@ -237,77 +264,61 @@ router.post(
         });
       }
 
-      // Parse metadata
-      const metadata = JSON.parse(game.metadata || '{}');
-      const mineAreas = metadata.mineAreas || [];
-      const revealedAreas = metadata.revealedAreas || [];
-      const mines = metadata.mines || 0;
+      const currentMetadata = JSON.parse(game.metadata || '{}');
+      const size = minesService.getBoardSize(currentMetadata);
 
-      // Check if point already revealed
-      if (revealedAreas.includes(point)) {
+      // Check the point is on this game's board
+      if (point >= minesService.getTiles(size)) {
         return res.status(400).json({
           success: false,
-          error: 'Point already revealed',
+          error: `Point must be between 0 and ${minesService.getTiles(size) - 1}`,
         });
       }
 
-      // Generate mine positions if not already set
-      if (mineAreas.length === 0) {
-        // Generate random mine positions
-        const allPoints = Array.from({ length: 25 }, (_, i) => i);
-        const shuffled = allPoints.sort(() => Math.random() - 0.5);
-        const minePositions = shuffled.slice(0, mines);
-        
-        metadata.mineAreas = minePositions;
-        metadata.revealedAreas = [];
+      // Check if point already revealed
+      if ((currentMetadata.revealedAreas || []).includes(point)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Point already revealed',
+        });
       }
 
-      // Check if point is a mine
-      const isMine = metadata.mineAreas.includes(point);
-      const newRevealedAreas = [...revealedAreas, point];
-
-      // Update game metadata
-      metadata.revealedAreas = newRevealedAreas;
-
-      // Update game record
-      run(
-        `UPDATE games SET metadata = ? WHERE id = ?`,
-        [JSON.stringify(metadata), game.id]
-      );
+      // Reveal the tile (a mine ends the game as lost)
+      const { isMine, metadata } = transaction(() => minesService.reveal(game, point));
 
-      // If it's a mine, game is over (lost)
       if (isMine) {
-        run(
-          `UPDATE games SET status = ?, completed_at = datetime('now') WHERE id = ?`,
-          ['lost', game.id]
-        );
-
-        // Unlock balance (user loses the bet)
-        const betAmount = parseFloat(game.bet_amount);
-        run(
-          `UPDATE users SET locked_balance = locked_balance - ? WHERE id = ?`,
-          [betAmount, user.id]
-        );
-
+        // Reveal the full board now that the game is over
         return res.json({
           success: true,
+          status: 'END',
           mine: true,
           gameOver: true,
+          mineAreas: metadata.mineAreas,
+          revealedAreas: metadata.revealedAreas,
+          datas: minesService.buildBoard(metadata, true),
+          // The server seed is revealed when the player rotates their seed pair
+          serverSeedHash: metadata.serverSeedHash,
+          clientSeed: metadata.clientSeed,
+          nonce: metadata.nonce,
+          lossAmount: parseFloat(game.bet_amount),
+          newBalance: parseFloat(getOne('SELECT balance FROM users WHERE id = ?', [user.id]).balance),
           message: 'Mine hit! Game over.',
         });
       }
 
       // Calculate win amount based on revealed safe areas
-      const safeRevealed = newRevealedAreas.filter(p => !metadata.mineAreas.includes(p)).length;
-      const totalSafe = 25 - mines;
-      const multiplier = safeRevealed > 0 ? (totalSafe / (totalSafe - safeRevealed + 1)) : 1;
+      const safeRevealed = minesService.countSafeRevealed(metadata);
+      const totalSafe = minesService.getTiles(size) - metadata.mines;
+      const multiplier = minesService.getMultiplier(metadata.mines, safeRevealed, size);
       const winAmount = parseFloat(game.bet_amount) * multiplier;
 
       res.json({
         success: true,
+        status: 'BET',
         mine: false,
         point: point,
-        revealedAreas: newRevealedAreas,
+        revealedAreas: metadata.revealedAreas,
+        datas: minesService.buildBoard(metadata, false),
         safeRevealed: safeRevealed,
         totalSafe: totalSafe,
         multiplier: multiplier,
@@ -342,7 +353,7 @@ router.post(
       }
 
       const { gameId } = req.body;
-      const publicKey = req.body.publicKey || req.headers['x-public-key'];
+      const publicKey = normalizePublicKey(req.body.publicKey || req.headers['x-public-key']);
 
       if (!publicKey) {
         return res.status(400).json({
@@ -351,16 +362,8 @@ router.post(
         });
       }
 
-      // Normalize public key
-      let normalizedPublicKey = publicKey.trim();
-      if (normalizedPublicKey.length === 60) {
-        normalizedPublicKey = normalizedPublicKey.slice(-55);
-      } else if (normalizedPublicKey.length > 55) {
-        normalizedPublicKey = normalizedPublicKey.slice(-55);
-      }
-
       // Get user
-      const user = getOne('SELECT * FROM users WHERE public_key = ?', [normalizedPublicKey]);
+      const user = getOne('SELECT * FROM users WHERE public_key = ?', [publicKey]);
       if (!user) {
         return res.status(404).json({
           success: false,
@@ -381,59 +384,10 @@ router.post(
         });
       }
 
-      // Parse metadata
-      const metadata = JSON.parse(game.metadata || '{}');
-      const revealedAreas = metadata.revealedAreas || [];
-      const mines = metadata.mines || 0;
-      const betAmount = parseFloat(game.bet_amount);
-
-      // Calculate win amount
-      const safeRevealed = revealedAreas.filter(p => !metadata.mineAreas.includes(p)).length;
-      const totalSafe = 25 - mines;
-      const multiplier = safeRevealed > 0 ? (totalSafe / (totalSafe - safeRevealed + 1)) : 1;
-      const winAmount = betAmount * multiplier;
-      const netWin = winAmount - betAmount;
-
       // Process cashout
-      const result = transaction(() => {
-        // Unlock bet amount and add winnings
-        run(
-          `UPDATE users 
-           SET locked_balance = locked_balance - ?,
-               balance = balance - ? + ?
-           WHERE id = ?`,
-          [betAmount, betAmount, winAmount, user.id]
-        );
-
-        // Update game status
-        run(
-          `UPDATE games 
-           SET status = ?, win_amount = ?, completed_at = datetime('now')
-           WHERE id = ?`,
-          ['completed', winAmount, game.id]
-        );
-
-        // Create cashout transaction
-        run(
-          `INSERT INTO transactions 
-           (user_id, type, game_type, amount, win_amount, status, metadata)
-           VALUES (?, ?, ?, ?, ?, ?, ?)`,
-          [
-            user.id,
-            'cashout',
-            'mines',
-            betAmount,
-            winAmount,
-            'completed',
-            JSON.stringify({ gameId, multiplier, safeRevealed }),
-          ]
-        );
-
-        // Get updated balance
-        const updatedUser = getOne('SELECT * FROM users WHERE id = ?', [user.id]);
-
-        return { updatedUser };
-      });
+      const result = transaction(() => minesService.cashout(game));
+      const { winAmount, multiplier, safeRevealed, metadata } = result;
+      const netWin = winAmount - parseFloat(game.bet_amount);
 
       res.json({
         success: true,
@@ -442,6 +396,9 @@ router.post(
         newBalance: parseFloat(result.updatedUser.balance),
         multiplier: multiplier,
         safeRevealed: safeRevealed,
+        status: 'END',
+        mineAreas: metadata.mineAreas,
+        datas: minesService.buildBoard(metadata, true),
         message: 'Cashout processed successfully',
       });
     } catch (error) {
@@ -451,16 +408,119 @@ router.post(
   }
 );
 
+/**
+ * GET /api/mine/game/:id
+ * Get a Mines game for verification
+ * Mine positions are withheld while the game is active, and the server seed
+ * until the player rotates the seed pair that produced it
+ */
+router.get('/game/:id', async (req, res, next) => {
+  try {
+    const game = getOne(
+      `SELECT g.*, u.public_key FROM games g
+       JOIN users u ON g.user_id = u.id
+       WHERE g.game_id = ? AND g.game_type = 'mines'`,
+      [req.params.id]
+    );
+
+    if (!game) {
+      return res.status(404).json({
+        success: false,
+        error: 'Game not found',
+      });
+    }
+
+    const metadata = JSON.parse(game.metadata || '{}');
+    const settled = game.status !== 'active';
+    const seedPair = seedService.getSeedPair(metadata.seedPairId);
+
+    const betAmount = parseFloat(game.bet_amount);
+    const winAmount = parseFloat(game.win_amount || 0);
+
+    res.json({
+      success: true,
+      _id: game.game_id,
+      status: game.status,
+      privateSeed: settled && seedPair?.status === 'revealed' ? seedPair.server_seed : null,
+      privateHash: metadata.serverSeedHash,
+      publicSeed: metadata.clientSeed,
+      nonce: metadata.nonce,
+      mines: metadata.mines,
+      size: minesService.getBoardSize(metadata),
+      mineAreas: settled ? metadata.mineAreas : null,
+      revealedAreas: metadata.revealedAreas || [],
+      players: [
+        {
+          playerID: game.public_key,
+          betAmount,
+          stoppedAt: game.status === 'completed' ? winAmount / betAmount : null,
+          winAmount,
+          status: game.status,
+        },
+      ],
+      createdAt: game.created_at,
+      startedAt: game.created_at,
+      endedAt: game.completed_at,
+    });
+  } catch (error) {
+    logger.error('Error fetching Mines game:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/mine/autobet
+ * Get the user's running autobet session
+ */
+router.get('/autobet', async (req, res, next) => {
+  try {
+    const publicKey = normalizePublicKey(req.query.publicKey || req.headers['x-public-key']);
+
+    if (!publicKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'Public key is required',
+      });
+    }
+
+    const user = getOne('SELECT * FROM users WHERE public_key = ?', [publicKey]);
+    const session = user ? mineAutobetService.getSession(user.id) : null;
+
+    if (!session) {
+      return res.json({
+        success: false,
+        message: 'No autobet session running',
+      });
+    }
+
+    res.json({
+      success: true,
+      ...mineAutobetService.formatSession(session),
+    });
+  } catch (error) {
+    logger.error('Error fetching Mines autobet session:', error);
+    next(error);
+  }
+});
+
 /**
  * POST /api/mine/autobet
- * Auto-bet functionality for Mines game
+ * Start a server-run autobet session
+ * Rounds are funded from the available balance and streamed over the /mine socket
  */
 router.post(
   '/autobet',
   [
-    body('mines').isInt({ min: 1, max: 24 }).withMessage('Mines must be between 1 and 24'),
+    boardSizeValidator,
+    minesValidator,
+    body('points').isArray({ min: 1, max: MAX_TILES - 1 }).withMessage('Pick at least one tile'),
+    body('points.*').isInt({ min: 0, max: MAX_TILES - 1 }).withMessage('Point is outside the board'),
     body('amount').isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
-    body('count').optional().isInt({ min: 1 }).withMessage('Count must be a positive integer'),
+    body('count').optional().isInt({ min: 0 }).withMessage('Count must be a positive integer (0 for unlimited)'),
+    body('stopOnProfit').optional().isFloat({ min: 0 }).withMessage('Stop on profit must be a positive number'),
+    body('stopOnLoss').optional().isFloat({ min: 0 }).withMessage('Stop on loss must be a positive number'),
+    body('onWin').optional().isFloat({ min: 0 }).withMessage('On win must be a positive percentage'),
+    body('onLoss').optional().isFloat({ min: 0 }).withMessage('On loss must be a positive percentage'),
   ],
   async (req, res, next) => {
     try {
@@ -473,18 +533,128 @@ router.post(
         });
       }
 
-      // Auto-bet is mainly handled on the frontend
-      // This endpoint can be used to track auto-bet sessions
+      const mines = parseInt(req.body.mines);
+      const size = parseInt(req.body.size) || DEFAULT_BOARD_SIZE;
+      const tiles = minesService.getTiles(size);
+      const points = [...new Set(req.body.points.map((p) => parseInt(p)))];
+
+      if (points.some((point) => point >= tiles)) {
+        return res.status(400).json({
+          success: false,
+          error: `Points must be between 0 and ${tiles - 1}`,
+        });
+      }
+
+      if (points.length + mines > tiles) {
+        return res.status(400).json({
+          success: false,
+          error: 'Too many tiles picked for this mine count',
+        });
+      }
+
+      const publicKey = normalizePublicKey(req.body.publicKey || req.headers['x-public-key']);
+
+      if (!publicKey) {
+        return res.status(400).json({
+          success: false,
+          error: 'Public key is required',
+        });
+      }
+
+      const user = getOne('SELECT * FROM users WHERE public_key = ?', [publicKey]);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found',
+        });
+      }
+
+      if (mineAutobetService.getSession(user.id)) {
+        return res.status(409).json({
+          success: false,
+          error: 'An autobet session is already running',
+        });
+      }
+
+      const activeGame = getOne(
+        `SELECT id FROM games WHERE user_id = ? AND game_type = 'mines' AND status = 'active'`,
+        [user.id]
+      );
+      if (activeGame) {
+        return res.status(409).json({
+          success: false,
+          error: 'Finish your active game before starting autobet',
+        });
+      }
+
+      const amount = parseFloat(req.body.amount);
+      const availableBalance = parseFloat(user.balance) - parseFloat(user.locked_balance || 0);
+      if (availableBalance < amount) {
+        return res.status(400).json({
+          success: false,
+          error: 'Insufficient balance',
+          availableBalance,
+          required: amount,
+        });
+      }
+
+      const session = mineAutobetService.start(user, {
+        points,
+        mines,
+        size,
+        amount,
+        count: parseInt(req.body.count) || 0,
+        stopOnProfit: parseFloat(req.body.stopOnProfit) || 0,
+        stopOnLoss: parseFloat(req.body.stopOnLoss) || 0,
+        onWin: parseFloat(req.body.onWin) || 0,
+        onLoss: parseFloat(req.body.onLoss) || 0,
+      });
+
       res.json({
         success: true,
-        message: 'Auto-bet configuration received',
+        ...mineAutobetService.formatSession(session),
       });
     } catch (error) {
-      logger.error('Error processing Mines autobet:', error);
+      logger.error('Error starting Mines autobet:', error);
       next(error);
     }
   }
 );
 
+/**
+ * POST /api/mine/autobet/stop
+ * Stop the user's autobet session
+ */
+router.post('/autobet/stop', async (req, res, next) => {
+  try {
+    const publicKey = normalizePublicKey(req.body.publicKey || req.headers['x-public-key']);
+
+    if (!publicKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'Public key is required',
+      });
+    }
+
+    const user = getOne('SELECT * FROM users WHERE public_key = ?', [publicKey]);
+    const session = user ? mineAutobetService.stop(user.id) : null;
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'No autobet session running',
+      });
+    }
+
+    res.json({
+      success: true,
+      ...mineAutobetService.formatSession(session),
+    });
+  } catch (error) {
+    logger.error('Error stopping Mines autobet:', error);
+    next(error);
+  }
+});
+
 export default router;
 
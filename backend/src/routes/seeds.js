@@ -0,0 +1,245 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { logger } from '../utils/logger.js';
+import { normalizePublicKey } from '../utils/publicKey.js';
+import { getOne, getAll, run, transaction } from '../utils/dbHelpers.js';
+import { seedService } from '../services/seedService.js';
+import { hashChainService } from '../services/hashChainService.js';
+
+const router = express.Router();
+
+// Get or create user by public key
+function getOrCreateUser(publicKey) {
+  let user = getOne('SELECT * FROM users WHERE public_key = ?', [publicKey]);
+  if (!user) {
+    run('INSERT INTO users (public_key, balance) VALUES (?, ?)', [publicKey, 0]);
+    user = getOne('SELECT * FROM users WHERE public_key = ?', [publicKey]);
+  }
+  return user;
+}
+
+// Public view of an active seed pair (server seed withheld)
+function formatActiveSeedPair(seedPair) {
+  return {
+    serverSeedHash: seedPair.server_seed_hash,
+    clientSeed: seedPair.client_seed,
+    nonce: parseInt(seedPair.nonce) || 0,
+    createdAt: seedPair.created_at,
+  };
+}
+
+// Public view of a revealed seed pair and the games it produced
+function formatRevealedSeedPair(seedPair) {
+  return {
+    serverSeed: seedPair.server_seed,
+    serverSeedHash: seedPair.server_seed_hash,
+    clientSeed: seedPair.client_seed,
+    nonce: parseInt(seedPair.nonce) || 0,
+    createdAt: seedPair.created_at,
+    revealedAt: seedPair.revealed_at,
+    games: seedService.getGames(seedPair.id),
+  };
+}
+
+/**
+ * GET /api/seeds
+ * Get the active hashed server seed, client seed and nonce
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const publicKey = normalizePublicKey(req.query.publicKey || req.headers['x-public-key']);
+
+    if (!publicKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'Public key is required',
+      });
+    }
+
+    const user = getOrCreateUser(publicKey);
+    const seedPair = seedService.getActiveSeedPair(user.id);
+
+    res.json({
+      success: true,
+      ...formatActiveSeedPair(seedPair),
+    });
+  } catch (error) {
+    logger.error('Error fetching seed pair:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/seeds/client-seed
+ * Set a custom client seed on the active seed pair
+ */
+router.post(
+  '/client-seed',
+  [
+    body('clientSeed')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 64 })
+      .withMessage('Client seed must be between 1 and 64 characters'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array(),
+        });
+      }
+
+      const publicKey = normalizePublicKey(req.body.publicKey || req.headers['x-public-key']);
+
+      if (!publicKey) {
+        return res.status(400).json({
+          success: false,
+          error: 'Public key is required',
+        });
+      }
+
+      const user = getOrCreateUser(publicKey);
+      const seedPair = seedService.setClientSeed(user.id, req.body.clientSeed);
+
+      res.json({
+        success: true,
+        ...formatActiveSeedPair(seedPair),
+      });
+    } catch (error) {
+      logger.error('Error setting client seed:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/seeds/rotate
+ * Reveal the active seed pair and start a new one
+ */
+router.post(
+  '/rotate',
+  [
+    body('clientSeed')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 64 })
+      .withMessage('Client seed must be between 1 and 64 characters'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array(),
+        });
+      }
+
+      const publicKey = normalizePublicKey(req.body.publicKey || req.headers['x-public-key']);
+
+      if (!publicKey) {
+        return res.status(400).json({
+          success: false,
+          error: 'Public key is required',
+        });
+      }
+
+      const user = getOrCreateUser(publicKey);
+
+      // Revealing the server seed would expose the outcome of unfinished games
+      const current = seedService.getActiveSeedPair(user.id);
+      if (seedService.hasActiveGames(current.id)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Finish your active games before rotating seeds',
+        });
+      }
+
+      const result = transaction(() => seedService.rotate(user.id, req.body.clientSeed));
+
+      logger.info(`Seed pair rotated for user ${user.id}`);
+
+      res.json({
+        success: true,
+        previous: formatRevealedSeedPair(result.previous),
+        active: formatActiveSeedPair(result.active),
+      });
+    } catch (error) {
+      logger.error('Error rotating seed pair:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/seeds/history
+ * Get previously revealed seed pairs with the games they produced
+ */
+router.get('/history', async (req, res, next) => {
+  try {
+    const publicKey = normalizePublicKey(req.query.publicKey || req.headers['x-public-key']);
+
+    if (!publicKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'Public key is required',
+      });
+    }
+
+    const user = getOne('SELECT * FROM users WHERE public_key = ?', [publicKey]);
+
+    if (!user) {
+      return res.json({
+        success: true,
+        seeds: [],
+      });
+    }
+
+    const seedPairs = getAll(
+      `SELECT * FROM seed_pairs WHERE user_id = ? AND status = 'revealed'
+       ORDER BY revealed_at DESC LIMIT 50`,
+      [user.id]
+    );
+
+    res.json({
+      success: true,
+      seeds: seedPairs.map(formatRevealedSeedPair),
+    });
+  } catch (error) {
+    logger.error('Error fetching seed history:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/seeds/chain/:gameType
+ * Get the published terminating hash and salt of the crash or slide hash chain
+ */
+router.get('/chain/:gameType', async (req, res, next) => {
+  try {
+    const { gameType } = req.params;
+
+    if (!['crash', 'slide'].includes(gameType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid game type',
+      });
+    }
+
+    res.json({
+      success: true,
+      ...hashChainService.getInfo(gameType),
+    });
+  } catch (error) {
+    logger.error('Error fetching hash chain:', error);
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,112 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { logger } from '../utils/logger.js';
+import { getOne, getAll } from '../utils/dbHelpers.js';
+import { SLIDE_HOUSE_EDGE, SLIDE_MAX_MULTIPLIER, slideWinChance } from '../utils/provablyFair.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/slide/win-chance
+ * Get the theoretical chance that a round reaches a target: (1 - edge) / target
+ */
+router.get(
+  '/win-chance',
+  [
+    query('target')
+      .isFloat({ min: 1.01, max: SLIDE_MAX_MULTIPLIER })
+      .withMessage(`Target must be between 1.01 and ${SLIDE_MAX_MULTIPLIER}`),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array(),
+        });
+      }
+
+      const target = parseFloat(req.query.target);
+
+      res.json({
+        success: true,
+        target,
+        winChance: Math.round(slideWinChance(target) * 1000000) / 10000, // percent
+        payout: target,
+        houseEdge: SLIDE_HOUSE_EDGE,
+        maxMultiplier: SLIDE_MAX_MULTIPLIER,
+      });
+    } catch (error) {
+      logger.error('Error computing slide win chance:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/slide/game/:id
+ * Get a slide round for verification
+ * The round hash and result are withheld until the round is settled
+ */
+router.get('/game/:id', async (req, res, next) => {
+  try {
+    const round = getOne('SELECT * FROM slide_rounds WHERE game_id = ?', [req.params.id]);
+
+    if (!round) {
+      return res.status(404).json({
+        success: false,
+        error: 'Game not found',
+      });
+    }
+
+    const settled = round.status === 'settled';
+    const result = settled ? parseFloat(round.result) : null;
+
+    // All bets placed in this round
+    const bets = getAll(
+      `SELECT g.*, u.public_key FROM games g
+       JOIN users u ON g.user_id = u.id
+       WHERE g.game_type = 'slide' AND json_extract(g.metadata, '$.roundId') = ?
+       ORDER BY g.created_at ASC`,
+      [round.game_id]
+    );
+
+    res.json({
+      success: true,
+      _id: round.game_id,
+      status: round.status,
+      privateSeed: settled ? round.hash : null,
+      privateHash: round.previous_hash,
+      publicSeed: round.client_seed,
+      nonce: round.round_number,
+      // Rounds without a recorded edge predate the crash distribution and used the uniform one
+      houseEdge: round.house_edge,
+      distribution: round.house_edge === null ? 'uniform' : 'inverse',
+      resultpoint: result,
+      crashPoint: result, // For VerifyModal
+      players: bets.map((bet) => {
+        const metadata = JSON.parse(bet.metadata || '{}');
+        return {
+          playerID: bet.public_key,
+          betAmount: parseFloat(bet.bet_amount),
+          target: metadata.target,
+          stoppedAt: bet.status === 'completed' ? metadata.target : null,
+          winAmount: parseFloat(bet.win_amount || 0),
+          status: bet.status,
+          createdAt: bet.created_at,
+          completedAt: bet.completed_at,
+        };
+      }),
+      createdAt: round.created_at,
+      startedAt: round.started_at,
+      endedAt: round.ended_at,
+    });
+  } catch (error) {
+    logger.error('Error fetching slide game:', error);
+    next(error);
+  }
+});
+
+export default router;
@@ -143,6 +143,9 @@ router.get(
             averageBet: 0,
             biggestWin: 0,
             biggestLoss: 0,
+            jackpotWins: 0,
+            jackpotWon: 0,
+            jackpotContributed: 0,
           },
         });
       }
@@ -150,16 +153,21 @@ router.get(
       const userId = user.id;
 
       // Get statistics (SQLite doesn't support FILTER, using CASE instead)
+      // Jackpot wins are already part of their game's cashout and contributions part of the
+      // bet, so neither counts towards the wagered, won or lost totals; they are reported on their own
       const stats = getOne(
         `SELECT 
           COUNT(CASE WHEN type = 'bet' THEN 1 END) as total_bets,
           COUNT(CASE WHEN type = 'cashout' AND win_amount > amount THEN 1 END) as total_wins,
-          COUNT(CASE WHEN type = 'cashout' AND win_amount <= amount THEN 1 END) as total_losses,
+          COUNT(CASE WHEN type = 'loss' OR (type = 'cashout' AND win_amount <= amount) THEN 1 END) as total_losses,
           COALESCE(SUM(CASE WHEN type = 'bet' THEN amount END), 0) as total_wagered,
           COALESCE(SUM(CASE WHEN type = 'cashout' THEN win_amount END), 0) as total_won,
-          COALESCE(SUM(CASE WHEN type = 'cashout' AND win_amount <= amount THEN amount END), 0) as total_lost,
+          COALESCE(SUM(CASE WHEN type = 'loss' OR (type = 'cashout' AND win_amount <= amount) THEN amount END), 0) as total_lost,
           COALESCE(MAX(CASE WHEN type = 'cashout' THEN win_amount END), 0) as biggest_win,
-          COALESCE(MAX(CASE WHEN type = 'cashout' AND win_amount <= amount THEN amount END), 0) as biggest_loss
+          COALESCE(MAX(CASE WHEN type = 'loss' OR (type = 'cashout' AND win_amount <= amount) THEN amount END), 0) as biggest_loss,
+          COUNT(CASE WHEN type = 'jackpot_win' THEN 1 END) as jackpot_wins,
+          COALESCE(SUM(CASE WHEN type = 'jackpot_win' THEN win_amount END), 0) as jackpot_won,
+          COALESCE(SUM(CASE WHEN type = 'jackpot_contribution' THEN amount END), 0) as jackpot_contributed
         FROM transactions
         WHERE user_id = ?`,
         [userId]
@@ -173,6 +181,9 @@ router.get(
       const totalLost = parseFloat(stats.total_lost) || 0;
       const biggestWin = parseFloat(stats.biggest_win) || 0;
       const biggestLoss = parseFloat(stats.biggest_loss) || 0;
+      const jackpotWins = parseInt(stats.jackpot_wins) || 0;
+      const jackpotWon = parseFloat(stats.jackpot_won) || 0;
+      const jackpotContributed = parseFloat(stats.jackpot_contributed) || 0;
 
       const netProfit = totalWon - totalWagered;
       const winRate = totalBets > 0 ? (totalWins / totalBets) * 100 : 0;
@@ -192,6 +203,9 @@ router.get(
           averageBet: parseFloat(averageBet.toFixed(9)),
           biggestWin,
           biggestLoss,
+          jackpotWins,
+          jackpotWon,
+          jackpotContributed,
         },
       });
     } catch (error) {
@@ -1,47 +1,260 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
 import { logger } from '../utils/logger.js';
-import { getOne, run, transaction } from '../utils/dbHelpers.js';
+import { normalizePublicKey } from '../utils/publicKey.js';
+import { getOne, getAll, run, transaction } from '../utils/dbHelpers.js';
+import { seedService } from '../services/seedService.js';
+import { createDeck, shuffleDeck } from '../utils/cardEngine.js';
+import {
+  VARIANTS,
+  DEFAULT_VARIANT,
+  HAND_COUNTS,
+  getVariant,
+  evaluateHand,
+  completeHands,
+  dealDoubleUp,
+  resolveDoubleUp,
+} from '../utils/videoPoker.js';
+import { analyzeHolds } from '../utils/videoPokerStrategy.js';
+import { jackpotService, JACKPOT_ENTRY_TYPES } from '../services/jackpotService.js';
 
 const router = express.Router();
 
-// Utility functions for deck operations
-const SUITS = ['Hearts', 'Diamonds', 'Clubs', 'Spades'];
-const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+// Double-up rounds that can be won after a winning hand before it is paid out
+const MAX_DOUBLE_UPS = parseInt(process.env.VIDEO_POKER_MAX_DOUBLE_UPS) || 5;
 
-// Create a standard 52-card deck
-function createDeck() {
-  const deck = [];
-  for (const suit of SUITS) {
-    for (const rank of RANKS) {
-      deck.push({ rank, suit });
-    }
+/**
+ * Find the user and their active game (the one in `gameId`, otherwise the latest)
+ * @returns {{user: object|null, game: object|null}}
+ */
+function findActiveGame(req) {
+  const publicKey = normalizePublicKey(req.body.publicKey || req.headers['x-public-key']);
+  if (!publicKey) {
+    return { user: null, game: null };
+  }
+
+  const user = getOne('SELECT * FROM users WHERE public_key = ?', [publicKey]);
+  if (!user) {
+    return { user: null, game: null };
   }
-  return deck;
+
+  const game = req.body.gameId
+    ? getOne(
+        `SELECT * FROM games WHERE game_id = ? AND user_id = ? AND game_type = 'videopoker' AND status = 'active'`,
+        [req.body.gameId, user.id]
+      )
+    : getOne(
+        `SELECT * FROM games 
+         WHERE user_id = ? AND game_type = 'videopoker' AND status = 'active'
+         ORDER BY created_at DESC LIMIT 1`,
+        [user.id]
+      );
+
+  return { user, game };
 }
 
-// Shuffle deck using Fisher-Yates algorithm
-function shuffleDeck(deck) {
-  const shuffled = [...deck];
-  for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+/**
+ * Settle a game: pay `winAmount` through a cashout transaction, or close it as lost
+ * Must be called inside a transaction
+ * @param {object} game - games row
+ * @param {number} winAmount - Total paid (0 for a loss)
+ * @param {object} metadata - Final game metadata
+ * @param {object} cashoutMetadata - Extra cashout transaction metadata
+ */
+function settleGame(game, winAmount, metadata, cashoutMetadata = {}) {
+  const betAmount = parseFloat(game.bet_amount);
+
+  if (winAmount > 0) {
+    // Unlock bet amount and add winnings
+    run(
+      `UPDATE users 
+       SET locked_balance = locked_balance - ?,
+           balance = balance - ? + ?
+       WHERE id = ?`,
+      [betAmount, betAmount, winAmount, game.user_id]
+    );
+
+    // Update game status
+    run(
+      `UPDATE games 
+       SET status = ?, win_amount = ?, completed_at = datetime('now'), metadata = ?
+       WHERE id = ?`,
+      ['completed', winAmount, JSON.stringify(metadata), game.id]
+    );
+
+    // Create cashout transaction
+    run(
+      `INSERT INTO transactions 
+       (user_id, type, game_type, amount, win_amount, status, metadata)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        game.user_id,
+        'cashout',
+        'videopoker',
+        betAmount,
+        winAmount,
+        'completed',
+        JSON.stringify({ gameId: game.game_id, ...cashoutMetadata }),
+      ]
+    );
+  } else {
+    // Game lost - just unlock bet amount
+    run(
+      `UPDATE users 
+       SET locked_balance = locked_balance - ?
+       WHERE id = ?`,
+      [betAmount, game.user_id]
+    );
+
+    // Update game status
+    run(
+      `UPDATE games 
+       SET status = ?, completed_at = datetime('now'), metadata = ?
+       WHERE id = ?`,
+      ['lost', JSON.stringify(metadata), game.id]
+    );
   }
-  return shuffled;
 }
 
-// Generate a random seed for provably fair gaming
-function generateSeed() {
-  return Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+/**
+ * Settle the winnings a user left held for double-up
+ * Called before a new hand so a held win does not keep its game active forever
+ * Must be called inside a transaction
+ * @param {number} userId - User ID
+ * @returns {number} Total collected
+ */
+function collectHeldWins(userId) {
+  const games = getAll(
+    `SELECT * FROM games
+     WHERE user_id = ? AND game_type = 'videopoker' AND status = 'active'
+       AND json_extract(metadata, '$.doubleUp') IS NOT NULL`,
+    [userId]
+  );
+
+  return games.reduce((total, game) => {
+    const metadata = JSON.parse(game.metadata);
+    const { doubleUp } = metadata;
+    settleGame(game, doubleUp.amount, metadata, {
+      ...doubleUp.cashoutMetadata,
+      doubleUps: formatDoubleUp(doubleUp).doubles,
+    });
+    return total + doubleUp.amount;
+  }, 0);
 }
 
+/**
+ * Public view of a game's double-up state
+ * The face-down cards of a pending round stay hidden until the player picks
+ */
+function formatDoubleUp(doubleUp) {
+  const doubles = doubleUp.rounds.filter((round) => round.outcome === 'win').length;
+  return {
+    amount: doubleUp.amount,
+    handWin: doubleUp.handWin,
+    maxRounds: doubleUp.maxRounds,
+    doubles,
+    roundsLeft: doubleUp.maxRounds - doubles,
+    rounds: doubleUp.rounds,
+    pending: doubleUp.pending
+      ? {
+          round: doubleUp.pending.round,
+          stake: doubleUp.pending.stake,
+          dealerCard: doubleUp.pending.dealerCard,
+          serverSeedHash: doubleUp.pending.serverSeedHash,
+          clientSeed: doubleUp.pending.clientSeed,
+          nonce: doubleUp.pending.nonce,
+        }
+      : null,
+  };
+}
+
+/**
+ * GET /api/video-poker/variants
+ * Get the available variants and their paytables
+ */
+router.get('/variants', async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      defaultVariant: DEFAULT_VARIANT,
+      handCounts: HAND_COUNTS,
+      variants: Object.values(VARIANTS).map(({ id, name, jokers, wildRanks, paytable }) => ({
+        id,
+        name,
+        deckSize: 52 + jokers,
+        wildRanks,
+        paytable,
+      })),
+    });
+  } catch (error) {
+    logger.error('Error fetching Video Poker variants:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/video-poker/jackpot
+ * Get the progressive jackpot pool
+ */
+router.get('/jackpot', async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      jackpot: jackpotService.formatPool(jackpotService.getPool()),
+    });
+  } catch (error) {
+    logger.error('Error fetching Video Poker jackpot:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/video-poker/jackpot/history
+ * Get the pool's contributions and wins, newest first
+ */
+router.get(
+  '/jackpot/history',
+  [
+    query('type').optional().isIn(Object.values(JACKPOT_ENTRY_TYPES)).withMessage('Invalid type'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a positive integer'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array(),
+        });
+      }
+
+      const limit = parseInt(req.query.limit) || 50;
+      const offset = parseInt(req.query.offset) || 0;
+      const { history, total } = jackpotService.getHistory({ type: req.query.type, limit, offset });
+
+      res.json({
+        success: true,
+        history,
+        total,
+        limit,
+        offset,
+      });
+    } catch (error) {
+      logger.error('Error fetching Video Poker jackpot history:', error);
+      next(error);
+    }
+  }
+);
+
 /**
  * POST /api/video-poker/fetchgame
  * Fetch existing Video Poker game
  */
 router.post('/fetchgame', async (req, res, next) => {
   try {
-    const publicKey = req.body.publicKey || req.headers['x-public-key'];
+    const publicKey = normalizePublicKey(req.body.publicKey || req.headers['x-public-key']);
     
     if (!publicKey) {
       return res.json({
@@ -50,16 +263,8 @@ router.post('/fetchgame', async (req, res, next) => {
       });
     }
 
-    // Normalize public key
-    let normalizedPublicKey = publicKey.trim();
-    if (normalizedPublicKey.length === 60) {
-      normalizedPublicKey = normalizedPublicKey.slice(-55);
-    } else if (normalizedPublicKey.length > 55) {
-      normalizedPublicKey = normalizedPublicKey.slice(-55);
-    }
-
     // Get user
-    const user = getOne('SELECT * FROM users WHERE public_key = ?', [normalizedPublicKey]);
+    const user = getOne('SELECT * FROM users WHERE public_key = ?', [publicKey]);
     
     if (!user) {
       return res.json({
@@ -90,6 +295,12 @@ router.post('/fetchgame', async (req, res, next) => {
     res.json({
       success: true,
       hand: hand,
+      variant: metadata.variant || DEFAULT_VARIANT,
+      hands: metadata.hands || 1,
+      handBet: metadata.handBet || parseFloat(game.bet_amount),
+      // A drawn winning hand waiting on double-up
+      results: metadata.doubleUp ? metadata.results : undefined,
+      doubleUp: metadata.doubleUp ? formatDoubleUp(metadata.doubleUp) : null,
       gameId: game.game_id,
     });
   } catch (error) {
@@ -101,12 +312,15 @@ router.post('/fetchgame', async (req, res, next) => {
 /**
  * POST /api/video-poker/init
  * Initialize a new Video Poker game
+ * `betAmount` is staked on each of `hands` hands; the game's bet is the total
  */
 router.post(
   '/init',
   [
     body('betAmount').isFloat({ min: 0 }).withMessage('Bet amount must be a positive number'),
     body('txHash').isString().notEmpty().withMessage('Transaction hash is required'),
+    body('variant').optional().isIn(Object.keys(VARIANTS)).withMessage('Invalid variant'),
+    body('hands').optional().isIn(HAND_COUNTS).withMessage(`Hands must be one of ${HAND_COUNTS.join(', ')}`),
   ],
   async (req, res, next) => {
     try {
@@ -119,8 +333,12 @@ router.post(
         });
       }
 
-      const { betAmount, txHash } = req.body;
-      const publicKey = req.body.publicKey || req.headers['x-public-key'];
+      const { txHash } = req.body;
+      const variant = getVariant(req.body.variant || DEFAULT_VARIANT);
+      const hands = parseInt(req.body.hands) || 1;
+      const handBet = parseFloat(req.body.betAmount);
+      const betAmount = handBet * hands;
+      const publicKey = normalizePublicKey(req.body.publicKey || req.headers['x-public-key']);
 
       if (!publicKey) {
         return res.status(400).json({
@@ -129,40 +347,45 @@ router.post(
         });
       }
 
-      // Normalize public key
-      let normalizedPublicKey = publicKey.trim();
-      if (normalizedPublicKey.length === 60) {
-        normalizedPublicKey = normalizedPublicKey.slice(-55);
-      } else if (normalizedPublicKey.length > 55) {
-        normalizedPublicKey = normalizedPublicKey.slice(-55);
-      }
-
       // Get or create user
-      let user = getOne('SELECT * FROM users WHERE public_key = ?', [normalizedPublicKey]);
+      let user = getOne('SELECT * FROM users WHERE public_key = ?', [publicKey]);
       if (!user) {
-        run('INSERT INTO users (public_key, balance) VALUES (?, ?)', [normalizedPublicKey, 0]);
-        user = getOne('SELECT * FROM users WHERE public_key = ?', [normalizedPublicKey]);
+        run('INSERT INTO users (public_key, balance) VALUES (?, ?)', [publicKey, 0]);
+        user = getOne('SELECT * FROM users WHERE public_key = ?', [publicKey]);
       }
 
       const userId = user.id;
 
+      // A dealt double-up round has to be played out; its face-down cards are already set
+      const pendingDoubleUp = getOne(
+        `SELECT id FROM games
+         WHERE user_id = ? AND game_type = 'videopoker' AND status = 'active'
+           AND json_extract(metadata, '$.doubleUp.pending') IS NOT NULL`,
+        [userId]
+      );
+      if (pendingDoubleUp) {
+        return res.status(409).json({
+          success: false,
+          error: 'Pick a card to finish the double-up round',
+        });
+      }
+
       // Generate game ID
       const gameId = `videopoker-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
-      // Generate seeds for provably fair gaming
-      const privateSeed = generateSeed();
-      const publicSeed = generateSeed();
-      const privateSeedHash = Buffer.from(privateSeed).toString('base64').substring(0, 32);
-
-      // Create and shuffle deck
-      const deck = shuffleDeck(createDeck());
-      
-      // Deal initial 5 cards
-      const hand = deck.slice(0, 5);
-      const remainingDeck = deck.slice(5);
-
       // Create game record
       const result = transaction(() => {
+        // Winnings still held for double-up are collected with the new hand
+        const collected = collectHeldWins(userId);
+
+        // Consume a nonce from the user's seed pair and shuffle from it (provably fair)
+        const seeds = seedService.useNonce(userId);
+        const deck = shuffleDeck(createDeck(variant.jokers), seeds);
+
+        // Deal initial 5 cards
+        const hand = deck.slice(0, 5);
+        const remainingDeck = deck.slice(5);
+
         run(
           `INSERT INTO games (game_id, user_id, game_type, bet_amount, status, metadata)
            VALUES (?, ?, ?, ?, ?, ?)`,
@@ -176,9 +399,13 @@ router.post(
               hand: hand,
               remainingDeck: remainingDeck,
               holds: [],
-              privateSeed: privateSeed,
-              publicSeed: publicSeed,
-              privateSeedHash: privateSeedHash,
+              variant: variant.id,
+              hands: hands,
+              handBet: handBet,
+              seedPairId: seeds.seedPairId,
+              serverSeedHash: seeds.serverSeedHash,
+              clientSeed: seeds.clientSeed,
+              nonce: seeds.nonce,
             }),
           ]
         );
@@ -195,20 +422,34 @@ router.post(
             betAmount,
             txHash,
             'pending',
-            JSON.stringify({ gameId }),
+            JSON.stringify({ gameId, variant: variant.id, hands }),
           ]
         );
 
-        return { gameId };
+        // Every wager feeds the progressive jackpot
+        jackpotService.contribute(userId, gameId, betAmount);
+
+        return { gameId, hand, seeds, collected };
       });
 
+      // Push the pool only once the wager is committed
+      jackpotService.broadcastPool();
+
       res.json({
         success: true,
         gameId: result.gameId,
         _id: result.gameId, // For backward compatibility
-        hand: hand,
-        privateSeedHash: privateSeedHash,
-        publicSeed: publicSeed,
+        hand: result.hand,
+        variant: variant.id,
+        paytable: variant.paytable,
+        hands: hands,
+        handBet: handBet,
+        betAmount: betAmount,
+        privateSeedHash: result.seeds.serverSeedHash,
+        publicSeed: result.seeds.clientSeed,
+        nonce: result.seeds.nonce,
+        // Double-up winnings paid out with this hand
+        collected: result.collected,
       });
     } catch (error) {
       logger.error('Error initializing Video Poker game:', error);
@@ -220,12 +461,15 @@ router.post(
 /**
  * POST /api/video-poker/draw
  * Draw new cards (replace non-held cards)
+ * With `doubleUp` a win is held for the double-up gamble instead of being paid
  */
 router.post(
   '/draw',
   [
     body('holdIndexes').isArray().withMessage('Hold indexes must be an array'),
+    body('holdIndexes.*').isInt({ min: 0, max: 4 }).withMessage('Hold indexes must be between 0 and 4').toInt(),
     body('gameId').optional().isString().withMessage('Game ID must be a string'),
+    body('doubleUp').optional().isBoolean().withMessage('Double up must be a boolean'),
   ],
   async (req, res, next) => {
     try {
@@ -239,7 +483,7 @@ router.post(
       }
 
       const { holdIndexes = [] } = req.body;
-      const publicKey = req.body.publicKey || req.headers['x-public-key'];
+      const publicKey = normalizePublicKey(req.body.publicKey || req.headers['x-public-key']);
 
       if (!publicKey) {
         return res.status(400).json({
@@ -248,16 +492,8 @@ router.post(
         });
       }
 
-      // Normalize public key
-      let normalizedPublicKey = publicKey.trim();
-      if (normalizedPublicKey.length === 60) {
-        normalizedPublicKey = normalizedPublicKey.slice(-55);
-      } else if (normalizedPublicKey.length > 55) {
-        normalizedPublicKey = normalizedPublicKey.slice(-55);
-      }
-
       // Get user
-      const user = getOne('SELECT * FROM users WHERE public_key = ?', [normalizedPublicKey]);
+      const user = getOne('SELECT * FROM users WHERE public_key = ?', [publicKey]);
       if (!user) {
         return res.status(404).json({
           success: false,
@@ -269,8 +505,8 @@ router.post(
       let game;
       if (req.body.gameId) {
         game = getOne(
-          'SELECT * FROM games WHERE game_id = ? AND user_id = ? AND status = ?',
-          [req.body.gameId, user.id, 'active']
+          `SELECT * FROM games WHERE game_id = ? AND user_id = ? AND game_type = 'videopoker' AND status = 'active'`,
+          [req.body.gameId, user.id]
         );
       } else {
         game = getOne(
@@ -290,96 +526,106 @@ router.post(
 
       // Parse metadata
       const metadata = JSON.parse(game.metadata || '{}');
-      let hand = metadata.hand || [];
-      let remainingDeck = metadata.remainingDeck || [];
-
-      // Replace cards that are not held
-      const newHand = [...hand];
-      for (let i = 0; i < newHand.length; i++) {
-        if (!holdIndexes.includes(i)) {
-          // Draw a new card from remaining deck
-          if (remainingDeck.length > 0) {
-            newHand[i] = remainingDeck.shift();
-          }
-        }
+      if (metadata.doubleUp) {
+        return res.status(409).json({
+          success: false,
+          error: 'Hand already drawn; collect or double up the winnings',
+        });
       }
 
+      const hand = metadata.hand || [];
+      const remainingDeck = metadata.remainingDeck || [];
+      const hands = metadata.hands || 1;
+      const betAmount = parseFloat(game.bet_amount);
+      const handBet = metadata.handBet || betAmount;
+
+      // Hands after the first draw from their own reshuffle of the remaining deck,
+      // which needs the (still secret) server seed
+      const seedPair = hands > 1 ? seedService.getSeedPair(metadata.seedPairId) : null;
+      const seeds = {
+        serverSeed: seedPair?.server_seed,
+        clientSeed: metadata.clientSeed,
+        nonce: metadata.nonce,
+      };
+
+      // Replace cards that are not held, then evaluate and pay every hand separately
+      const variant = metadata.variant || DEFAULT_VARIANT;
+      const results = completeHands({ hand, remainingDeck, holds: holdIndexes, seeds, hands }).map((cards) => {
+        const { ranking, name, multiplier } = evaluateHand(cards, variant);
+        return {
+          hand: cards,
+          result: ranking,
+          resultName: name,
+          payout: multiplier,
+          winAmount: ranking ? handBet * multiplier : 0,
+        };
+      });
+
+      const newHand = results[0].hand;
+      let winAmount = results.reduce((sum, result) => sum + result.winAmount, 0);
+      // Total multiplier on the per-hand bet
+      const payout = results.reduce((sum, result) => sum + result.payout, 0);
+
+      // A royal flush at max bet wins the progressive jackpot instead of its fixed payout
+      // (once per game; further royals of a multi-hand game pay the paytable)
+      const jackpotResult =
+        handBet >= jackpotService.maxBet ? results.find((result) => result.result === 'royal_flush') : null;
+
       // Update game metadata
+      metadata.dealtHand = hand;
       metadata.hand = newHand;
-      metadata.remainingDeck = remainingDeck;
+      metadata.remainingDeck = remainingDeck.slice(hand.filter((_, i) => !holdIndexes.includes(i)).length);
       metadata.holds = holdIndexes;
+      metadata.results = results;
 
-      // Evaluate hand and calculate win
-      const { ranking, multiplier } = evaluateHand(newHand);
-      const betAmount = parseFloat(game.bet_amount);
-      const winAmount = ranking ? betAmount * multiplier : 0;
+      const cashoutMetadata = { variant, hands, ranking: results[0].result, multiplier: payout };
 
-      // Update game record
-      if (winAmount > 0) {
-        // Game won - process cashout
-        transaction(() => {
-          // Unlock bet amount and add winnings
-          run(
-            `UPDATE users 
-             SET locked_balance = locked_balance - ?,
-                 balance = balance - ? + ?
-             WHERE id = ?`,
-            [betAmount, betAmount, winAmount, user.id]
-          );
-
-          // Update game status
-          run(
-            `UPDATE games 
-             SET status = ?, win_amount = ?, completed_at = datetime('now'), metadata = ?
-             WHERE id = ?`,
-            ['completed', winAmount, JSON.stringify(metadata), game.id]
-          );
-
-          // Create cashout transaction
-          run(
-            `INSERT INTO transactions 
-             (user_id, type, game_type, amount, win_amount, status, metadata)
-             VALUES (?, ?, ?, ?, ?, ?, ?)`,
-            [
-              user.id,
-              'cashout',
-              'videopoker',
-              betAmount,
-              winAmount,
-              'completed',
-              JSON.stringify({ gameId: game.game_id, ranking, multiplier }),
-            ]
-          );
-        });
+      // A win can be held back for double-up (except a jackpot); otherwise every hand settles at once
+      if (winAmount > 0 && req.body.doubleUp && MAX_DOUBLE_UPS > 0 && !jackpotResult) {
+        metadata.doubleUp = {
+          amount: winAmount,
+          handWin: winAmount,
+          maxRounds: MAX_DOUBLE_UPS,
+          rounds: [],
+          pending: null,
+          cashoutMetadata,
+        };
+        run(`UPDATE games SET metadata = ? WHERE id = ?`, [JSON.stringify(metadata), game.id]);
       } else {
-        // Game lost - just unlock bet amount
         transaction(() => {
-          run(
-            `UPDATE users 
-             SET locked_balance = locked_balance - ?
-             WHERE id = ?`,
-            [betAmount, user.id]
-          );
-
-          // Update game status
-          run(
-            `UPDATE games 
-             SET status = ?, completed_at = datetime('now'), metadata = ?
-             WHERE id = ?`,
-            ['lost', JSON.stringify(metadata), game.id]
-          );
+          if (jackpotResult) {
+            const jackpotWin = jackpotService.payout(user.id, game.game_id, jackpotResult.winAmount);
+            winAmount += jackpotWin - jackpotResult.winAmount;
+            jackpotResult.winAmount = jackpotWin;
+            jackpotResult.jackpot = true;
+            cashoutMetadata.jackpot = jackpotWin;
+          }
+          settleGame(game, winAmount, metadata, cashoutMetadata);
         });
+
+        if (jackpotResult) {
+          jackpotService.announceWin(user.id, game.game_id, jackpotResult.winAmount);
+        }
       }
 
       // Return response in format expected by frontend
       res.json({
         success: true,
         hand: newHand,
-        result: ranking || '',
-        payout: multiplier || 0,
-        privateSeed: metadata.privateSeed || '',
+        result: results[0].result,
+        resultName: results[0].resultName,
+        variant: variant,
+        payout: payout,
+        results: results,
+        // The server seed stays secret until the player rotates their seed pair
+        privateSeed: '',
+        privateSeedHash: metadata.serverSeedHash || '',
+        publicSeed: metadata.clientSeed || '',
+        nonce: metadata.nonce,
         winAmount: winAmount,
-        gameOver: true,
+        jackpot: jackpotResult?.jackpot ? jackpotResult.winAmount : 0,
+        doubleUp: metadata.doubleUp ? formatDoubleUp(metadata.doubleUp) : null,
+        gameOver: !metadata.doubleUp,
       });
     } catch (error) {
       logger.error('Error drawing Video Poker cards:', error);
@@ -389,97 +635,407 @@ router.post(
 );
 
 /**
- * Evaluate poker hand and return ranking and multiplier
+ * POST /api/video-poker/double-up/deal
+ * Deal a double-up round: the dealer card is revealed, four cards are dealt face down
+ * Each round consumes its own nonce from the user's seed pair (provably fair)
  */
-function evaluateHand(hand) {
-  if (!hand || hand.length !== 5) {
-    return { ranking: '', multiplier: 0 };
-  }
+router.post(
+  '/double-up/deal',
+  [body('gameId').optional().isString().withMessage('Game ID must be a string')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array(),
+        });
+      }
 
-  // Count ranks and suits
-  const rankCounts = {};
-  const suitCounts = {};
-  
-  for (const card of hand) {
-    rankCounts[card.rank] = (rankCounts[card.rank] || 0) + 1;
-    suitCounts[card.suit] = (suitCounts[card.suit] || 0) + 1;
-  }
+      const { user, game } = findActiveGame(req);
+      if (!game) {
+        return res.status(404).json({
+          success: false,
+          error: 'Game not found or already completed',
+        });
+      }
 
-  const ranks = Object.keys(rankCounts);
-  const suits = Object.keys(suitCounts);
-  const counts = Object.values(rankCounts).sort((a, b) => b - a);
+      const metadata = JSON.parse(game.metadata || '{}');
+      const doubleUp = metadata.doubleUp;
+      if (!doubleUp) {
+        return res.status(409).json({
+          success: false,
+          error: 'No winnings to double up',
+        });
+      }
 
-  // Check for Royal Flush (A, K, Q, J, 10 of same suit)
-  if (suits.length === 1 && ranks.includes('A') && ranks.includes('K') && 
-      ranks.includes('Q') && ranks.includes('J') && ranks.includes('10')) {
-    return { ranking: 'royal_flush', multiplier: 800 };
-  }
+      // Dealing again before picking returns the same round
+      if (!doubleUp.pending) {
+        if (formatDoubleUp(doubleUp).roundsLeft <= 0) {
+          return res.status(409).json({
+            success: false,
+            error: 'No double-up rounds left',
+          });
+        }
 
-  // Check for Straight Flush
-  if (suits.length === 1 && isStraight(ranks)) {
-    return { ranking: 'straight_flush', multiplier: 60 };
-  }
+        transaction(() => {
+          const seeds = seedService.useNonce(user.id);
+          const { dealerCard, cards } = dealDoubleUp(seeds);
 
-  // Check for 4 of a Kind
-  if (counts[0] === 4) {
-    return { ranking: '4_of_a_kind', multiplier: 22 };
-  }
+          doubleUp.pending = {
+            round: doubleUp.rounds.length + 1,
+            stake: doubleUp.amount,
+            dealerCard,
+            cards,
+            seedPairId: seeds.seedPairId,
+            serverSeedHash: seeds.serverSeedHash,
+            clientSeed: seeds.clientSeed,
+            nonce: seeds.nonce,
+          };
 
-  // Check for Full House
-  if (counts[0] === 3 && counts[1] === 2) {
-    return { ranking: 'full_house', multiplier: 9 };
-  }
+          run(`UPDATE games SET metadata = ? WHERE id = ?`, [JSON.stringify(metadata), game.id]);
+        });
+      }
 
-  // Check for Flush
-  if (suits.length === 1) {
-    return { ranking: 'flush', multiplier: 6 };
+      res.json({
+        success: true,
+        gameId: game.game_id,
+        dealerCard: doubleUp.pending.dealerCard,
+        doubleUp: formatDoubleUp(doubleUp),
+      });
+    } catch (error) {
+      logger.error('Error dealing Video Poker double-up:', error);
+      next(error);
+    }
   }
+);
 
-  // Check for Straight
-  if (isStraight(ranks)) {
-    return { ranking: 'straight', multiplier: 4 };
-  }
+/**
+ * POST /api/video-poker/double-up/pick
+ * Pick one of the face-down cards: higher than the dealer card doubles the winnings,
+ * the same rank is a push and a lower card loses them
+ */
+router.post(
+  '/double-up/pick',
+  [
+    body('pick').isInt({ min: 0, max: 3 }).withMessage('Pick must be between 0 and 3'),
+    body('gameId').optional().isString().withMessage('Game ID must be a string'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array(),
+        });
+      }
 
-  // Check for 3 of a Kind
-  if (counts[0] === 3) {
-    return { ranking: '3_of_a_kind', multiplier: 3 };
-  }
+      const { game } = findActiveGame(req);
+      if (!game) {
+        return res.status(404).json({
+          success: false,
+          error: 'Game not found or already completed',
+        });
+      }
+
+      const metadata = JSON.parse(game.metadata || '{}');
+      const doubleUp = metadata.doubleUp;
+      if (!doubleUp?.pending) {
+        return res.status(409).json({
+          success: false,
+          error: 'No double-up round dealt',
+        });
+      }
+
+      const pick = parseInt(req.body.pick);
+      const { pending } = doubleUp;
+      const playerCard = pending.cards[pick];
+      const outcome = resolveDoubleUp(pending.dealerCard, playerCard);
+
+      if (outcome === 'win') {
+        doubleUp.amount = pending.stake * 2;
+      } else if (outcome === 'lose') {
+        doubleUp.amount = 0;
+      }
 
-  // Check for Pair of Jacks or Better
-  const pairRanks = ranks.filter(r => rankCounts[r] === 2);
-  if (pairRanks.length > 0) {
-    const highPair = pairRanks.find(r => ['J', 'Q', 'K', 'A'].includes(r));
-    if (highPair) {
-      return { ranking: 'pair', multiplier: 1 };
+      doubleUp.rounds.push({ ...pending, pick, playerCard, outcome, amount: doubleUp.amount });
+      doubleUp.pending = null;
+
+      // A loss ends the game; so does winning the last allowed round
+      const gameOver = outcome === 'lose' || formatDoubleUp(doubleUp).roundsLeft <= 0;
+
+      transaction(() => {
+        if (gameOver) {
+          settleGame(game, doubleUp.amount, metadata, {
+            ...doubleUp.cashoutMetadata,
+            doubleUps: formatDoubleUp(doubleUp).doubles,
+          });
+        } else {
+          run(`UPDATE games SET metadata = ? WHERE id = ?`, [JSON.stringify(metadata), game.id]);
+        }
+      });
+
+      res.json({
+        success: true,
+        gameId: game.game_id,
+        outcome,
+        dealerCard: pending.dealerCard,
+        playerCard,
+        cards: pending.cards,
+        amount: doubleUp.amount,
+        winAmount: gameOver ? doubleUp.amount : 0,
+        doubleUp: formatDoubleUp(doubleUp),
+        gameOver,
+      });
+    } catch (error) {
+      logger.error('Error picking Video Poker double-up card:', error);
+      next(error);
     }
   }
+);
 
-  return { ranking: '', multiplier: 0 };
-}
+/**
+ * POST /api/video-poker/double-up/collect
+ * Take the current winnings and settle the game
+ */
+router.post(
+  '/double-up/collect',
+  [body('gameId').optional().isString().withMessage('Game ID must be a string')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array(),
+        });
+      }
+
+      const { game } = findActiveGame(req);
+      if (!game) {
+        return res.status(404).json({
+          success: false,
+          error: 'Game not found or already completed',
+        });
+      }
+
+      const metadata = JSON.parse(game.metadata || '{}');
+      const doubleUp = metadata.doubleUp;
+      if (!doubleUp) {
+        return res.status(409).json({
+          success: false,
+          error: 'No winnings to collect',
+        });
+      }
+
+      // The dealer card is already showing, so the round has to be played out
+      if (doubleUp.pending) {
+        return res.status(409).json({
+          success: false,
+          error: 'Pick a card to finish the double-up round',
+        });
+      }
+
+      transaction(() =>
+        settleGame(game, doubleUp.amount, metadata, {
+          ...doubleUp.cashoutMetadata,
+          doubleUps: formatDoubleUp(doubleUp).doubles,
+        })
+      );
+
+      res.json({
+        success: true,
+        gameId: game.game_id,
+        winAmount: doubleUp.amount,
+        doubleUp: formatDoubleUp(doubleUp),
+        gameOver: true,
+      });
+    } catch (error) {
+      logger.error('Error collecting Video Poker winnings:', error);
+      next(error);
+    }
+  }
+);
 
 /**
- * Check if ranks form a straight
+ * POST /api/video-poker/strategy
+ * Expected value of all 32 holds of a dealt hand, best first
+ * Pass a `hand` (with optional `holds` to grade), or the `gameId` of one of
+ * the player's own games to grade the holds they made
  */
-function isStraight(ranks) {
-  const rankOrder = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
-  const sortedRanks = ranks.sort((a, b) => rankOrder.indexOf(a) - rankOrder.indexOf(b));
-  
-  // Check for regular straight
-  for (let i = 0; i < sortedRanks.length - 1; i++) {
-    const currentIdx = rankOrder.indexOf(sortedRanks[i]);
-    const nextIdx = rankOrder.indexOf(sortedRanks[i + 1]);
-    if (nextIdx !== currentIdx + 1) {
-      return false;
+router.post(
+  '/strategy',
+  [
+    body('hand').optional().isArray({ min: 5, max: 5 }).withMessage('Hand must have 5 cards'),
+    body('holds').optional().isArray({ max: 5 }).withMessage('Holds must be an array'),
+    body('holds.*').isInt({ min: 0, max: 4 }).withMessage('Hold indexes must be between 0 and 4').toInt(),
+    body('variant').optional().isIn(Object.keys(VARIANTS)).withMessage('Invalid variant'),
+    body('gameId').optional().isString().withMessage('Game ID must be a string'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array(),
+        });
+      }
+
+      let { hand, holds, variant = DEFAULT_VARIANT } = req.body;
+
+      if (req.body.gameId) {
+        // A game's hand is only shown to the player who dealt it
+        const publicKey = normalizePublicKey(req.body.publicKey || req.headers['x-public-key']);
+        if (!publicKey) {
+          return res.status(400).json({
+            success: false,
+            error: 'Public key is required',
+          });
+        }
+
+        const game = getOne(
+          `SELECT g.* FROM games g
+           JOIN users u ON g.user_id = u.id
+           WHERE g.game_id = ? AND g.game_type = 'videopoker' AND u.public_key = ?`,
+          [req.body.gameId, publicKey]
+        );
+        if (!game) {
+          return res.status(404).json({
+            success: false,
+            error: 'Game not found',
+          });
+        }
+
+        // Settled games are graded on the dealt hand and the holds that were made
+        const metadata = JSON.parse(game.metadata || '{}');
+        hand = metadata.dealtHand || metadata.hand;
+        holds = metadata.dealtHand ? metadata.holds : undefined;
+        variant = metadata.variant || DEFAULT_VARIANT;
+      }
+
+      const analysis = analyzeHolds(hand, variant);
+      if (!analysis) {
+        return res.status(400).json({
+          success: false,
+          error: 'A hand of 5 distinct cards from the variant deck is required',
+        });
+      }
+
+      // Grade the player's holds against the best ones
+      let played = null;
+      if (holds) {
+        // Holds saved by older games may be strings
+        const held = [...new Set(holds.map((i) => parseInt(i)))].sort((a, b) => a - b);
+        const rank = analysis.findIndex((entry) => entry.holds.join() === held.join());
+        if (rank === -1) {
+          return res.status(400).json({
+            success: false,
+            error: 'Hold indexes must be between 0 and 4',
+          });
+        }
+        const evLoss = analysis[0].ev - analysis[rank].ev;
+        played = {
+          holds: held,
+          ev: analysis[rank].ev,
+          rank: rank + 1,
+          evLoss,
+          mistake: evLoss > 1e-9,
+        };
+      }
+
+      res.json({
+        success: true,
+        variant,
+        hand,
+        best: analysis[0],
+        holds: analysis,
+        played,
+      });
+    } catch (error) {
+      logger.error('Error analyzing Video Poker holds:', error);
+      next(error);
     }
   }
-  
-  // Check for A-2-3-4-5 straight (wheel)
-  if (sortedRanks.join(',') === '2,3,4,5,A') {
-    return true;
+);
+
+/**
+ * GET /api/video-poker/game/:id
+ * Get a Video Poker game for verification
+ * The final hand is withheld while the game is active, and the server seed
+ * until the player rotates the seed pair that produced it
+ */
+router.get('/game/:id', async (req, res, next) => {
+  try {
+    const game = getOne(
+      `SELECT g.*, u.public_key FROM games g
+       JOIN users u ON g.user_id = u.id
+       WHERE g.game_id = ? AND g.game_type = 'videopoker'`,
+      [req.params.id]
+    );
+
+    if (!game) {
+      return res.status(404).json({
+        success: false,
+        error: 'Game not found',
+      });
+    }
+
+    const metadata = JSON.parse(game.metadata || '{}');
+    const settled = game.status !== 'active';
+    const seedPair = seedService.getSeedPair(metadata.seedPairId);
+    const variant = metadata.variant || DEFAULT_VARIANT;
+    const { ranking, name, multiplier } = settled ? evaluateHand(metadata.hand, variant) : {};
+    // Per-hand results (games played before multi-hand have none)
+    const results = settled ? metadata.results || null : null;
+
+    const betAmount = parseFloat(game.bet_amount);
+    const winAmount = parseFloat(game.win_amount || 0);
+
+    res.json({
+      success: true,
+      _id: game.game_id,
+      status: game.status,
+      privateSeed: settled && seedPair?.status === 'revealed' ? seedPair.server_seed : null,
+      privateHash: metadata.serverSeedHash,
+      publicSeed: metadata.clientSeed,
+      nonce: metadata.nonce,
+      variant: variant,
+      dealtHand: settled ? metadata.dealtHand : metadata.hand,
+      holds: settled ? metadata.holds : [],
+      hand: settled ? metadata.hand : null,
+      result: settled ? ranking || '' : null,
+      resultName: settled ? name || '' : null,
+      payout: settled
+        ? results
+          ? results.reduce((sum, result) => sum + result.payout, 0)
+          : multiplier || 0
+        : null,
+      hands: metadata.hands || 1,
+      results: results,
+      doubleUp: settled && metadata.doubleUp ? formatDoubleUp(metadata.doubleUp) : null,
+      players: [
+        {
+          playerID: game.public_key,
+          betAmount,
+          winAmount,
+          status: game.status,
+        },
+      ],
+      createdAt: game.created_at,
+      startedAt: game.created_at,
+      endedAt: game.completed_at,
+    });
+  } catch (error) {
+    logger.error('Error fetching Video Poker game:', error);
+    next(error);
   }
-  
-  return true;
-}
+});
 
 export default router;
 
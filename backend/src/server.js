@@ -8,6 +8,7 @@ import { Server } from 'socket.io';
 import { logger } from './utils/logger.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { connectDB } from './config/database.js';
+import { preparePayoutTables } from './utils/videoPokerStrategy.js';
 
 // Import routes
 import balanceRoutes from './routes/balance.js';
@@ -17,10 +18,15 @@ import paymentRoutes from './routes/payment.js';
 import mineRoutes from './routes/mine.js';
 import videopokerRoutes from './routes/videopoker.js';
 import verificationRoutes from './routes/verification.js';
+import seedRoutes from './routes/seeds.js';
+import crashRoutes from './routes/crash.js';
+import slideRoutes from './routes/slide.js';
 
 // Import socket handlers
 import { setupCrashSocket } from './sockets/crash.js';
 import { setupSlideSocket } from './sockets/slide.js';
+import { setupMineSocket } from './sockets/mine.js';
+import { setupJackpotSocket } from './sockets/jackpot.js';
 
 // Load environment variables
 dotenv.config();
@@ -83,10 +89,15 @@ app.use('/api/payment', paymentRoutes);
 app.use('/api/mine', mineRoutes);
 app.use('/api/video-poker', videopokerRoutes);
 app.use('/api/verification', verificationRoutes);
+app.use('/api/seeds', seedRoutes);
+app.use('/api/crash', crashRoutes);
+app.use('/api/slide', slideRoutes);
 
 // Socket.IO setup
 setupCrashSocket(io);
 setupSlideSocket(io);
+setupMineSocket(io);
+setupJackpotSocket(io);
 
 // Error handling middleware (must be last)
 app.use(errorHandler);
@@ -106,6 +117,9 @@ async function startServer() {
     await connectDB();
     logger.info('Database connected successfully');
 
+    // Build the hold advisor's payout tables before the first request needs them
+    preparePayoutTables();
+
     // Start transaction verification job (only in production or if enabled)
     if (process.env.ENABLE_TX_VERIFICATION === 'true' || process.env.NODE_ENV === 'production') {
       const { verifyPendingTransactionsJob } = await import('./jobs/verifyPendingTransactions.js');
@@ -0,0 +1,95 @@
+import { jest } from '@jest/globals';
+import { useTestDB } from '../../test/testDb.js';
+
+useTestDB('jackpot');
+// The service reads its settings when it is first imported
+process.env.VIDEO_POKER_JACKPOT_RATE = '0.01';
+process.env.VIDEO_POKER_JACKPOT_SEED = '5';
+
+const { getOne, getAll, run, transaction } = await import('../../utils/dbHelpers.js');
+const { jackpotService, JACKPOT_ENTRY_TYPES } = await import('../jackpotService.js');
+
+describe('jackpotService', () => {
+  let userId;
+
+  beforeAll(() => {
+    run('INSERT INTO users (public_key, balance) VALUES (?, ?)', ['JACKPOT', 1000]);
+    userId = getOne('SELECT id FROM users WHERE public_key = ?', ['JACKPOT']).id;
+  });
+
+  test('the pool starts at the seed', () => {
+    expect(jackpotService.formatPool(jackpotService.getPool())).toMatchObject({
+      amount: 5,
+      totalContributed: 0,
+      wins: 0,
+    });
+  });
+
+  test('contributions add the rate of each wager to the pool and record it for the player', () => {
+    expect(transaction(() => jackpotService.contribute(userId, 'vp-1', 200))).toBe(2);
+    expect(transaction(() => jackpotService.contribute(userId, 'vp-2', 0))).toBe(0);
+
+    expect(jackpotService.getPool()).toMatchObject({ amount: 7, total_contributed: 2 });
+    const contributions = getAll('SELECT * FROM transactions WHERE user_id = ?', [userId]);
+    expect(contributions).toEqual([
+      expect.objectContaining({ type: 'jackpot_contribution', game_type: 'videopoker', amount: 2, status: 'completed' }),
+    ]);
+    expect(JSON.parse(contributions[0].metadata)).toEqual({ gameId: 'vp-1', wager: 200, rate: 0.01, pool: 7 });
+    expect(getOne('SELECT balance FROM users WHERE id = ?', [userId]).balance).toBe(1000);
+  });
+
+  test('a contribution is rolled back with the hand that made it', () => {
+    expect(() =>
+      transaction(() => {
+        jackpotService.contribute(userId, 'vp-x', 100);
+        throw new Error('hand failed');
+      })
+    ).toThrow('hand failed');
+
+    expect(jackpotService.getPool()).toMatchObject({ amount: 7, total_contributed: 2 });
+    expect(getOne(`SELECT COUNT(*) as count FROM transactions WHERE type = 'jackpot_contribution'`).count).toBe(1);
+  });
+
+  test('a win pays the pool, never less than the fixed payout, and restarts from the seed', () => {
+    expect(transaction(() => jackpotService.payout(userId, 'vp-3', 1))).toBe(7);
+    expect(jackpotService.getPool()).toMatchObject({ amount: 5, total_paid: 7, wins: 1 });
+
+    transaction(() => jackpotService.contribute(userId, 'vp-4', 100));
+    expect(transaction(() => jackpotService.payout(userId, 'vp-5', 800))).toBe(800);
+    expect(jackpotService.getPool()).toMatchObject({ amount: 5, total_paid: 807, wins: 2 });
+
+    const wins = getAll(`SELECT * FROM transactions WHERE user_id = ? AND type = 'jackpot_win' ORDER BY id`, [userId]);
+    expect(wins.map(({ amount, win_amount }) => [amount, win_amount])).toEqual([
+      [7, 7],
+      [6, 800],
+    ]);
+    expect(JSON.parse(wins[1].metadata)).toEqual({ gameId: 'vp-5', pool: 6, fixedPayout: 800 });
+  });
+
+  test('the history lists the ledger newest first', () => {
+    const { history, total } = jackpotService.getHistory();
+    expect(total).toBe(4);
+    expect(history.map(({ type, gameId, amount, pool }) => [type, gameId, amount, pool])).toEqual([
+      [JACKPOT_ENTRY_TYPES.WIN, 'vp-5', 800, 6],
+      [JACKPOT_ENTRY_TYPES.CONTRIBUTION, 'vp-4', 1, 6],
+      [JACKPOT_ENTRY_TYPES.WIN, 'vp-3', 7, 7],
+      [JACKPOT_ENTRY_TYPES.CONTRIBUTION, 'vp-1', 2, 7],
+    ]);
+    expect(history[0].playerID).toBe('JACKPOT');
+
+    const wins = jackpotService.getHistory({ type: JACKPOT_ENTRY_TYPES.WIN, limit: 1 });
+    expect(wins.total).toBe(2);
+    expect(wins.history.map(({ gameId }) => gameId)).toEqual(['vp-5']);
+  });
+
+  test('announces a win and pushes the restarted pool', () => {
+    const emit = jest.fn();
+    jackpotService.attach({ emit });
+
+    jackpotService.announceWin(userId, 'vp-5', 800);
+
+    expect(emit).toHaveBeenNthCalledWith(1, 'jackpot-won', { amount: 800, gameId: 'vp-5', playerID: 'JACKPOT' });
+    expect(emit).toHaveBeenNthCalledWith(2, 'jackpot', expect.objectContaining({ amount: 5, wins: 2 }));
+    jackpotService.attach(null);
+  });
+});
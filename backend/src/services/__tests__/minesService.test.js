@@ -0,0 +1,93 @@
+import { useTestDB } from '../../test/testDb.js';
+
+useTestDB('mines');
+
+const { getOne, run, transaction } = await import('../../utils/dbHelpers.js');
+const { minesService } = await import('../minesService.js');
+
+// C(tiles, picks) / C(tiles - mines, picks): the inverse of the chance to survive `picks` picks
+const fairOdds = (tiles, mines, picks) => {
+  let odds = 1;
+  for (let i = 0; i < picks; i++) {
+    odds *= (tiles - i) / (tiles - mines - i);
+  }
+  return odds;
+};
+
+describe('getMultiplier', () => {
+  test('returns the stake before any pick', () => {
+    expect(minesService.getMultiplier(3, 0)).toBe(1);
+  });
+
+  test('pays the fair odds less the house edge, rounded down', () => {
+    expect(minesService.getMultiplier(1, 1)).toBe(1.03);
+    expect(minesService.getMultiplier(3, 1)).toBe(1.12);
+    expect(minesService.getMultiplier(24, 1)).toBe(24.75);
+    expect(minesService.getMultiplier(3, 22)).toBe(2277);
+  });
+
+  test('never pays past the last safe tile', () => {
+    expect(minesService.getMultiplier(3, 23)).toBe(2277);
+    expect(minesService.getMultiplier(24, 5)).toBe(24.75);
+  });
+
+  test('stays within a cent of (1 - edge) x odds on every board', () => {
+    for (const size of [3, 5, 8]) {
+      const tiles = size * size;
+      for (let mines = 1; mines < tiles; mines++) {
+        for (let picks = 1; picks <= tiles - mines; picks++) {
+          const exact = (1 - minesService.houseEdge) * fairOdds(tiles, mines, picks);
+          const multiplier = minesService.getMultiplier(mines, picks, size);
+          // Floats lose the cents of the largest 8x8 multipliers, so allow for relative error
+          const tolerance = 1e-9 + exact * 1e-12;
+          expect(multiplier).toBeLessThanOrEqual(exact + tolerance);
+          expect(multiplier).toBeGreaterThan(exact - 0.01 - tolerance);
+        }
+      }
+    }
+  });
+});
+
+describe('settleLoss', () => {
+  let userId;
+
+  beforeAll(() => {
+    run('INSERT INTO users (public_key, balance, locked_balance) VALUES (?, ?, ?)', ['MINES', 10, 4]);
+    userId = getOne('SELECT id FROM users WHERE public_key = ?', ['MINES']).id;
+  });
+
+  test('hitting a mine takes the locked stake from the balance and records a loss', () => {
+    const { gameId, metadata } = transaction(() => minesService.createGame(userId, { mines: 3, amount: 4 }));
+    const game = getOne('SELECT * FROM games WHERE game_id = ?', [gameId]);
+
+    const result = transaction(() => minesService.reveal(game, metadata.mineAreas[0]));
+
+    expect(result.isMine).toBe(true);
+    expect(getOne('SELECT status, win_amount FROM games WHERE id = ?', [game.id])).toEqual({
+      status: 'lost',
+      win_amount: 0,
+    });
+    expect(getOne('SELECT balance, locked_balance FROM users WHERE id = ?', [userId])).toEqual({
+      balance: 6,
+      locked_balance: 0,
+    });
+
+    const loss = getOne(`SELECT * FROM transactions WHERE user_id = ? AND type = 'loss'`, [userId]);
+    expect(loss).toMatchObject({ game_type: 'mines', amount: 4, win_amount: 0, status: 'completed' });
+    expect(JSON.parse(loss.metadata)).toEqual({ gameId });
+  });
+
+  test('a safe tile leaves the game and the balance untouched', () => {
+    run('UPDATE users SET locked_balance = 2 WHERE id = ?', [userId]);
+    const { gameId, metadata } = transaction(() => minesService.createGame(userId, { mines: 3, amount: 2 }));
+    const game = getOne('SELECT * FROM games WHERE game_id = ?', [gameId]);
+    const safe = [...Array(25).keys()].find((point) => !metadata.mineAreas.includes(point));
+
+    expect(transaction(() => minesService.reveal(game, safe)).isMine).toBe(false);
+    expect(getOne('SELECT status FROM games WHERE id = ?', [game.id]).status).toBe('active');
+    expect(getOne('SELECT balance, locked_balance FROM users WHERE id = ?', [userId])).toEqual({
+      balance: 6,
+      locked_balance: 2,
+    });
+  });
+});
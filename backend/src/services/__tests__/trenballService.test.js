@@ -0,0 +1,73 @@
+import { useTestDB } from '../../test/testDb.js';
+
+useTestDB('trenball');
+
+const { getOne, getAll, run } = await import('../../utils/dbHelpers.js');
+const { trenballService, TRENBALL_GAME_TYPE } = await import('../trenballService.js');
+
+describe('getWinningSides', () => {
+  test('red wins below 2x, green from 2x and moon above 10x', () => {
+    expect(trenballService.getWinningSides(1)).toEqual(['red']);
+    expect(trenballService.getWinningSides(1.99)).toEqual(['red']);
+    expect(trenballService.getWinningSides(2)).toEqual(['green']);
+    expect(trenballService.getWinningSides(10)).toEqual(['green']);
+    expect(trenballService.getWinningSides(10.01)).toEqual(['green', 'moon']);
+  });
+});
+
+describe('settle', () => {
+  let userId;
+  let greenBet;
+  const balances = () => getOne('SELECT balance, locked_balance FROM users WHERE id = ?', [userId]);
+
+  beforeAll(() => {
+    run('INSERT INTO users (public_key, balance) VALUES (?, ?)', ['TRENBALL', 100]);
+    userId = getOne('SELECT id FROM users WHERE public_key = ?', ['TRENBALL']).id;
+  });
+
+  test('placing a bet locks its stake and records the side', () => {
+    greenBet = trenballService.placeBet({ userId, side: 'green', betAmount: 10 }, 'round-1');
+
+    expect(greenBet).toMatchObject({ gameId: `round-1-${userId}-green`, roundId: 'round-1', payout: 2 });
+    expect(balances()).toEqual({ balance: 100, locked_balance: 10 });
+    expect(trenballService.getRoundBets('round-1')).toEqual([
+      expect.objectContaining({ playerID: 'TRENBALL', side: 'green', payout: 2, betAmount: 10, status: 'active' }),
+    ]);
+  });
+
+  test('a winning side pays the stake times its payout', () => {
+    const bet = trenballService.placeBet({ userId, side: 'red', betAmount: 5 }, 'round-2');
+
+    expect(trenballService.settle(bet, 1.5)).toEqual({ won: true, winAmount: 9.8 });
+    expect(balances()).toEqual({ balance: 104.8, locked_balance: 10 });
+    expect(getOne('SELECT status, win_amount FROM games WHERE game_id = ?', [bet.gameId])).toEqual({
+      status: 'completed',
+      win_amount: 9.8,
+    });
+  });
+
+  test('a losing side takes the stake from the balance', () => {
+    expect(trenballService.settle(greenBet, 1.5)).toEqual({ won: false, winAmount: 0 });
+    expect(balances()).toEqual({ balance: 94.8, locked_balance: 0 });
+    expect(getOne('SELECT status, win_amount FROM games WHERE game_id = ?', [greenBet.gameId])).toEqual({
+      status: 'lost',
+      win_amount: 0,
+    });
+  });
+
+  test('every settlement is a transaction of the player', () => {
+    const rows = getAll('SELECT type, amount, win_amount, metadata FROM transactions WHERE user_id = ? ORDER BY id', [
+      userId,
+    ]);
+    expect(rows.map(({ type, amount, win_amount }) => [type, amount, win_amount])).toEqual([
+      ['bet', 10, 0],
+      ['bet', 5, 0],
+      ['cashout', 5, 9.8],
+      ['loss', 10, 0],
+    ]);
+    expect(JSON.parse(rows[3].metadata)).toEqual({ gameId: 'round-1', side: 'green', payout: 2, crashPoint: 1.5 });
+    expect(getAll('SELECT DISTINCT game_type FROM transactions').map(({ game_type }) => game_type)).toEqual([
+      TRENBALL_GAME_TYPE,
+    ]);
+  });
+});
@@ -0,0 +1,170 @@
+import { getOne, getAll, run } from '../utils/dbHelpers.js';
+import { trenballService } from './trenballService.js';
+
+// Lower bounds of the crash point ranges in the distribution stats (the last range is open)
+export const CRASH_POINT_BUCKETS = [1, 1.5, 2, 3, 5, 10, 100];
+
+/**
+ * Crash Round Service
+ * Persists crash rounds (seeds, crash point, timing and bet totals) and serves
+ * the round history shared by the socket feed and the REST endpoint
+ */
+class CrashRoundService {
+  /**
+   * Record a round when its betting phase opens
+   * @param {string} gameId - Round ID
+   * @param {object} round - Round from the hash chain (see generateCrashRound)
+   */
+  create(gameId, round) {
+    run(
+      `INSERT INTO crash_rounds
+       (game_id, chain_id, round_number, hash, previous_hash, client_seed, crash_point, status)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        gameId,
+        round.chainId,
+        round.nonce,
+        round.serverSeed,
+        round.serverSeedHash,
+        round.clientSeed,
+        round.crashPoint,
+        'betting',
+      ]
+    );
+  }
+
+  /**
+   * Mark a round as running once betting closes
+   * @param {string} gameId - Round ID
+   */
+  start(gameId) {
+    run(`UPDATE crash_rounds SET status = ?, started_at = datetime('now') WHERE game_id = ?`, [
+      'running',
+      gameId,
+    ]);
+  }
+
+  /**
+   * Settle a round and store its bet totals
+   * @param {string} gameId - Round ID
+   * @param {Array<{betAmount: number, winAmount?: number}>} players - Bets of the round (winners were paid on part or all of their stake)
+   * @param {number} durationMs - Time from start to crash
+   */
+  settle(gameId, players, durationMs) {
+    const winners = players.filter((player) => player.winAmount > 0);
+
+    run(
+      `UPDATE crash_rounds
+       SET status = ?, ended_at = datetime('now'), player_count = ?, winner_count = ?,
+           total_wagered = ?, total_paid = ?, duration_ms = ?
+       WHERE game_id = ?`,
+      [
+        'settled',
+        players.length,
+        winners.length,
+        players.reduce((sum, player) => sum + player.betAmount, 0),
+        winners.reduce((sum, player) => sum + (player.winAmount || 0), 0),
+        durationMs,
+        gameId,
+      ]
+    );
+  }
+
+  /**
+   * Public view of a round; the hash, crash point and winning trenball sides are withheld until it is settled
+   * @param {object} round - crash_rounds row
+   */
+  formatRound(round) {
+    const settled = round.status === 'settled';
+    const crashPoint = parseFloat(round.crash_point);
+
+    return {
+      _id: round.game_id,
+      status: round.status,
+      crashPoint: settled ? crashPoint : null,
+      winningSides: settled ? trenballService.getWinningSides(crashPoint) : null,
+      privateSeed: settled ? round.hash : null,
+      privateHash: round.previous_hash,
+      publicSeed: round.client_seed,
+      nonce: round.round_number,
+      players: parseInt(round.player_count) || 0,
+      winners: parseInt(round.winner_count) || 0,
+      wagered: parseFloat(round.total_wagered) || 0,
+      paid: parseFloat(round.total_paid) || 0,
+      duration: round.duration_ms,
+      createdAt: round.created_at,
+      startedAt: round.started_at,
+      endedAt: round.ended_at,
+    };
+  }
+
+  /**
+   * Settled rounds, newest first
+   * @param {object} options - { skip, limit }
+   * @returns {{games: object[], total: number}}
+   */
+  getHistory({ skip = 0, limit = 20 } = {}) {
+    const rows = getAll(
+      `SELECT * FROM crash_rounds WHERE status = 'settled' ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [limit, skip]
+    );
+    const { total } = getOne(`SELECT COUNT(*) as total FROM crash_rounds WHERE status = 'settled'`);
+
+    return {
+      games: rows.map((row) => this.formatRound(row)),
+      total: parseInt(total) || 0,
+    };
+  }
+
+  /**
+   * Aggregate stats over every settled round, with the crash point distribution
+   */
+  getStats() {
+    const bucketCounts = CRASH_POINT_BUCKETS.map((min, index) => {
+      const max = CRASH_POINT_BUCKETS[index + 1];
+      return max
+        ? `SUM(CASE WHEN crash_point >= ${min} AND crash_point < ${max} THEN 1 ELSE 0 END) as bucket_${index}`
+        : `SUM(CASE WHEN crash_point >= ${min} THEN 1 ELSE 0 END) as bucket_${index}`;
+    });
+
+    const stats = getOne(
+      `SELECT
+         COUNT(*) as rounds,
+         COALESCE(AVG(crash_point), 0) as average_crash_point,
+         COALESCE(MAX(crash_point), 0) as highest_crash_point,
+         SUM(CASE WHEN crash_point <= 1 THEN 1 ELSE 0 END) as instant_crashes,
+         COALESCE(SUM(player_count), 0) as bets,
+         COALESCE(SUM(total_wagered), 0) as total_wagered,
+         COALESCE(SUM(total_paid), 0) as total_paid,
+         ${bucketCounts.join(',\n         ')}
+       FROM crash_rounds WHERE status = 'settled'`
+    );
+
+    const rounds = parseInt(stats.rounds) || 0;
+    const totalWagered = parseFloat(stats.total_wagered) || 0;
+    const totalPaid = parseFloat(stats.total_paid) || 0;
+
+    return {
+      rounds,
+      averageCrashPoint: Math.round((parseFloat(stats.average_crash_point) || 0) * 100) / 100,
+      highestCrashPoint: parseFloat(stats.highest_crash_point) || 0,
+      instantCrashes: parseInt(stats.instant_crashes) || 0,
+      bets: parseInt(stats.bets) || 0,
+      totalWagered,
+      totalPaid,
+      houseProfit: totalWagered - totalPaid,
+      distribution: CRASH_POINT_BUCKETS.map((min, index) => {
+        const count = parseInt(stats[`bucket_${index}`]) || 0;
+        return {
+          min,
+          max: CRASH_POINT_BUCKETS[index + 1] || null,
+          count,
+          percent: rounds > 0 ? Math.round((count / rounds) * 10000) / 100 : 0,
+        };
+      }),
+    };
+  }
+}
+
+// Export singleton instance
+export const crashRoundService = new CrashRoundService();
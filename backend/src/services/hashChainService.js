@@ -0,0 +1,119 @@
+import { logger } from '../utils/logger.js';
+import { getOne, run } from '../utils/dbHelpers.js';
+import { buildHashChain, generateServerSeed, generateClientSeed } from '../utils/provablyFair.js';
+
+/**
+ * Hash Chain Service
+ * Serves multiplayer round hashes (crash, slide) from pre-generated reverse SHA-256 chains
+ */
+class HashChainService {
+  constructor() {
+    // Number of rounds per chain
+    this.chainLength = parseInt(process.env.HASH_CHAIN_LENGTH) || 10000;
+    // gameType -> { id, hashes, salt, length, round }
+    this.chains = new Map();
+  }
+
+  /**
+   * Load the active chain for a game type, creating one if none exists
+   * @param {string} gameType - Game type ('crash' or 'slide')
+   */
+  load(gameType) {
+    if (this.chains.has(gameType)) {
+      return this.chains.get(gameType);
+    }
+
+    let row = getOne(
+      `SELECT * FROM hash_chains WHERE game_type = ? AND status = 'active'
+       ORDER BY id DESC LIMIT 1`,
+      [gameType]
+    );
+
+    if (!row) {
+      row = this.create(gameType);
+    }
+
+    const length = parseInt(row.length);
+    const chain = {
+      id: row.id,
+      hashes: buildHashChain(row.seed, length),
+      salt: row.client_seed,
+      length,
+      round: parseInt(row.current_round) || 0,
+    };
+
+    this.chains.set(gameType, chain);
+    return chain;
+  }
+
+  /**
+   * Generate and persist a new chain for a game type
+   * @param {string} gameType - Game type
+   * @returns {object} hash_chains row
+   */
+  create(gameType) {
+    const seed = generateServerSeed();
+    const hashes = buildHashChain(seed, this.chainLength);
+
+    run(
+      `INSERT INTO hash_chains (game_type, seed, terminating_hash, client_seed, length, current_round, status)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [gameType, seed, hashes[0], generateClientSeed(), this.chainLength, 0, 'active']
+    );
+
+    logger.info(`New ${gameType} hash chain created (terminating hash: ${hashes[0]})`);
+
+    return getOne(
+      `SELECT * FROM hash_chains WHERE game_type = ? AND status = 'active'
+       ORDER BY id DESC LIMIT 1`,
+      [gameType]
+    );
+  }
+
+  /**
+   * Take the next round hash for a game type
+   * The round hash must only be revealed after the round ends
+   * @param {string} gameType - Game type
+   * @returns {{chainId: number, round: number, hash: string, previousHash: string, salt: string, terminatingHash: string}}
+   */
+  nextRound(gameType) {
+    let chain = this.load(gameType);
+
+    // Start a new chain once the current one is used up
+    if (chain.round >= chain.length) {
+      run(`UPDATE hash_chains SET status = 'exhausted' WHERE id = ?`, [chain.id]);
+      this.chains.delete(gameType);
+      chain = this.load(gameType);
+    }
+
+    chain.round++;
+    run('UPDATE hash_chains SET current_round = ? WHERE id = ?', [chain.round, chain.id]);
+
+    return {
+      chainId: chain.id,
+      round: chain.round,
+      hash: chain.hashes[chain.round],
+      previousHash: chain.hashes[chain.round - 1],
+      salt: chain.salt,
+      terminatingHash: chain.hashes[0],
+    };
+  }
+
+  /**
+   * Get the public details of the active chain for a game type
+   * @param {string} gameType - Game type
+   */
+  getInfo(gameType) {
+    const chain = this.load(gameType);
+    return {
+      gameType,
+      terminatingHash: chain.hashes[0],
+      salt: chain.salt,
+      length: chain.length,
+      round: chain.round,
+    };
+  }
+}
+
+// Export singleton instance
+export const hashChainService = new HashChainService();
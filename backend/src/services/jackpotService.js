@@ -0,0 +1,243 @@
+import { logger } from '../utils/logger.js';
+import { getOne, getAll, run } from '../utils/dbHelpers.js';
+
+// Entry types of the pool's ledger (jackpot_entries)
+export const JACKPOT_ENTRY_TYPES = {
+  CONTRIBUTION: 'jackpot_contribution',
+  WIN: 'jackpot_win',
+};
+
+/**
+ * Jackpot Service
+ * Progressive video poker jackpot: a slice of every wager goes into a persisted
+ * pool, which a max-bet royal flush wins. Methods that write must be called
+ * inside a transaction; pool updates are pushed once it has committed.
+ */
+class JackpotService {
+  constructor() {
+    // Share of every wager added to the pool (VIDEO_POKER_JACKPOT_RATE=0.01 is 1%)
+    const rate = parseFloat(process.env.VIDEO_POKER_JACKPOT_RATE);
+    this.rate = rate >= 0 && rate < 1 ? rate : 0.01;
+    // Per-hand bet that qualifies a royal flush for the jackpot
+    this.maxBet = parseFloat(process.env.VIDEO_POKER_JACKPOT_MAX_BET) || 100;
+    // Amount the pool restarts from after it is won
+    this.seed = parseFloat(process.env.VIDEO_POKER_JACKPOT_SEED) || 0;
+    this.gameType = 'videopoker';
+    // Socket.IO namespace the pool is pushed to (set by setupJackpotSocket)
+    this.namespace = null;
+  }
+
+  /**
+   * Attach the Socket.IO namespace pool updates are pushed to
+   * @param {object} namespace - Socket.IO namespace
+   */
+  attach(namespace) {
+    this.namespace = namespace;
+  }
+
+  /**
+   * Broadcast an event to every connected client
+   */
+  emit(event, data) {
+    if (this.namespace) {
+      this.namespace.emit(event, data);
+    }
+  }
+
+  /**
+   * Push the pool to connected clients
+   * Call once the transaction that changed it has committed
+   */
+  broadcastPool() {
+    try {
+      this.emit('jackpot', this.formatPool(this.getPool()));
+    } catch (error) {
+      logger.error('Error broadcasting jackpot pool:', error);
+    }
+  }
+
+  /**
+   * Announce a won jackpot and the restarted pool
+   * Call once the payout has committed
+   * @param {number} userId - User ID
+   * @param {string} gameId - Game ID
+   * @param {number} amount - Amount won
+   */
+  announceWin(userId, gameId, amount) {
+    try {
+      const winner = getOne('SELECT public_key FROM users WHERE id = ?', [userId]);
+      this.emit('jackpot-won', { amount, gameId, playerID: winner?.public_key });
+    } catch (error) {
+      logger.error('Error announcing jackpot win:', error);
+    }
+    this.broadcastPool();
+  }
+
+  /**
+   * Record a change of the pool in its ledger
+   */
+  addEntry(pool, type, userId, gameId, amount, poolAmount) {
+    run(
+      `INSERT INTO jackpot_entries (jackpot_id, type, user_id, game_id, amount, pool)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [pool.id, type, userId, gameId, amount, poolAmount]
+    );
+  }
+
+  /**
+   * Get the pool, creating it at the seed amount the first time
+   * @returns {object} jackpots row
+   */
+  getPool() {
+    let pool = getOne('SELECT * FROM jackpots WHERE game_type = ?', [this.gameType]);
+    if (!pool) {
+      run('INSERT INTO jackpots (game_type, amount) VALUES (?, ?)', [this.gameType, this.seed]);
+      pool = getOne('SELECT * FROM jackpots WHERE game_type = ?', [this.gameType]);
+    }
+    return pool;
+  }
+
+  /**
+   * Public view of the pool
+   */
+  formatPool(pool) {
+    return {
+      amount: parseFloat(pool.amount),
+      rate: this.rate,
+      maxBet: this.maxBet,
+      seed: this.seed,
+      totalContributed: parseFloat(pool.total_contributed),
+      totalPaid: parseFloat(pool.total_paid),
+      wins: parseInt(pool.wins) || 0,
+      lastWonAt: pool.last_won_at,
+      updatedAt: pool.updated_at,
+    };
+  }
+
+  /**
+   * Add the pool's slice of a wager
+   * The contribution is recorded in the pool's ledger and as a `jackpot_contribution`
+   * transaction of the player; it comes out of the stake, so it moves no balance
+   * @param {number} userId - User ID
+   * @param {string} gameId - Game ID
+   * @param {number} wager - Total amount wagered
+   * @returns {number} Amount contributed
+   */
+  contribute(userId, gameId, wager) {
+    const contribution = wager * this.rate;
+    if (contribution <= 0) {
+      return 0;
+    }
+
+    const pool = this.getPool();
+    run(
+      `UPDATE jackpots
+       SET amount = amount + ?, total_contributed = total_contributed + ?, updated_at = datetime('now')
+       WHERE id = ?`,
+      [contribution, contribution, pool.id]
+    );
+
+    const poolAfter = parseFloat(pool.amount) + contribution;
+    this.addEntry(pool, JACKPOT_ENTRY_TYPES.CONTRIBUTION, userId, gameId, contribution, poolAfter);
+
+    run(
+      `INSERT INTO transactions
+       (user_id, type, game_type, amount, status, metadata)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        userId,
+        'jackpot_contribution',
+        this.gameType,
+        contribution,
+        'completed',
+        JSON.stringify({ gameId, wager, rate: this.rate, pool: poolAfter }),
+      ]
+    );
+
+    return contribution;
+  }
+
+  /**
+   * Pay the pool to a winner and restart it from the seed
+   * The winner never gets less than the hand's fixed payout; the win is also a
+   * `jackpot_win` transaction of the player
+   * @param {number} userId - User ID
+   * @param {string} gameId - Game ID
+   * @param {number} fixedPayout - What the hand pays without the jackpot
+   * @returns {number} Amount won
+   */
+  payout(userId, gameId, fixedPayout) {
+    const pool = this.getPool();
+    const poolAmount = parseFloat(pool.amount);
+    const winAmount = Math.max(poolAmount, fixedPayout);
+
+    run(
+      `UPDATE jackpots
+       SET amount = ?, total_paid = total_paid + ?, wins = wins + 1,
+           last_won_at = datetime('now'), updated_at = datetime('now')
+       WHERE id = ?`,
+      [this.seed, winAmount, pool.id]
+    );
+
+    run(
+      `INSERT INTO transactions
+       (user_id, type, game_type, amount, win_amount, status, metadata)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        userId,
+        'jackpot_win',
+        this.gameType,
+        poolAmount,
+        winAmount,
+        'completed',
+        JSON.stringify({ gameId, pool: poolAmount, fixedPayout }),
+      ]
+    );
+
+    this.addEntry(pool, JACKPOT_ENTRY_TYPES.WIN, userId, gameId, winAmount, poolAmount);
+
+    logger.info(`Video poker jackpot of ${winAmount} won by user ${userId} (${gameId})`);
+    return winAmount;
+  }
+
+  /**
+   * Pool history: contributions and wins, newest first
+   * @param {object} options - { type, limit, offset }
+   * @returns {{history: object[], total: number}}
+   */
+  getHistory({ type, limit = 50, offset = 0 } = {}) {
+    const types = type ? [type] : Object.values(JACKPOT_ENTRY_TYPES);
+    const placeholders = types.map(() => '?').join(', ');
+
+    const rows = getAll(
+      `SELECT e.*, u.public_key FROM jackpot_entries e
+       JOIN jackpots j ON e.jackpot_id = j.id
+       JOIN users u ON e.user_id = u.id
+       WHERE j.game_type = ? AND e.type IN (${placeholders})
+       ORDER BY e.id DESC LIMIT ? OFFSET ?`,
+      [this.gameType, ...types, limit, offset]
+    );
+    const { total } = getOne(
+      `SELECT COUNT(*) as total FROM jackpot_entries e
+       JOIN jackpots j ON e.jackpot_id = j.id
+       WHERE j.game_type = ? AND e.type IN (${placeholders})`,
+      [this.gameType, ...types]
+    );
+
+    return {
+      history: rows.map((row) => ({
+        id: row.id,
+        type: row.type,
+        playerID: row.public_key,
+        gameId: row.game_id,
+        amount: parseFloat(row.amount),
+        pool: parseFloat(row.pool),
+        createdAt: row.created_at,
+      })),
+      total: parseInt(total) || 0,
+    };
+  }
+}
+
+// Export singleton instance
+export const jackpotService = new JackpotService();
@@ -0,0 +1,233 @@
+import { logger } from '../utils/logger.js';
+import { getOne, run, transaction } from '../utils/dbHelpers.js';
+import { minesService } from './minesService.js';
+
+/**
+ * Mines Autobet Service
+ * Runs autobet sessions on the server so they survive the player closing the tab.
+ * Each round is funded from the user's available balance, revealed tile by tile
+ * and settled through the same paths as a manual game.
+ */
+class MineAutobetService {
+  constructor() {
+    // Delay between rounds so clients can show each result
+    this.roundDelay = parseInt(process.env.MINE_AUTOBET_DELAY_MS) || 1500;
+    // userId -> session
+    this.sessions = new Map();
+    // Socket.IO namespace used to stream progress (set by setupMineSocket)
+    this.namespace = null;
+  }
+
+  /**
+   * Attach the Socket.IO namespace progress is streamed to
+   * @param {object} namespace - Socket.IO namespace
+   */
+  attach(namespace) {
+    this.namespace = namespace;
+  }
+
+  /**
+   * Room a user's autobet events are sent to
+   * @param {string} publicKey - User public key
+   */
+  room(publicKey) {
+    return `user:${publicKey}`;
+  }
+
+  /**
+   * Emit an event to the session owner
+   */
+  emit(session, event, data) {
+    if (this.namespace) {
+      this.namespace.to(this.room(session.publicKey)).emit(event, data);
+    }
+  }
+
+  /**
+   * Get the running session of a user
+   * @param {number} userId - User ID
+   */
+  getSession(userId) {
+    return this.sessions.get(userId) || null;
+  }
+
+  /**
+   * Public view of a session
+   */
+  formatSession(session) {
+    return {
+      sessionId: session.sessionId,
+      points: session.config.points,
+      mines: session.config.mines,
+      size: session.config.size,
+      baseAmount: session.config.amount,
+      count: session.config.count,
+      stopOnProfit: session.config.stopOnProfit,
+      stopOnLoss: session.config.stopOnLoss,
+      onWin: session.config.onWin,
+      onLoss: session.config.onLoss,
+      amount: session.amount,
+      roundsPlayed: session.roundsPlayed,
+      roundsLeft: session.config.count > 0 ? session.config.count - session.roundsPlayed : null,
+      wins: session.wins,
+      losses: session.losses,
+      totalProfit: session.totalProfit,
+      startedAt: session.startedAt,
+    };
+  }
+
+  /**
+   * Start an autobet session
+   * @param {object} user - users row
+   * @param {object} config - { points, mines, size, amount, count, stopOnProfit, stopOnLoss, onWin, onLoss }
+   *   count 0 runs until stopped; onWin/onLoss are percentages (0 resets to the base amount)
+   */
+  start(user, config) {
+    const session = {
+      sessionId: `autobet-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      userId: user.id,
+      publicKey: user.public_key,
+      config,
+      amount: config.amount,
+      roundsPlayed: 0,
+      wins: 0,
+      losses: 0,
+      totalProfit: 0,
+      startedAt: new Date().toISOString(),
+      timer: null,
+    };
+
+    this.sessions.set(user.id, session);
+    logger.info(`Mines autobet ${session.sessionId} started for user ${user.id}`);
+
+    this.emit(session, 'autobet-start', this.formatSession(session));
+    this.schedule(session, 0);
+
+    return session;
+  }
+
+  /**
+   * Stop a user's session
+   * @param {number} userId - User ID
+   * @param {string} reason - Why the session ended
+   * @returns {object|null} The stopped session
+   */
+  stop(userId, reason = 'stopped') {
+    const session = this.sessions.get(userId);
+    if (!session) {
+      return null;
+    }
+
+    clearTimeout(session.timer);
+    this.sessions.delete(userId);
+
+    logger.info(`Mines autobet ${session.sessionId} ended (${reason}) after ${session.roundsPlayed} rounds`);
+
+    this.emit(session, 'autobet-end', { ...this.formatSession(session), reason });
+    return session;
+  }
+
+  /**
+   * Queue the next round of a session
+   */
+  schedule(session, delay) {
+    session.timer = setTimeout(() => {
+      try {
+        this.playRound(session);
+      } catch (error) {
+        logger.error(`Mines autobet ${session.sessionId} round failed:`, error);
+        this.stop(session.userId, 'error');
+      }
+    }, delay);
+  }
+
+  /**
+   * Play one round: lock the stake, create the game, reveal the chosen tiles and settle
+   */
+  playRound(session) {
+    // The session may have been stopped while this round was queued
+    if (this.sessions.get(session.userId) !== session) {
+      return;
+    }
+
+    const { points, mines, size } = session.config;
+    const amount = session.amount;
+
+    const user = getOne('SELECT * FROM users WHERE id = ?', [session.userId]);
+    const availableBalance = parseFloat(user.balance) - parseFloat(user.locked_balance || 0);
+    if (availableBalance < amount) {
+      this.stop(session.userId, 'insufficient_balance');
+      return;
+    }
+
+    const round = transaction(() => {
+      // Lock the stake like /api/games/place-bet does for manual games
+      run('UPDATE users SET locked_balance = locked_balance + ? WHERE id = ?', [amount, user.id]);
+
+      const { gameId, seeds } = minesService.createGame(user.id, {
+        mines,
+        size,
+        amount,
+        transactionStatus: 'completed',
+        metadata: { autobetId: session.sessionId },
+      });
+
+      // Reveal the chosen tiles in order until one is a mine
+      let game = getOne('SELECT * FROM games WHERE game_id = ?', [gameId]);
+      for (const point of points) {
+        const revealed = minesService.reveal(game, point);
+        if (revealed.isMine) {
+          return { gameId, seeds, win: false, winAmount: 0, multiplier: 0, metadata: revealed.metadata };
+        }
+        game = getOne('SELECT * FROM games WHERE game_id = ?', [gameId]);
+      }
+
+      const { winAmount, multiplier, metadata } = minesService.cashout(game);
+      return { gameId, seeds, win: true, winAmount, multiplier, metadata };
+    });
+
+    const profit = round.winAmount - amount;
+    session.roundsPlayed++;
+    session.totalProfit += profit;
+    if (round.win) {
+      session.wins++;
+    } else {
+      session.losses++;
+    }
+
+    // Adjust the next stake (0% resets to the base amount)
+    const adjustment = round.win ? session.config.onWin : session.config.onLoss;
+    session.amount = adjustment > 0 ? session.amount * (1 + adjustment / 100) : session.config.amount;
+
+    this.emit(session, 'autobet-round', {
+      ...this.formatSession(session),
+      round: session.roundsPlayed,
+      gameId: round.gameId,
+      betAmount: amount,
+      win: round.win,
+      multiplier: round.multiplier,
+      winAmount: round.winAmount,
+      profit,
+      mineAreas: round.metadata.mineAreas,
+      revealedAreas: round.metadata.revealedAreas,
+      datas: minesService.buildBoard(round.metadata, true),
+      serverSeedHash: round.seeds.serverSeedHash,
+      clientSeed: round.seeds.clientSeed,
+      nonce: round.seeds.nonce,
+    });
+
+    const { count, stopOnProfit, stopOnLoss } = session.config;
+    if (count > 0 && session.roundsPlayed >= count) {
+      this.stop(session.userId, 'completed');
+    } else if (stopOnProfit > 0 && session.totalProfit >= stopOnProfit) {
+      this.stop(session.userId, 'stop_on_profit');
+    } else if (stopOnLoss > 0 && -session.totalProfit >= stopOnLoss) {
+      this.stop(session.userId, 'stop_on_loss');
+    } else {
+      this.schedule(session, this.roundDelay);
+    }
+  }
+}
+
+// Export singleton instance
+export const mineAutobetService = new MineAutobetService();
@@ -0,0 +1,278 @@
+import { getOne, run } from '../utils/dbHelpers.js';
+import { seedService } from './seedService.js';
+import { calculateMinePositions } from '../utils/provablyFair.js';
+
+// Tile states used by the frontend board (see src/components/Mine/types.ts)
+export const MINE_OBJECT = {
+  HIDDEN: 0,
+  GEM: 1,
+  BOMB: 2,
+};
+
+// Board sizes (tiles per side); the classic board is 5x5
+export const MIN_BOARD_SIZE = 3;
+export const MAX_BOARD_SIZE = 8;
+export const DEFAULT_BOARD_SIZE = 5;
+
+/**
+ * Mines Service
+ * Game lifecycle shared by the manual routes and server-run autobet sessions
+ * Methods that write must be called inside a transaction
+ */
+class MinesService {
+  constructor() {
+    // House edge applied to every payout (MINES_HOUSE_EDGE=0.01 is a 99% RTP)
+    const houseEdge = parseFloat(process.env.MINES_HOUSE_EDGE);
+    this.houseEdge = houseEdge >= 0 && houseEdge < 1 ? houseEdge : 0.01;
+  }
+
+  /**
+   * Number of tiles on a board
+   * @param {number} size - Tiles per side
+   */
+  getTiles(size = DEFAULT_BOARD_SIZE) {
+    return size * size;
+  }
+
+  /**
+   * Board size of a game (games created before sizes were selectable are 5x5)
+   * @param {object} metadata - Game metadata
+   */
+  getBoardSize(metadata) {
+    return metadata.size || DEFAULT_BOARD_SIZE;
+  }
+
+  /**
+   * Build the board sent to the client
+   * While the game is active only revealed (safe) tiles are included;
+   * once it ends every tile is included so the full layout can be checked
+   * @param {object} metadata - Game metadata
+   * @param {boolean} reveal - Include the mine layout
+   */
+  buildBoard(metadata, reveal) {
+    const mineAreas = metadata.mineAreas || [];
+    const revealedAreas = metadata.revealedAreas || [];
+
+    if (!reveal) {
+      return revealedAreas.map((point) => ({ point, mine: MINE_OBJECT.GEM, mined: true }));
+    }
+
+    return Array.from({ length: this.getTiles(this.getBoardSize(metadata)) }, (_, point) => ({
+      point,
+      mine: mineAreas.includes(point) ? MINE_OBJECT.BOMB : MINE_OBJECT.GEM,
+      mined: revealedAreas.includes(point),
+    }));
+  }
+
+  /**
+   * Payout multiplier after revealing a number of safe tiles
+   * (1 - edge) x C(n, k) / C(n - mines, k), rounded down to 2 decimals
+   * @param {number} mines - Mine count
+   * @param {number} safeRevealed - Safe tiles revealed so far
+   * @param {number} size - Tiles per side
+   */
+  getMultiplier(mines, safeRevealed, size = DEFAULT_BOARD_SIZE) {
+    // Nothing revealed yet: cashing out returns the stake
+    if (safeRevealed <= 0) {
+      return 1;
+    }
+
+    // There are only tiles - mines safe tiles to reveal; past that the product divides by zero
+    const tiles = this.getTiles(size);
+    const picks = Math.min(safeRevealed, tiles - mines);
+
+    // C(n, k) / C(n - mines, k) as a running product to stay within float range
+    let odds = 1;
+    for (let i = 0; i < picks; i++) {
+      odds *= (tiles - i) / (tiles - mines - i);
+    }
+
+    return Math.floor((1 - this.houseEdge) * odds * 100 + 1e-9) / 100;
+  }
+
+  /**
+   * Full payout table for a mine count and board size
+   * @param {number} mines - Mine count
+   * @param {number} size - Tiles per side
+   * @returns {Array<{picks: number, multiplier: number, chance: number}>}
+   */
+  getPayoutTable(mines, size = DEFAULT_BOARD_SIZE) {
+    const tiles = this.getTiles(size);
+    const table = [];
+    let chance = 1;
+
+    for (let picks = 1; picks <= tiles - mines; picks++) {
+      chance *= (tiles - mines - picks + 1) / (tiles - picks + 1);
+      table.push({
+        picks,
+        multiplier: this.getMultiplier(mines, picks, size),
+        chance: Math.round(chance * 1e8) / 1e6, // percent
+      });
+    }
+
+    return table;
+  }
+
+  /**
+   * Count the safe tiles revealed in a game
+   * @param {object} metadata - Game metadata
+   */
+  countSafeRevealed(metadata) {
+    return (metadata.revealedAreas || []).filter((p) => !metadata.mineAreas.includes(p)).length;
+  }
+
+  /**
+   * Create a game and record its bet transaction
+   * Mines are placed from the user's seed pair before any tile is picked (provably fair)
+   * @param {number} userId - User ID
+   * @param {object} options - { mines, size, amount, txHash, transactionStatus, metadata }
+   * @returns {{gameId: string, seeds: object, metadata: object}}
+   */
+  createGame(userId, { mines, size = DEFAULT_BOARD_SIZE, amount, txHash = null, transactionStatus = 'pending', metadata = {} }) {
+    const gameId = `mine-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const seeds = seedService.useNonce(userId);
+
+    const gameMetadata = {
+      ...metadata,
+      mines: mines,
+      size: size,
+      mineAreas: calculateMinePositions(seeds, mines, this.getTiles(size)),
+      revealedAreas: [],
+      seedPairId: seeds.seedPairId,
+      serverSeedHash: seeds.serverSeedHash,
+      clientSeed: seeds.clientSeed,
+      nonce: seeds.nonce,
+    };
+
+    run(
+      `INSERT INTO games (game_id, user_id, game_type, bet_amount, status, metadata)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [gameId, userId, 'mines', amount, 'active', JSON.stringify(gameMetadata)]
+    );
+
+    run(
+      `INSERT INTO transactions
+       (user_id, type, game_type, amount, tx_hash, status, metadata)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        userId,
+        'bet',
+        'mines',
+        amount,
+        txHash,
+        transactionStatus,
+        JSON.stringify({ gameId, mines, size, ...metadata }),
+      ]
+    );
+
+    return { gameId, seeds, metadata: gameMetadata };
+  }
+
+  /**
+   * Reveal a tile, settling the game as lost if it is a mine
+   * @param {object} game - games row
+   * @param {number} point - Tile index
+   * @returns {{isMine: boolean, metadata: object}}
+   */
+  reveal(game, point) {
+    const metadata = JSON.parse(game.metadata || '{}');
+    metadata.revealedAreas = [...(metadata.revealedAreas || []), point];
+
+    run(`UPDATE games SET metadata = ? WHERE id = ?`, [JSON.stringify(metadata), game.id]);
+
+    const isMine = metadata.mineAreas.includes(point);
+    if (isMine) {
+      this.settleLoss(game);
+    }
+
+    return { isMine, metadata };
+  }
+
+  /**
+   * Settle a game as lost: the stake leaves both the locked and the total balance
+   * and a loss transaction is recorded
+   * @param {object} game - games row
+   */
+  settleLoss(game) {
+    const betAmount = parseFloat(game.bet_amount);
+
+    run(
+      `UPDATE games SET status = ?, win_amount = 0, completed_at = datetime('now') WHERE id = ?`,
+      ['lost', game.id]
+    );
+
+    run(
+      `UPDATE users
+       SET locked_balance = locked_balance - ?,
+           balance = balance - ?
+       WHERE id = ?`,
+      [betAmount, betAmount, game.user_id]
+    );
+
+    run(
+      `INSERT INTO transactions
+       (user_id, type, game_type, amount, win_amount, status, metadata)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        game.user_id,
+        'loss',
+        'mines',
+        betAmount,
+        0,
+        'completed',
+        JSON.stringify({ gameId: game.game_id }),
+      ]
+    );
+  }
+
+  /**
+   * Cash out a game at its current multiplier
+   * @param {object} game - games row
+   * @returns {{winAmount: number, multiplier: number, safeRevealed: number, metadata: object, updatedUser: object}}
+   */
+  cashout(game) {
+    const metadata = JSON.parse(game.metadata || '{}');
+    const betAmount = parseFloat(game.bet_amount);
+    const safeRevealed = this.countSafeRevealed(metadata);
+    const multiplier = this.getMultiplier(metadata.mines || 0, safeRevealed, this.getBoardSize(metadata));
+    const winAmount = betAmount * multiplier;
+
+    // Unlock bet amount and add winnings
+    run(
+      `UPDATE users
+       SET locked_balance = locked_balance - ?,
+           balance = balance - ? + ?
+       WHERE id = ?`,
+      [betAmount, betAmount, winAmount, game.user_id]
+    );
+
+    run(
+      `UPDATE games
+       SET status = ?, win_amount = ?, completed_at = datetime('now')
+       WHERE id = ?`,
+      ['completed', winAmount, game.id]
+    );
+
+    run(
+      `INSERT INTO transactions
+       (user_id, type, game_type, amount, win_amount, status, metadata)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        game.user_id,
+        'cashout',
+        'mines',
+        betAmount,
+        winAmount,
+        'completed',
+        JSON.stringify({ gameId: game.game_id, multiplier, safeRevealed }),
+      ]
+    );
+
+    const updatedUser = getOne('SELECT * FROM users WHERE id = ?', [game.user_id]);
+
+    return { winAmount, multiplier, safeRevealed, metadata, updatedUser };
+  }
+}
+
+// Export singleton instance
+export const minesService = new MinesService();
@@ -0,0 +1,154 @@
+import { getOne, getAll, run } from '../utils/dbHelpers.js';
+import { generateServerSeed, generateClientSeed, hashServerSeed } from '../utils/provablyFair.js';
+
+/**
+ * Seed Service
+ * Manages per-user server/client seed pairs and nonces for single-player games
+ */
+class SeedService {
+  /**
+   * Get the active seed pair for a user, creating one if none exists
+   * @param {number} userId - User ID
+   * @returns {object} seed_pairs row
+   */
+  getActiveSeedPair(userId) {
+    let seedPair = getOne(
+      `SELECT * FROM seed_pairs WHERE user_id = ? AND status = 'active'
+       ORDER BY id DESC LIMIT 1`,
+      [userId]
+    );
+
+    if (!seedPair) {
+      const serverSeed = generateServerSeed();
+      run(
+        `INSERT INTO seed_pairs (user_id, server_seed, server_seed_hash, client_seed, nonce, status)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [userId, serverSeed, hashServerSeed(serverSeed), generateClientSeed(), 0, 'active']
+      );
+      seedPair = getOne(
+        `SELECT * FROM seed_pairs WHERE user_id = ? AND status = 'active'
+         ORDER BY id DESC LIMIT 1`,
+        [userId]
+      );
+    }
+
+    return seedPair;
+  }
+
+  /**
+   * Consume the next nonce of the user's active seed pair
+   * Does not open its own transaction, so it can run inside a caller's transaction()
+   * @param {number} userId - User ID
+   * @returns {{seedPairId: number, serverSeed: string, serverSeedHash: string, clientSeed: string, nonce: number}}
+   */
+  useNonce(userId) {
+    const seedPair = this.getActiveSeedPair(userId);
+    const nonce = parseInt(seedPair.nonce) || 0;
+
+    run('UPDATE seed_pairs SET nonce = nonce + 1 WHERE id = ?', [seedPair.id]);
+
+    return {
+      seedPairId: seedPair.id,
+      serverSeed: seedPair.server_seed,
+      serverSeedHash: seedPair.server_seed_hash,
+      clientSeed: seedPair.client_seed,
+      nonce,
+    };
+  }
+
+  /**
+   * Set a custom client seed on the user's active seed pair
+   * Games already played keep the client seed stored with them (see getGames)
+   * @param {number} userId - User ID
+   * @param {string} clientSeed - New client seed
+   * @returns {object} updated seed_pairs row
+   */
+  setClientSeed(userId, clientSeed) {
+    const seedPair = this.getActiveSeedPair(userId);
+    run('UPDATE seed_pairs SET client_seed = ? WHERE id = ?', [clientSeed, seedPair.id]);
+    return this.getSeedPair(seedPair.id);
+  }
+
+  /**
+   * Reveal the user's active seed pair and replace it with a fresh one
+   * Does not open its own transaction, so it can run inside a caller's transaction()
+   * @param {number} userId - User ID
+   * @param {string} [clientSeed] - Client seed for the new pair (random if omitted)
+   * @returns {{previous: object, active: object}} revealed and new seed_pairs rows
+   */
+  rotate(userId, clientSeed) {
+    const previous = this.getActiveSeedPair(userId);
+
+    run(
+      `UPDATE seed_pairs SET status = 'revealed', revealed_at = datetime('now') WHERE id = ?`,
+      [previous.id]
+    );
+
+    const serverSeed = generateServerSeed();
+    run(
+      `INSERT INTO seed_pairs (user_id, server_seed, server_seed_hash, client_seed, nonce, status)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [userId, serverSeed, hashServerSeed(serverSeed), clientSeed || generateClientSeed(), 0, 'active']
+    );
+
+    return {
+      previous: this.getSeedPair(previous.id),
+      active: this.getActiveSeedPair(userId),
+    };
+  }
+
+  /**
+   * Get the IDs of every game played with a seed pair, in nonce order
+   * The client seed can change during a pair's life, so each game has the one it was played with
+   * @param {number} seedPairId - Seed pair ID
+   * @returns {Array<{gameId: string, gameType: string, clientSeed: string, nonce: number}>}
+   */
+  getGames(seedPairId) {
+    return getAll(
+      `SELECT game_id, game_type, json_extract(metadata, '$.clientSeed') AS client_seed,
+              json_extract(metadata, '$.nonce') AS nonce
+       FROM games
+       WHERE json_extract(metadata, '$.seedPairId') = ?
+       ORDER BY nonce ASC`,
+      [seedPairId]
+    ).map((game) => ({
+      gameId: game.game_id,
+      gameType: game.game_type,
+      clientSeed: game.client_seed,
+      nonce: game.nonce,
+    }));
+  }
+
+  /**
+   * Check whether a seed pair still has unfinished games
+   * Revealing its server seed would expose their outcomes. A video poker win held
+   * for double-up is already decided (its next round is dealt from the active pair),
+   * so it only counts while a double-up round dealt from this pair is waiting
+   * @param {number} seedPairId - Seed pair ID
+   * @returns {boolean}
+   */
+  hasActiveGames(seedPairId) {
+    const row = getOne(
+      `SELECT COUNT(*) AS count FROM games
+       WHERE status = 'active'
+         AND (
+           (json_extract(metadata, '$.seedPairId') = ? AND json_extract(metadata, '$.doubleUp') IS NULL)
+           OR json_extract(metadata, '$.doubleUp.pending.seedPairId') = ?
+         )`,
+      [seedPairId, seedPairId]
+    );
+    return parseInt(row.count) > 0;
+  }
+
+  /**
+   * Get a seed pair by ID
+   * @param {number} seedPairId - Seed pair ID
+   * @returns {object|null} seed_pairs row
+   */
+  getSeedPair(seedPairId) {
+    return getOne('SELECT * FROM seed_pairs WHERE id = ?', [seedPairId]);
+  }
+}
+
+// Export singleton instance
+export const seedService = new SeedService();
@@ -0,0 +1,139 @@
+import { getAll, run, transaction } from '../utils/dbHelpers.js';
+
+// Game type of trenball bets in the games and transactions tables
+export const TRENBALL_GAME_TYPE = 'crash_trenball';
+
+// Sides and fixed payouts, settled from the round's crash point only
+export const TRENBALL_SIDES = {
+  red: { payout: 1.96, wins: (crashPoint) => crashPoint < 2 },
+  green: { payout: 2, wins: (crashPoint) => crashPoint >= 2 },
+  moon: { payout: 10, wins: (crashPoint) => crashPoint > 10 },
+};
+
+/**
+ * Trenball Service
+ * Side bets on a crash round: red (crashes below 2x), green (at or above 2x)
+ * and moon (above 10x). They ride no multiplier and cannot be cashed out
+ */
+class TrenballService {
+  /**
+   * Sides won by a crash point
+   * @param {number} crashPoint - Round crash point
+   * @returns {string[]}
+   */
+  getWinningSides(crashPoint) {
+    return Object.keys(TRENBALL_SIDES).filter((side) => TRENBALL_SIDES[side].wins(crashPoint));
+  }
+
+  /**
+   * Record a side bet on a round (one games row per user and side) and lock its stake
+   * The caller checks the user's available balance first
+   * @param {object} bet - { userId, side, betAmount, currencyId }
+   * @param {string} roundId - Crash round ID
+   * @returns {object} Bet with its games row ID and payout
+   */
+  placeBet(bet, roundId) {
+    const gameId = `${roundId}-${bet.userId}-${bet.side}`;
+    const payout = TRENBALL_SIDES[bet.side].payout;
+
+    transaction(() => {
+      // Lock the stake like /api/games/place-bet does for manual games
+      run('UPDATE users SET locked_balance = locked_balance + ? WHERE id = ?', [bet.betAmount, bet.userId]);
+
+      run(
+        `INSERT INTO games (game_id, user_id, game_type, bet_amount, status, metadata)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          gameId,
+          bet.userId,
+          TRENBALL_GAME_TYPE,
+          bet.betAmount,
+          'active',
+          JSON.stringify({ roundId, side: bet.side, payout, currencyId: bet.currencyId }),
+        ]
+      );
+
+      run(
+        `INSERT INTO transactions
+         (user_id, type, game_type, amount, status, metadata)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [bet.userId, 'bet', TRENBALL_GAME_TYPE, bet.betAmount, 'completed', JSON.stringify({ gameId: roundId, side: bet.side })]
+      );
+    });
+
+    return { ...bet, gameId, roundId, payout };
+  }
+
+  /**
+   * Settle a side bet from the round's crash point
+   * A win pays the stake times the side's payout; a loss takes the stake from the balance
+   * @param {object} bet - Bet returned by placeBet
+   * @param {number} crashPoint - Round crash point
+   * @returns {{won: boolean, winAmount: number}}
+   */
+  settle(bet, crashPoint) {
+    const won = TRENBALL_SIDES[bet.side].wins(crashPoint);
+    const winAmount = won ? bet.betAmount * bet.payout : 0;
+
+    transaction(() => {
+      run(
+        `UPDATE users
+         SET locked_balance = locked_balance - ?,
+             balance = balance - ? + ?
+         WHERE id = ?`,
+        [bet.betAmount, bet.betAmount, winAmount, bet.userId]
+      );
+
+      run(
+        `UPDATE games SET status = ?, win_amount = ?, completed_at = datetime('now') WHERE game_id = ?`,
+        [won ? 'completed' : 'lost', winAmount, bet.gameId]
+      );
+
+      run(
+        `INSERT INTO transactions
+         (user_id, type, game_type, amount, win_amount, status, metadata)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          bet.userId,
+          won ? 'cashout' : 'loss',
+          TRENBALL_GAME_TYPE,
+          bet.betAmount,
+          winAmount,
+          'completed',
+          JSON.stringify({ gameId: bet.roundId, side: bet.side, payout: bet.payout, crashPoint }),
+        ]
+      );
+    });
+
+    return { won, winAmount };
+  }
+
+  /**
+   * Side bets placed on a round, oldest first
+   * @param {string} roundId - Crash round ID
+   */
+  getRoundBets(roundId) {
+    return getAll(
+      `SELECT g.*, u.public_key FROM games g
+       JOIN users u ON g.user_id = u.id
+       WHERE g.game_type = ? AND json_extract(g.metadata, '$.roundId') = ?
+       ORDER BY g.created_at ASC`,
+      [TRENBALL_GAME_TYPE, roundId]
+    ).map((row) => {
+      const metadata = JSON.parse(row.metadata || '{}');
+      return {
+        playerID: row.public_key,
+        side: metadata.side,
+        payout: metadata.payout,
+        betAmount: parseFloat(row.bet_amount),
+        winAmount: parseFloat(row.win_amount || 0),
+        status: row.status,
+        createdAt: row.created_at,
+        completedAt: row.completed_at,
+      };
+    });
+  }
+}
+
+// Export singleton instance
+export const trenballService = new TrenballService();
@@ -0,0 +1,78 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { normalizePublicKey } from '../utils/publicKey.js';
+import { verifySignedTransaction } from '../utils/walletSignature.js';
+
+// Tokens let a verified wallet reconnect without signing again; without a configured secret they last until restart
+const TOKEN_SECRET = process.env.SOCKET_AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+const TOKEN_TTL = (parseFloat(process.env.SOCKET_AUTH_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+function signToken(publicKey, expiresAt) {
+  return crypto.createHmac('sha256', TOKEN_SECRET).update(`${publicKey}.${expiresAt}`).digest('hex');
+}
+
+function issueToken(publicKey) {
+  const expiresAt = Date.now() + TOKEN_TTL;
+  return `${publicKey}.${expiresAt}.${signToken(publicKey, expiresAt)}`;
+}
+
+// Public key a token was issued to, or null if it is forged or expired
+function readToken(token) {
+  const [publicKey, expiresAt, signature] = String(token).split('.');
+  if (!publicKey || !(Number(expiresAt) > Date.now()) || typeof signature !== 'string') return null;
+
+  const expected = Buffer.from(signToken(publicKey, expiresAt));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  return publicKey;
+}
+
+/**
+ * Bind a socket to a wallet it has proven to own
+ * The client asks for a challenge with `auth-challenge`, signs it as the payload of a
+ * zero-amount transaction and sends `auth` with the signed transaction (or a token from
+ * an earlier `auth-success`). The verified key is kept on `socket.data.publicKey`
+ * @param {import('socket.io').Socket} socket
+ * @param {(publicKey: string, previousKey: string|null) => void} onAuthenticated - Called once a wallet is verified
+ */
+export function setupSocketAuth(socket, onAuthenticated) {
+  socket.on('auth-challenge', (ack) => {
+    socket.data.challenge = crypto.randomBytes(32).toString('hex');
+    if (typeof ack === 'function') {
+      ack({ challenge: socket.data.challenge });
+    }
+  });
+
+  socket.on('auth', async (credentials) => {
+    try {
+      let publicKey = null;
+
+      if (credentials?.token) {
+        publicKey = readToken(credentials.token);
+      } else if (credentials?.signedTx && socket.data.challenge) {
+        // A challenge is good for one attempt
+        const challenge = socket.data.challenge;
+        socket.data.challenge = null;
+
+        const signed = await verifySignedTransaction(credentials.signedTx);
+        if (signed && signed.payload.equals(Buffer.from(challenge))) {
+          publicKey = normalizePublicKey(signed.identity);
+        }
+      }
+
+      if (!publicKey) {
+        socket.emit('auth-error', { message: 'Authentication failed' });
+        return;
+      }
+
+      const previousKey = socket.data.publicKey || null;
+      socket.data.publicKey = publicKey;
+      logger.info('Socket authenticated:', { socketId: socket.id, namespace: socket.nsp.name });
+      socket.emit('auth-success', { token: issueToken(publicKey) });
+      onAuthenticated(publicKey, previousKey);
+    } catch (error) {
+      logger.error('Socket authentication error:', error);
+      socket.emit('auth-error', { message: 'Authentication failed' });
+    }
+  });
+}
@@ -1,38 +1,89 @@
 import { logger } from '../utils/logger.js';
 import { getOne, run, transaction } from '../utils/dbHelpers.js';
+import { calculateCrashPoint } from '../utils/provablyFair.js';
+import { hashChainService } from '../services/hashChainService.js';
+import { crashRoundService } from '../services/crashRoundService.js';
+import { TRENBALL_SIDES, trenballService } from '../services/trenballService.js';
+import { DEFAULT_GROWTH_RATE, delayUntilMultiplier, multiplierAt } from '../utils/crashCurve.js';
+import { getAutoCashout, getCapMultiplier, subtractStake } from '../utils/crashBets.js';
+import { setupSocketAuth } from './auth.js';
+
+// Round phases: the loop runs continuously, whether or not anyone is playing
+const GAME_STATUS = {
+  WAITING: 'WAITING', // between rounds, bets are queued
+  BETTING: 'BETTING', // round committed, bets accepted
+  RUNNING: 'RUNNING', // multiplier climbing, bets are queued for the next round
+  CRASHED: 'CRASHED', // round settled, cooldown before the next one
+};
+
+// Settled rounds sent with the `games` event
+const RECENT_ROUNDS = 20;
+
+// Phase lengths in milliseconds
+const WAITING_DURATION = 1000;
+const BETTING_DURATION = 5000;
+const COOLDOWN_DURATION = 5000;
+
+// Multiplier growth per millisecond of the round (see utils/crashCurve.js)
+const GROWTH_RATE = parseFloat(process.env.CRASH_GROWTH_RATE) || DEFAULT_GROWTH_RATE;
+
+// Most a single round may pay out: a share of the house bankroll (1% of 100,000 by default)
+const HOUSE_BANKROLL = parseFloat(process.env.HOUSE_BANKROLL) || 100000;
+const maxPayoutRatio = parseFloat(process.env.CRASH_MAX_PAYOUT_RATIO);
+const MAX_ROUND_PAYOUT = HOUSE_BANKROLL * (maxPayoutRatio > 0 && maxPayoutRatio <= 1 ? maxPayoutRatio : 0.01);
+
+// Bets a user may hold in one round (bets queued for it included)
+const maxBetsPerRound = parseInt(process.env.CRASH_MAX_BETS_PER_ROUND);
+const MAX_BETS_PER_ROUND = maxBetsPerRound > 0 ? maxBetsPerRound : 5;
 
 // Game state management
 const gameState = {
   currentGame: null,
-  players: new Map(), // socketId -> player data
-  multiplier: 1.0,
-  isRunning: false,
-  startTime: null,
+  players: new Map(), // betId -> bet of the current round
+  queue: new Map(), // betId -> bet waiting for the next betting phase
+  sideBets: [], // trenball bets of the round, settled from the crash point
+  status: GAME_STATUS.WAITING,
+  startTime: null, // server time the multiplier started climbing
+  phaseEndsAt: null,
+  capMultiplier: null, // multiplier at which the riding bets reach the round's payout cap
+  capTimer: null,
 };
 
-// Generate crash multiplier (provably fair)
-function generateCrashMultiplier() {
-  // Simple provably fair multiplier generation
-  // In production, use a proper provably fair algorithm
-  const hash = Math.random().toString(36).substring(2, 15);
-  const seed = parseInt(hash, 36) % 1000000;
-  const e = 2 ** 32;
-  const h = seed / e;
-  let point = (1 - h) / (1 - h * 0.99);
-  point = Math.floor(point * 100) / 100;
-  return Math.max(1.01, Math.min(point, 1000)); // Between 1.01x and 1000x
+// Take the next round from the crash hash chain and derive its outcome (provably fair)
+// The round hash is the server seed and the chain's public salt is the client seed
+function generateCrashRound() {
+  const round = hashChainService.nextRound('crash');
+  const seeds = {
+    serverSeed: round.hash,
+    clientSeed: round.salt,
+    nonce: round.round,
+  };
+
+  return {
+    ...seeds,
+    chainId: round.chainId,
+    serverSeedHash: round.previousHash,
+    terminatingHash: round.terminatingHash,
+    crashPoint: calculateCrashPoint(seeds),
+  };
 }
 
-// Normalize public key (handle 60-character WalletConnect format)
-function normalizePublicKey(publicKey) {
+// User of a socket, from the wallet it verified with `auth` (created on first use)
+function getSocketUser(socket) {
+  const publicKey = socket.data.publicKey;
   if (!publicKey) return null;
-  let normalized = publicKey.trim();
-  if (normalized.length === 60) {
-    normalized = normalized.slice(-55);
-  } else if (normalized.length > 55) {
-    normalized = normalized.slice(-55);
+
+  let user = getOne('SELECT * FROM users WHERE public_key = ?', [publicKey]);
+  if (!user) {
+    run('INSERT INTO users (public_key, balance) VALUES (?, ?)', [publicKey, 0]);
+    user = getOne('SELECT * FROM users WHERE public_key = ?', [publicKey]);
   }
-  return normalized.length === 55 ? normalized : null;
+  return user;
+}
+
+// Room joined by every connection of a user, so bet events reach whichever sockets are open
+function userRoom(publicKey) {
+  return `user:${publicKey}`;
 }
 
 /**
@@ -41,157 +92,600 @@ function normalizePublicKey(publicKey) {
 export function setupCrashSocket(io) {
   const crashNamespace = io.of('/crashx');
 
+  // Current multiplier, from the server time elapsed since the round started
+  const getMultiplier = () => {
+    if (gameState.status === GAME_STATUS.CRASHED) {
+      return gameState.currentGame.crashPoint;
+    }
+    if (gameState.status !== GAME_STATUS.RUNNING) {
+      return 1;
+    }
+    return Math.min(multiplierAt(Date.now() - gameState.startTime, GROWTH_RATE), gameState.currentGame.crashPoint);
+  };
+
+  // Public view of the current phase, sent on every transition and to new clients
+  // Clients draw the curve from startTime and growthRate (both in server time)
+  const getStatus = () => ({
+    status: gameState.status,
+    gameId: gameState.currentGame?.gameId,
+    privateHash: gameState.currentGame?.serverSeedHash,
+    publicSeed: gameState.currentGame?.clientSeed,
+    nonce: gameState.currentGame?.nonce,
+    terminatingHash: gameState.currentGame?.terminatingHash,
+    multiplier: getMultiplier().toFixed(2),
+    countdown: gameState.phaseEndsAt ? Math.max(0, Math.ceil((gameState.phaseEndsAt - Date.now()) / 1000)) : 0,
+    startTime: gameState.startTime,
+    growthRate: GROWTH_RATE,
+    maxPayout: MAX_ROUND_PAYOUT,
+    trenball: Object.fromEntries(Object.entries(TRENBALL_SIDES).map(([side, { payout }]) => [side, payout])),
+    serverTime: Date.now(),
+  });
+
+  const setStatus = (status, duration = 0) => {
+    gameState.status = status;
+    gameState.phaseEndsAt = duration ? Date.now() + duration : null;
+    crashNamespace.emit('status', getStatus());
+  };
+
+  // Add a bet to the current round (one games row per bet, linked to the round) and lock its stake
+  // Refused, with `bet-join-error`, when the user's available balance no longer covers it
+  const addPlayer = (bet) => {
+    const user = getOne('SELECT balance, locked_balance FROM users WHERE id = ?', [bet.userId]);
+    if (parseFloat(user.balance) - parseFloat(user.locked_balance || 0) < bet.betAmount) {
+      crashNamespace.to(userRoom(bet.publicKey)).emit('bet-join-error', { betId: bet.betId, message: 'Insufficient balance' });
+      return false;
+    }
+
+    const roundId = gameState.currentGame.gameId;
+    const playerData = {
+      ...bet,
+      gameId: bet.betId,
+      roundId,
+      autoCashout: getAutoCashout(bet.target),
+      remaining: bet.betAmount, // stake still riding after partial cashouts
+      winAmount: 0,
+      cashouts: [],
+      cashedOut: false,
+    };
+
+    // Lock the stake like /api/games/place-bet does for manual games, and create the game record
+    transaction(() => {
+      run('UPDATE users SET locked_balance = locked_balance + ? WHERE id = ?', [bet.betAmount, bet.userId]);
+
+      run(
+        `INSERT INTO games (game_id, user_id, game_type, bet_amount, status, metadata)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          bet.betId,
+          bet.userId,
+          'crash',
+          bet.betAmount,
+          'active',
+          JSON.stringify({ target: bet.target, currencyId: bet.currencyId, roundId }),
+        ]
+      );
+
+      run(
+        `INSERT INTO transactions
+         (user_id, type, game_type, amount, status, metadata)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [bet.userId, 'bet', 'crash', bet.betAmount, 'completed', JSON.stringify({ gameId: roundId, betId: bet.betId })]
+      );
+    });
+
+    gameState.players.set(bet.betId, playerData);
+
+    crashNamespace.to(userRoom(bet.publicKey)).emit('bet-join-success', {
+      playerID: bet.socketId,
+      betId: bet.betId,
+      betAmount: bet.betAmount,
+      target: bet.target,
+      gameId: roundId,
+    });
+    return true;
+  };
+
+  // Pay out part or all of a bet's remaining stake at a multiplier, settle it and broadcast it
+  // The player may have no socket open: the bet is settled all the same
+  const cashoutPlayer = (player, multiplier, { amount = player.remaining, auto = false, forced = false } = {}) => {
+    const stake = Math.min(amount, player.remaining);
+    const winAmount = stake * multiplier;
+
+    player.remaining = subtractStake(player.remaining, stake);
+    player.winAmount += winAmount;
+    player.cashoutMultiplier = multiplier;
+    player.cashouts.push({ amount: stake, multiplier, winAmount, auto, forced });
+    // Fully cashed out once no stake is left riding
+    player.cashedOut = player.remaining === 0;
+    if (player.cashedOut) {
+      clearTimeout(player.autoCashoutTimer);
+    }
+
+    // Process cashout in database
+    transaction(() => {
+      // Unlock the cashed out stake and add winnings
+      run(
+        `UPDATE users 
+         SET locked_balance = locked_balance - ?,
+             balance = balance - ? + ?
+         WHERE id = ?`,
+        [stake, stake, winAmount, player.userId]
+      );
+
+      // Update game: completed once the whole stake is cashed out
+      run(
+        `UPDATE games 
+         SET status = ?, win_amount = ?, metadata = ?,
+             completed_at = CASE WHEN ? THEN datetime('now') ELSE NULL END
+         WHERE game_id = ?`,
+        [
+          player.cashedOut ? 'completed' : 'active',
+          player.winAmount,
+          JSON.stringify({
+            target: player.target,
+            currencyId: player.currencyId,
+            roundId: player.roundId,
+            cashouts: player.cashouts,
+          }),
+          player.cashedOut ? 1 : 0,
+          player.gameId,
+        ]
+      );
+
+      // Create cashout transaction
+      run(
+        `INSERT INTO transactions 
+         (user_id, type, game_type, amount, win_amount, status, metadata)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          player.userId,
+          'cashout',
+          'crash',
+          stake,
+          winAmount,
+          'completed',
+          JSON.stringify({
+            gameId: player.roundId,
+            betId: player.betId,
+            multiplier,
+            partial: stake < player.betAmount,
+            auto,
+            forced,
+          }),
+        ]
+      );
+    });
+
+    crashNamespace.to(userRoom(player.publicKey)).emit('bet-cashout-success', {
+      playerID: player.socketId,
+      betId: player.betId,
+      multiplier: multiplier.toFixed(2),
+      amount: stake,
+      winAmount: winAmount.toFixed(4),
+      remaining: player.remaining,
+      auto,
+      forced,
+    });
+
+    crashNamespace.emit('bet-cashout', [
+      {
+        playerID: player.socketId,
+        betId: player.betId,
+        betAmount: player.betAmount,
+        amount: stake,
+        remaining: player.remaining,
+        stoppedAt: multiplier,
+        winAmount,
+        auto,
+        forced,
+      },
+    ]);
+
+    return winAmount;
+  };
+
+  // Auto-cashout the stake still riding on a bet whose target was reached
+  const autoCashoutPlayer = (player) => {
+    if (player.cashedOut) return;
+
+    try {
+      cashoutPlayer(player, player.autoCashout, { auto: true });
+    } catch (error) {
+      logger.error('Error processing crash auto-cashout:', error);
+    }
+    scheduleCap();
+  };
+
+  // Watch the round's liability: when the riding bets would pay more than what is left of the
+  // cap after the round's earlier cashouts, everyone still in is cashed out at the multiplier that reaches it
+  // Rescheduled whenever a bet leaves the round, as the remaining stake reaches the cap later
+  const scheduleCap = () => {
+    clearTimeout(gameState.capTimer);
+    gameState.capMultiplier = null;
+    if (gameState.status !== GAME_STATUS.RUNNING) return;
+
+    const players = [...gameState.players.values()];
+    const activeStake = players
+      .filter((player) => !player.cashedOut)
+      .reduce((sum, player) => sum + player.remaining, 0);
+    if (activeStake <= 0) return;
+
+    const paid = players.reduce((sum, player) => sum + player.winAmount, 0);
+    const capMultiplier = getCapMultiplier(MAX_ROUND_PAYOUT, paid, activeStake);
+    if (capMultiplier >= gameState.currentGame.crashPoint) return;
+
+    gameState.capMultiplier = capMultiplier;
+    gameState.capTimer = setTimeout(
+      () => forceCashout(capMultiplier),
+      delayUntilMultiplier(gameState.startTime, capMultiplier, GROWTH_RATE)
+    );
+  };
+
+  // Cash out every bet still riding at once and announce it
+  const forceCashout = (multiplier) => {
+    if (gameState.status !== GAME_STATUS.RUNNING) return;
+
+    const players = [...gameState.players.values()].filter((player) => !player.cashedOut);
+    let payout = 0;
+    players.forEach((player) => {
+      try {
+        payout += cashoutPlayer(player, multiplier, { forced: true });
+      } catch (error) {
+        logger.error('Error processing crash forced cashout:', error);
+      }
+    });
+    gameState.capMultiplier = null;
+
+    logger.warn(`Crash round ${gameState.currentGame.gameId} reached its payout cap at ${multiplier}x`);
+
+    crashNamespace.emit('round-capped', {
+      gameId: gameState.currentGame.gameId,
+      multiplier: multiplier.toFixed(2),
+      players: players.length,
+      payout,
+      maxPayout: MAX_ROUND_PAYOUT,
+    });
+  };
+
+  // Public view of a bet (queued bets have not started riding yet)
+  const formatBet = (bet) => ({
+    playerID: bet.socketId,
+    betId: bet.betId,
+    betAmount: bet.betAmount,
+    remaining: bet.remaining ?? bet.betAmount,
+    target: bet.target,
+    stoppedAt: bet.cashoutMultiplier || null,
+    winAmount: bet.winAmount || 0,
+  });
+
+  // Current round with a user's bets, sent when a client (re)connects
+  const getSession = (publicKey) => {
+    const own = (bet) => bet.publicKey === publicKey;
+
+    return {
+      ...getStatus(),
+      bets: [...gameState.players.values()].filter(own).map(formatBet),
+      queued: [...gameState.queue.values()].filter(own).map(formatBet),
+      sideBets: gameState.sideBets.filter(own).map(({ side, betAmount, payout }) => ({ side, betAmount, payout })),
+    };
+  };
+
+  // Settle every side bet from the crash point and announce the results
+  const settleSideBets = (round) => {
+    const results = gameState.sideBets.map((bet) => {
+      let result = { won: false, winAmount: 0 };
+      try {
+        result = trenballService.settle(bet, round.crashPoint);
+      } catch (error) {
+        logger.error('Error settling trenball bet:', error);
+      }
+
+      crashNamespace.to(userRoom(bet.publicKey)).emit('trenball-bet-settled', {
+        side: bet.side,
+        betAmount: bet.betAmount,
+        ...result,
+      });
+
+      return { playerID: bet.socketId, side: bet.side, betAmount: bet.betAmount, ...result };
+    });
+
+    crashNamespace.emit('trenball-settled', {
+      gameId: round.gameId,
+      crashPoint: round.crashPoint.toFixed(2),
+      winningSides: trenballService.getWinningSides(round.crashPoint),
+      bets: results,
+    });
+  };
+
+  // Game loop: WAITING -> BETTING -> RUNNING -> CRASHED -> cooldown -> WAITING
+  const startGameLoop = () => {
+    if (gameState.status !== GAME_STATUS.WAITING) return;
+
+    setTimeout(startBetting, WAITING_DURATION);
+  };
+
+  // Commit to the next round's seeds, then accept bets
+  const startBetting = () => {
+    let round;
+    try {
+      round = generateCrashRound();
+    } catch (error) {
+      // Keep the loop alive; the next attempt starts after another wait
+      logger.error('Error starting crash round:', error);
+      startGameLoop();
+      return;
+    }
+
+    const { crashPoint } = round;
+    const gameId = `crash-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+    gameState.currentGame = {
+      gameId,
+      crashPoint,
+      chainId: round.chainId,
+      serverSeed: round.serverSeed,
+      serverSeedHash: round.serverSeedHash,
+      clientSeed: round.clientSeed,
+      nonce: round.nonce,
+      terminatingHash: round.terminatingHash,
+    };
+
+    // Persist the round so it can be verified once settled; the round is played from memory either way
+    try {
+      crashRoundService.create(gameId, round);
+    } catch (error) {
+      logger.error('Error saving crash round:', error);
+    }
+
+    setStatus(GAME_STATUS.BETTING, BETTING_DURATION);
+    crashNamespace.emit('game-starting', {
+      gameId,
+      countdown: BETTING_DURATION / 1000,
+      privateHash: round.serverSeedHash,
+      publicSeed: round.clientSeed,
+      nonce: round.nonce,
+      terminatingHash: round.terminatingHash,
+    });
+
+    // Bets queued while the previous round was running join this one
+    gameState.queue.forEach((bet) => {
+      try {
+        addPlayer(bet);
+      } catch (error) {
+        logger.error('Error adding queued crash bet:', error);
+        crashNamespace.to(userRoom(bet.publicKey)).emit('bet-join-error', { betId: bet.betId, message: 'Failed to join game' });
+      }
+    });
+    gameState.queue.clear();
+
+    setTimeout(startRound, BETTING_DURATION);
+  };
+
+  // Close betting and start the multiplier; the round crashes when the curve reaches the crash point
+  const startRound = () => {
+    const { gameId, crashPoint } = gameState.currentGame;
+
+    try {
+      crashRoundService.start(gameId);
+    } catch (error) {
+      logger.error('Error marking crash round as running:', error);
+    }
+
+    gameState.startTime = Date.now();
+    setStatus(GAME_STATUS.RUNNING);
+    crashNamespace.emit('game-started', {
+      gameId,
+      privateHash: gameState.currentGame.serverSeedHash,
+      publicSeed: gameState.currentGame.clientSeed,
+      nonce: gameState.currentGame.nonce,
+      startTime: gameState.startTime,
+      growthRate: GROWTH_RATE,
+      serverTime: Date.now(),
+    });
+
+    // Targets below the crash point are paid exactly at their multiplier when the curve reaches it
+    gameState.players.forEach((player) => {
+      if (!player.autoCashout || player.autoCashout >= crashPoint) return;
+
+      player.autoCashoutTimer = setTimeout(
+        () => autoCashoutPlayer(player),
+        delayUntilMultiplier(gameState.startTime, player.autoCashout, GROWTH_RATE)
+      );
+    });
+
+    scheduleCap();
+
+    setTimeout(endRound, delayUntilMultiplier(gameState.startTime, crashPoint, GROWTH_RATE));
+  };
+
+  // Settle the bets still riding, reveal the round and cool down before the next one
+  const endRound = () => {
+    const round = gameState.currentGame;
+    clearTimeout(gameState.capTimer);
+    gameState.capMultiplier = null;
+    setStatus(GAME_STATUS.CRASHED, COOLDOWN_DURATION);
+
+    // Process all players
+    gameState.players.forEach((player) => {
+      // Targets reached before the crash are paid even if their timer has not fired yet
+      if (!player.cashedOut && player.autoCashout && player.autoCashout < round.crashPoint) {
+        autoCashoutPlayer(player);
+      }
+
+      if (player.cashedOut) {
+        // Player already cashed out
+        return;
+      }
+
+      // Player crashed - lost the stake still riding (a partly cashed out bet keeps its winnings)
+      try {
+        transaction(() => {
+          run(
+            `UPDATE users
+             SET locked_balance = locked_balance - ?,
+                 balance = balance - ?
+             WHERE id = ?`,
+            [player.remaining, player.remaining, player.userId]
+          );
+
+          run(
+            `UPDATE games SET status = ?, completed_at = datetime('now') WHERE game_id = ?`,
+            [player.winAmount > 0 ? 'completed' : 'lost', player.gameId]
+          );
+
+          run(
+            `INSERT INTO transactions
+             (user_id, type, game_type, amount, win_amount, status, metadata)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [
+              player.userId,
+              'loss',
+              'crash',
+              player.remaining,
+              0,
+              'completed',
+              JSON.stringify({ gameId: player.roundId, betId: player.betId, crashPoint: round.crashPoint }),
+            ]
+          );
+        });
+      } catch (error) {
+        logger.error('Error settling crash bet:', error);
+      }
+    });
+
+    try {
+      crashRoundService.settle(round.gameId, [...gameState.players.values()], Date.now() - gameState.startTime);
+    } catch (error) {
+      logger.error('Error saving crash round results:', error);
+    }
+
+    // Reveal the round's hash now that it is over
+    crashNamespace.emit('game-crashed', {
+      gameId: round.gameId,
+      crashPoint: round.crashPoint.toFixed(2),
+      privateSeed: round.serverSeed,
+      privateHash: round.serverSeedHash,
+      publicSeed: round.clientSeed,
+      nonce: round.nonce,
+    });
+
+    settleSideBets(round);
+
+    // Reset for next game after the cooldown
+    setTimeout(() => {
+      gameState.currentGame = null;
+      gameState.players.clear();
+      gameState.sideBets = [];
+      gameState.startTime = null;
+      setStatus(GAME_STATUS.WAITING);
+      startGameLoop();
+    }, COOLDOWN_DURATION);
+  };
+
+  // Start game loop
+  startGameLoop();
+
   crashNamespace.on('connection', (socket) => {
     logger.info('Crash game client connected:', socket.id);
 
-    // Handle authentication
-    socket.on('auth', (token) => {
-      // TODO: Verify token
-      logger.info('Crash game authentication:', socket.id);
-      socket.emit('auth-success');
+    // Send current status
+    socket.emit('status', getStatus());
+
+    // A verified user gets its open bets back with the current round
+    setupSocketAuth(socket, (publicKey, previousKey) => {
+      if (previousKey) socket.leave(userRoom(previousKey));
+      socket.join(userRoom(publicKey));
+      socket.emit('session', getSession(publicKey));
+    });
+
+    socket.on('session', () => {
+      if (socket.data.publicKey) socket.emit('session', getSession(socket.data.publicKey));
+    });
+
+    // Handle fetching the current round and the recent ones (newest first)
+    socket.on('games', () => {
+      try {
+        const { games } = crashRoundService.getHistory({ limit: RECENT_ROUNDS });
+
+        socket.emit('games', {
+          ...getStatus(),
+          _id: gameState.currentGame?.gameId,
+          players: [...gameState.players.values()].map(formatBet),
+          sideBets: gameState.sideBets.map((bet) => ({
+            playerID: bet.socketId,
+            side: bet.side,
+            betAmount: bet.betAmount,
+          })),
+          history: games,
+        });
+      } catch (error) {
+        logger.error('Error fetching crash games:', error);
+      }
     });
 
-    // Handle join game
+    // Clock-offset handshake: the client compares its send/receive times with the server time
+    socket.on('sync', (clientTime, ack) => {
+      if (typeof ack === 'function') {
+        ack({ clientTime, serverTime: Date.now() });
+      }
+    });
+
+    // Handle join game: accepted while betting, queued for the next round otherwise
+    // A user may hold up to MAX_BETS_PER_ROUND bets in a round, each with its own target
     socket.on('join-game', async (target, betAmount, currencyId) => {
       try {
         logger.info('Join game request:', { socketId: socket.id, target, betAmount, currencyId });
 
-        // Get public key from socket handshake or auth
-        const publicKey = socket.handshake.auth?.publicKey || socket.handshake.query?.publicKey;
-        const normalizedPublicKey = normalizePublicKey(publicKey);
+        const user = getSocketUser(socket);
+        if (!user) {
+          socket.emit('bet-join-error', { message: 'Wallet not verified' });
+          return;
+        }
 
-        if (!normalizedPublicKey) {
-          socket.emit('bet-join-error', { message: 'Public key required' });
+        const amount = parseFloat(betAmount);
+        if (!(amount > 0)) {
+          socket.emit('bet-join-error', { message: 'Invalid bet amount' });
           return;
         }
 
-        // Get or create user
-        let user = getOne('SELECT * FROM users WHERE public_key = ?', [normalizedPublicKey]);
-        if (!user) {
-          run('INSERT INTO users (public_key, balance) VALUES (?, ?)', [normalizedPublicKey, 0]);
-          user = getOne('SELECT * FROM users WHERE public_key = ?', [normalizedPublicKey]);
+        // The stake is locked when the bet joins a round, not through /api/games/place-bet
+        const availableBalance = parseFloat(user.balance) - parseFloat(user.locked_balance || 0);
+        if (availableBalance < amount) {
+          socket.emit('bet-join-error', { message: 'Insufficient balance' });
+          return;
         }
 
-        // Check if game is in starting state
-        if (!gameState.isRunning && !gameState.currentGame) {
-          // Start new game
-          const crashPoint = generateCrashMultiplier();
-          const gameId = `crash-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-
-          gameState.currentGame = {
-            gameId,
-            crashPoint,
-            startTime: Date.now(),
-            players: [],
-          };
-          gameState.isRunning = true;
-          gameState.startTime = Date.now();
-          gameState.multiplier = 1.0;
-
-          // Emit game starting
-          crashNamespace.emit('game-starting', {
-            gameId,
-            countdown: 5,
-          });
-
-          // Start game after countdown
-          setTimeout(() => {
-            crashNamespace.emit('game-started', {
-              gameId,
-              crashPoint,
-            });
-
-            // Simulate multiplier growth
-            let currentMultiplier = 1.0;
-            const interval = setInterval(() => {
-              if (!gameState.isRunning) {
-                clearInterval(interval);
-                return;
-              }
-
-              currentMultiplier += 0.01;
-              gameState.multiplier = currentMultiplier;
-
-              crashNamespace.emit('multiplier-update', {
-                multiplier: currentMultiplier.toFixed(2),
-              });
-
-              // Check if crashed
-              if (currentMultiplier >= crashPoint) {
-                clearInterval(interval);
-                gameState.isRunning = false;
-
-                // Process all players
-                gameState.players.forEach((player, socketId) => {
-                  if (player.cashedOut) {
-                    // Player already cashed out
-                    return;
-                  }
-
-                  // Player crashed - lost bet
-                  const betAmount = parseFloat(player.betAmount);
-                  transaction(() => {
-                    run(
-                      `UPDATE users SET locked_balance = locked_balance - ? WHERE id = ?`,
-                      [betAmount, player.userId]
-                    );
-
-                    run(
-                      `UPDATE games SET status = ?, completed_at = datetime('now') WHERE id = ?`,
-                      ['lost', player.gameId]
-                    );
-                  });
-                });
-
-                crashNamespace.emit('game-crashed', {
-                  crashPoint: crashPoint.toFixed(2),
-                });
-
-                // Reset game state
-                setTimeout(() => {
-                  gameState.currentGame = null;
-                  gameState.players.clear();
-                  gameState.multiplier = 1.0;
-                }, 5000);
-              }
-            }, 100); // Update every 100ms
-          }, 5000);
+        // Bets already held in the round the new one would join
+        const betting = gameState.status === GAME_STATUS.BETTING;
+        const held = [...(betting ? gameState.players : gameState.queue).values()].filter(
+          (bet) => bet.userId === user.id
+        ).length;
+        if (held >= MAX_BETS_PER_ROUND) {
+          socket.emit('bet-join-error', { message: `Up to ${MAX_BETS_PER_ROUND} bets per round` });
+          return;
         }
 
-        // Add player to game
-        const gameId = gameState.currentGame?.gameId || `crash-${Date.now()}`;
-        const playerData = {
-          socketId: socket.id,
+        const bet = {
+          betId: `crash-bet-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
           userId: user.id,
-          betAmount: parseFloat(betAmount),
+          publicKey: user.public_key,
+          socketId: socket.id,
+          betAmount: amount,
           target: parseFloat(target) || 0,
           currencyId: currencyId || '',
-          gameId,
-          cashedOut: false,
         };
 
-        gameState.players.set(socket.id, playerData);
-
-        // Create game record in database
-        transaction(() => {
-          run(
-            `INSERT INTO games (game_id, user_id, game_type, bet_amount, status, metadata)
-             VALUES (?, ?, ?, ?, ?, ?)`,
-            [
-              gameId,
-              user.id,
-              'crash',
-              betAmount,
-              'active',
-              JSON.stringify({ target, currencyId }),
-            ]
-          );
-        });
+        if (betting) {
+          addPlayer(bet);
+          return;
+        }
 
-        socket.emit('bet-join-success', {
+        gameState.queue.set(bet.betId, bet);
+        crashNamespace.to(userRoom(user.public_key)).emit('bet-queued', {
           playerID: socket.id,
-          betAmount: betAmount,
-          gameId,
+          betId: bet.betId,
+          betAmount: bet.betAmount,
+          target: bet.target,
         });
       } catch (error) {
         logger.error('Error joining crash game:', error);
@@ -199,79 +693,135 @@ export function setupCrashSocket(io) {
       }
     });
 
-    // Handle cashout
-    socket.on('bet-cashout', async () => {
+    // Handle a trenball side bet: only while betting, one bet per side and round
+    socket.on('trenball-bet', async (side, betAmount, currencyId) => {
       try {
-        const player = gameState.players.get(socket.id);
-        if (!player || player.cashedOut) {
-          socket.emit('bet-cashout-error', { message: 'No active bet found' });
+        const user = getSocketUser(socket);
+        if (!user) {
+          socket.emit('trenball-bet-error', { message: 'Wallet not verified' });
           return;
         }
 
-        if (!gameState.isRunning) {
-          socket.emit('bet-cashout-error', { message: 'Game is not running' });
+        if (!Object.hasOwn(TRENBALL_SIDES, side)) {
+          socket.emit('trenball-bet-error', { message: 'Invalid side' });
           return;
         }
 
-        // Calculate win amount
-        const currentMultiplier = gameState.multiplier;
-        const winAmount = player.betAmount * currentMultiplier;
-        const betAmount = player.betAmount;
+        const amount = parseFloat(betAmount);
+        if (!(amount > 0)) {
+          socket.emit('trenball-bet-error', { message: 'Invalid bet amount' });
+          return;
+        }
 
-        // Mark as cashed out
-        player.cashedOut = true;
-        player.cashoutMultiplier = currentMultiplier;
+        if (gameState.status !== GAME_STATUS.BETTING) {
+          socket.emit('trenball-bet-error', { message: 'Betting is closed for this round' });
+          return;
+        }
 
-        // Process cashout in database
-        transaction(() => {
-          // Unlock bet amount and add winnings
-          run(
-            `UPDATE users 
-             SET locked_balance = locked_balance - ?,
-                 balance = balance - ? + ?
-             WHERE id = ?`,
-            [betAmount, betAmount, winAmount, player.userId]
-          );
+        if (gameState.sideBets.some((bet) => bet.userId === user.id && bet.side === side)) {
+          socket.emit('trenball-bet-error', { message: 'Already bet on this side this round' });
+          return;
+        }
 
-          // Update game status
-          run(
-            `UPDATE games 
-             SET status = ?, win_amount = ?, completed_at = datetime('now')
-             WHERE id = ?`,
-            ['completed', winAmount, player.gameId]
-          );
+        // The stake is locked here, not through /api/games/place-bet
+        const availableBalance = parseFloat(user.balance) - parseFloat(user.locked_balance || 0);
+        if (availableBalance < amount) {
+          socket.emit('trenball-bet-error', { message: 'Insufficient balance' });
+          return;
+        }
 
-          // Create cashout transaction
-          run(
-            `INSERT INTO transactions 
-             (user_id, type, game_type, amount, win_amount, status, metadata)
-             VALUES (?, ?, ?, ?, ?, ?, ?)`,
-            [
-              player.userId,
-              'cashout',
-              'crash',
-              betAmount,
-              winAmount,
-              'completed',
-              JSON.stringify({ gameId: player.gameId, multiplier: currentMultiplier }),
-            ]
-          );
-        });
+        const bet = trenballService.placeBet(
+          { userId: user.id, side, betAmount: amount, currencyId: currencyId || '' },
+          gameState.currentGame.gameId
+        );
+        gameState.sideBets.push({ ...bet, publicKey: user.public_key, socketId: socket.id });
 
-        socket.emit('bet-cashout-success', {
+        socket.emit('trenball-bet-success', {
           playerID: socket.id,
-          multiplier: currentMultiplier.toFixed(2),
-          winAmount: winAmount.toFixed(4),
+          side,
+          betAmount: amount,
+          payout: bet.payout,
+          gameId: bet.roundId,
+        });
+        crashNamespace.emit('trenball-bet', { playerID: socket.id, side, betAmount: amount, payout: bet.payout });
+      } catch (error) {
+        logger.error('Error placing trenball bet:', error);
+        socket.emit('trenball-bet-error', { message: 'Failed to place bet' });
+      }
+    });
+
+    // Handle cancelling bets queued for the next round: one by ID, or all of the user's
+    // Queued bets are staked only when their round opens, so there is no stake to release
+    socket.on('cancel-bet', (betId) => {
+      const user = getSocketUser(socket);
+      const betIds = [...gameState.queue.values()]
+        .filter((bet) => bet.userId === user?.id && (!betId || bet.betId === betId))
+        .map((bet) => bet.betId);
+
+      if (betIds.length === 0) {
+        socket.emit('game-cancel-error', { message: 'No queued bet found' });
+        return;
+      }
+
+      betIds.forEach((id) => gameState.queue.delete(id));
+      crashNamespace.to(userRoom(user.public_key)).emit('game-cancel-success', { betIds });
+    });
+
+    // Handle cashout of one bet by ID, or of all the user's bets without one
+    // `amount` cashes out only that much of the bet's stake; the rest keeps riding
+    socket.on('bet-cashout', async (betId, amount) => {
+      // Cash out at the multiplier of the moment the request is handled
+      const requestedAt = Date.now();
+      try {
+        const user = getSocketUser(socket);
+        const bets = [...gameState.players.values()].filter(
+          (player) => player.userId === user?.id && !player.cashedOut && (!betId || player.betId === betId)
+        );
+        if (bets.length === 0) {
+          socket.emit('bet-cashout-error', { betId, message: 'No active bet found' });
+          return;
+        }
+
+        const stake = amount === undefined || amount === null ? null : parseFloat(amount);
+        if (stake !== null && (!betId || !(stake > 0) || stake > bets[0].remaining)) {
+          socket.emit('bet-cashout-error', { betId, message: 'Invalid cashout amount' });
+          return;
+        }
+
+        if (gameState.status !== GAME_STATUS.RUNNING) {
+          socket.emit('bet-cashout-error', { betId, message: 'Game is not running' });
+          return;
+        }
+
+        // The curve may have passed the crash point before the crash timer fired
+        const currentMultiplier = multiplierAt(requestedAt - gameState.startTime, GROWTH_RATE);
+        if (currentMultiplier >= gameState.currentGame.crashPoint) {
+          socket.emit('bet-cashout-error', { betId, message: 'Game has crashed' });
+          return;
+        }
+
+        bets.forEach((player) => {
+          // A target or the payout cap already reached is paid at that multiplier, even if its timer is late
+          let multiplier = currentMultiplier;
+          if (player.autoCashout && multiplier > player.autoCashout) {
+            multiplier = player.autoCashout;
+          }
+          if (gameState.capMultiplier && multiplier > gameState.capMultiplier) {
+            multiplier = gameState.capMultiplier;
+          }
+
+          cashoutPlayer(player, multiplier, stake === null ? {} : { amount: stake });
         });
+        scheduleCap();
       } catch (error) {
         logger.error('Error processing cashout:', error);
-        socket.emit('bet-cashout-error', { message: 'Cashout failed' });
+        socket.emit('bet-cashout-error', { betId, message: 'Cashout failed' });
       }
     });
 
     socket.on('disconnect', () => {
       logger.info('Crash game client disconnected:', socket.id);
-      gameState.players.delete(socket.id);
+      // Bets stay in play, queued ones included: auto-cashout and settlement do not need the socket
     });
   });
 }
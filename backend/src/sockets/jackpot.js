@@ -0,0 +1,25 @@
+import { logger } from '../utils/logger.js';
+import { jackpotService } from '../services/jackpotService.js';
+
+/**
+ * Setup jackpot socket handlers
+ * Pushes the progressive pool to every client as it grows and when it is won
+ */
+export function setupJackpotSocket(io) {
+  const jackpotNamespace = io.of('/jackpot');
+  jackpotService.attach(jackpotNamespace);
+
+  jackpotNamespace.on('connection', (socket) => {
+    logger.info('Jackpot client connected:', socket.id);
+
+    try {
+      socket.emit('jackpot', jackpotService.formatPool(jackpotService.getPool()));
+    } catch (error) {
+      logger.error('Error sending jackpot pool:', error);
+    }
+
+    socket.on('disconnect', () => {
+      logger.info('Jackpot client disconnected:', socket.id);
+    });
+  });
+}
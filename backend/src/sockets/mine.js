@@ -0,0 +1,33 @@
+import { logger } from '../utils/logger.js';
+import { getOne } from '../utils/dbHelpers.js';
+import { mineAutobetService } from '../services/mineAutobetService.js';
+import { setupSocketAuth } from './auth.js';
+
+/**
+ * Setup Mines socket handlers
+ * Streams server-run autobet progress to the session owner
+ */
+export function setupMineSocket(io) {
+  const mineNamespace = io.of('/mine');
+  mineAutobetService.attach(mineNamespace);
+
+  mineNamespace.on('connection', (socket) => {
+    logger.info('Mines client connected:', socket.id);
+
+    // A verified user follows its own autobet session, and picks up one that kept running without it
+    setupSocketAuth(socket, (publicKey, previousKey) => {
+      if (previousKey) socket.leave(mineAutobetService.room(previousKey));
+      socket.join(mineAutobetService.room(publicKey));
+
+      const user = getOne('SELECT * FROM users WHERE public_key = ?', [publicKey]);
+      const session = user ? mineAutobetService.getSession(user.id) : null;
+      if (session) {
+        socket.emit('autobet-start', mineAutobetService.formatSession(session));
+      }
+    });
+
+    socket.on('disconnect', () => {
+      logger.info('Mines client disconnected:', socket.id);
+    });
+  });
+}
@@ -1,41 +1,41 @@
 import { logger } from '../utils/logger.js';
 import { getOne, run, transaction } from '../utils/dbHelpers.js';
+import { calculateSlideResult, SLIDE_HOUSE_EDGE, SLIDE_MAX_MULTIPLIER } from '../utils/provablyFair.js';
+import { hashChainService } from '../services/hashChainService.js';
+import { setupSocketAuth } from './auth.js';
 
 // Game state management
 const gameState = {
   currentGame: null,
-  players: new Map(), // socketId -> player data
+  players: new Map(), // userId -> bet of the current round (bets outlive the socket that placed them)
   status: 'WAITTING', // WAITTING, STARTING, BETTING, PLAYING
   result: null,
   history: [],
 };
 
-// Generate slide result (provably fair)
-function generateSlideResult() {
-  // Simple provably fair result generation
-  // In production, use a proper provably fair algorithm
-  const hash = Math.random().toString(36).substring(2, 15);
-  const seed = parseInt(hash, 36) % 1000000;
-  const e = 2 ** 32;
-  const h = seed / e;
-  
-  // Generate result between 1.01x and 100x
-  let result = 1.01 + (h * 98.99);
-  result = Math.floor(result * 100) / 100;
-  
-  return result;
+// Take the next round from the slide hash chain and derive its outcome (provably fair)
+// The round hash is the server seed and the chain's public salt is the client seed
+function generateSlideRound() {
+  const round = hashChainService.nextRound('slide');
+  const seeds = {
+    serverSeed: round.hash,
+    clientSeed: round.salt,
+    nonce: round.round,
+  };
+
+  return {
+    ...seeds,
+    chainId: round.chainId,
+    serverSeedHash: round.previousHash,
+    terminatingHash: round.terminatingHash,
+    houseEdge: SLIDE_HOUSE_EDGE,
+    result: calculateSlideResult(seeds, SLIDE_HOUSE_EDGE),
+  };
 }
 
-// Normalize public key (handle 60-character WalletConnect format)
-function normalizePublicKey(publicKey) {
-  if (!publicKey) return null;
-  let normalized = publicKey.trim();
-  if (normalized.length === 60) {
-    normalized = normalized.slice(-55);
-  } else if (normalized.length > 55) {
-    normalized = normalized.slice(-55);
-  }
-  return normalized.length === 55 ? normalized : null;
+// Room joined by every connection of a user, so results reach whichever sockets are open
+function userRoom(publicKey) {
+  return `user:${publicKey}`;
 }
 
 /**
@@ -44,6 +44,106 @@ function normalizePublicKey(publicKey) {
 export function setupSlideSocket(io) {
   const slideNamespace = io.of('/slide');
 
+  // Current round with a user's open bet, sent when a client (re)connects
+  const getSession = (publicKey) => {
+    const bet = [...gameState.players.values()].find((player) => player.publicKey === publicKey);
+
+    return {
+      status: gameState.status,
+      _id: gameState.currentGame?.gameId,
+      publicSeed: gameState.currentGame?.publicSeed,
+      privateHash: gameState.currentGame?.privateHash,
+      terminatingHash: gameState.currentGame?.terminatingHash,
+      resultpoint: gameState.result,
+      bet: bet
+        ? { betAmount: bet.betAmount, target: bet.target, gameId: bet.roundId }
+        : null,
+    };
+  };
+
+  // Settle a bet from the round's result and send the outcome to its owner
+  // A winning bet is paid at its target, which is what its win chance is priced on
+  const settlePlayer = (player, result) => {
+    const betAmount = player.betAmount;
+    const won = result >= player.target;
+    const winAmount = won ? betAmount * player.target : 0;
+
+    if (won) {
+      // Player won
+      transaction(() => {
+        run(
+          `UPDATE users 
+           SET locked_balance = locked_balance - ?,
+               balance = balance - ? + ?
+           WHERE id = ?`,
+          [betAmount, betAmount, winAmount, player.userId]
+        );
+
+        run(
+          `UPDATE games 
+           SET status = ?, win_amount = ?, completed_at = datetime('now')
+           WHERE game_id = ?`,
+          ['completed', winAmount, player.gameId]
+        );
+
+        run(
+          `INSERT INTO transactions 
+           (user_id, type, game_type, amount, win_amount, status, metadata)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [
+            player.userId,
+            'cashout',
+            'slide',
+            betAmount,
+            winAmount,
+            'completed',
+            JSON.stringify({ gameId: player.roundId, multiplier: player.target, result }),
+          ]
+        );
+      });
+    } else {
+      // Player lost: the stake leaves both the locked and the total balance
+      transaction(() => {
+        run(
+          `UPDATE users 
+           SET locked_balance = locked_balance - ?,
+               balance = balance - ?
+           WHERE id = ?`,
+          [betAmount, betAmount, player.userId]
+        );
+
+        run(
+          `UPDATE games SET status = ?, win_amount = 0, completed_at = datetime('now') WHERE game_id = ?`,
+          ['lost', player.gameId]
+        );
+
+        run(
+          `INSERT INTO transactions 
+           (user_id, type, game_type, amount, win_amount, status, metadata)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [
+            player.userId,
+            'loss',
+            'slide',
+            betAmount,
+            0,
+            'completed',
+            JSON.stringify({ gameId: player.roundId, multiplier: player.target, result }),
+          ]
+        );
+      });
+    }
+
+    slideNamespace.to(userRoom(player.publicKey)).emit('bet-result', {
+      gameId: player.roundId,
+      betAmount,
+      target: player.target,
+      resultpoint: result,
+      won,
+      winAmount,
+    });
+  };
+
   // Game loop
   const startGameLoop = () => {
     if (gameState.status !== 'WAITTING') return;
@@ -56,97 +156,113 @@ export function setupSlideSocket(io) {
     });
 
     setTimeout(() => {
+      // Commit to the round's seeds before any bets are accepted
+      let round;
+      try {
+        round = generateSlideRound();
+      } catch (error) {
+        // Keep the loop alive; the next attempt starts after another countdown
+        logger.error('Error starting slide round:', error);
+        gameState.status = 'WAITTING';
+        startGameLoop();
+        return;
+      }
+      const gameId = `slide-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+      gameState.currentGame = {
+        gameId,
+        result: round.result,
+        serverSeed: round.serverSeed,
+        publicSeed: round.clientSeed,
+        privateHash: round.serverSeedHash,
+        nonce: round.nonce,
+        terminatingHash: round.terminatingHash,
+        startTime: Date.now(),
+      };
+
+      // Persist the round so it can be verified once settled; the round is played from memory either way
+      try {
+        run(
+          `INSERT INTO slide_rounds
+           (game_id, chain_id, round_number, hash, previous_hash, client_seed, house_edge, result, status)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            gameId,
+            round.chainId,
+            round.nonce,
+            round.serverSeed,
+            round.serverSeedHash,
+            round.clientSeed,
+            round.houseEdge,
+            round.result,
+            'betting',
+          ]
+        );
+      } catch (error) {
+        logger.error('Error saving slide round:', error);
+      }
+
       gameState.status = 'BETTING';
       slideNamespace.emit('status', {
         status: 'BETTING',
         countdown: 10, // 10 seconds to place bets
+        _id: gameId,
+        publicSeed: round.clientSeed,
+        privateHash: round.serverSeedHash,
+        nonce: round.nonce,
+        terminatingHash: round.terminatingHash,
       });
 
       setTimeout(() => {
-        // Generate result
-        const result = generateSlideResult();
+        const { result } = round;
         gameState.result = result;
         gameState.status = 'PLAYING';
 
-        // Generate public/private seeds for provably fair
-        const publicSeed = Math.random().toString(36).substring(2, 15);
-        const privateHash = Buffer.from(Math.random().toString(36)).toString('base64').substring(0, 32);
-
-        const gameId = `slide-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        gameState.currentGame = {
-          gameId,
-          result,
-          publicSeed,
-          privateHash,
-          startTime: Date.now(),
-        };
+        try {
+          run(
+            `UPDATE slide_rounds SET status = ?, started_at = datetime('now') WHERE game_id = ?`,
+            ['playing', gameId]
+          );
+        } catch (error) {
+          logger.error('Error marking slide round as playing:', error);
+        }
 
+        // Reveal the round hash together with the result
         slideNamespace.emit('status', {
           status: 'PLAYING',
           _id: gameId,
-          publicSeed,
-          privateHash,
+          publicSeed: round.clientSeed,
+          privateHash: round.serverSeedHash,
+          privateSeed: round.serverSeed,
+          nonce: round.nonce,
           resultpoint: result,
         });
 
         // Process all players
         setTimeout(() => {
-          gameState.players.forEach((player, socketId) => {
-            const winAmount = player.betAmount * result;
-            const betAmount = player.betAmount;
-
-            if (result >= player.target) {
-              // Player won
-              transaction(() => {
-                run(
-                  `UPDATE users 
-                   SET locked_balance = locked_balance - ?,
-                       balance = balance - ? + ?
-                   WHERE id = ?`,
-                  [betAmount, betAmount, winAmount, player.userId]
-                );
-
-                run(
-                  `UPDATE games 
-                   SET status = ?, win_amount = ?, completed_at = datetime('now')
-                   WHERE id = ?`,
-                  ['completed', winAmount, player.gameId]
-                );
-
-                run(
-                  `INSERT INTO transactions 
-                   (user_id, type, game_type, amount, win_amount, status, metadata)
-                   VALUES (?, ?, ?, ?, ?, ?, ?)`,
-                  [
-                    player.userId,
-                    'cashout',
-                    'slide',
-                    betAmount,
-                    winAmount,
-                    'completed',
-                    JSON.stringify({ gameId: player.gameId, multiplier: result, target: player.target }),
-                  ]
-                );
-              });
-            } else {
-              // Player lost
-              transaction(() => {
-                run(
-                  `UPDATE users SET locked_balance = locked_balance - ? WHERE id = ?`,
-                  [betAmount, player.userId]
-                );
-
-                run(
-                  `UPDATE games SET status = ?, completed_at = datetime('now') WHERE id = ?`,
-                  ['lost', player.gameId]
-                );
-              });
+          // Every bet is settled, whether or not its owner is still connected
+          gameState.players.forEach((player) => {
+            try {
+              settlePlayer(player, result);
+            } catch (error) {
+              logger.error('Error settling slide bet:', error);
             }
           });
 
+          try {
+            run(
+              `UPDATE slide_rounds SET status = ?, ended_at = datetime('now') WHERE game_id = ?`,
+              ['settled', gameId]
+            );
+          } catch (error) {
+            logger.error('Error saving slide round results:', error);
+          }
+
           // Add to history
           gameState.history.unshift({
+            _id: gameId,
             resultpoint: result,
+            privateSeed: round.serverSeed,
+            nonce: round.nonce,
             timestamp: Date.now(),
           });
           if (gameState.history.length > 100) {
@@ -176,12 +292,24 @@ export function setupSlideSocket(io) {
   slideNamespace.on('connection', (socket) => {
     logger.info('Slide game client connected:', socket.id);
 
+    // A verified user gets its open bet back with the current round
+    setupSocketAuth(socket, (publicKey, previousKey) => {
+      if (previousKey) socket.leave(userRoom(previousKey));
+      socket.join(userRoom(publicKey));
+      socket.emit('session', getSession(publicKey));
+    });
+
+    socket.on('session', () => {
+      if (socket.data.publicKey) socket.emit('session', getSession(socket.data.publicKey));
+    });
+
     // Send current status
     socket.emit('status', {
       status: gameState.status,
       _id: gameState.currentGame?.gameId,
       publicSeed: gameState.currentGame?.publicSeed,
       privateHash: gameState.currentGame?.privateHash,
+      terminatingHash: gameState.currentGame?.terminatingHash,
       resultpoint: gameState.result,
     });
 
@@ -205,12 +333,11 @@ export function setupSlideSocket(io) {
           return;
         }
 
-        // Get public key from socket handshake or auth
-        const publicKey = socket.handshake.auth?.publicKey || socket.handshake.query?.publicKey;
-        const normalizedPublicKey = normalizePublicKey(publicKey);
+        // Public key of the wallet the socket verified with `auth`
+        const normalizedPublicKey = socket.data.publicKey;
 
         if (!normalizedPublicKey) {
-          socket.emit('game-join-error', { message: 'Public key required' });
+          socket.emit('game-join-error', { message: 'Wallet not verified' });
           return;
         }
 
@@ -221,19 +348,38 @@ export function setupSlideSocket(io) {
           user = getOne('SELECT * FROM users WHERE public_key = ?', [normalizedPublicKey]);
         }
 
-        const gameId = gameState.currentGame?.gameId || `slide-${Date.now()}`;
+        const targetMultiplier = parseFloat(target) || 1.01;
+        if (targetMultiplier < 1.01 || targetMultiplier > SLIDE_MAX_MULTIPLIER) {
+          socket.emit('game-join-error', { message: `Target must be between 1.01x and ${SLIDE_MAX_MULTIPLIER}x` });
+          return;
+        }
+
+        const amount = parseFloat(betAmount);
+        if (!(amount > 0)) {
+          socket.emit('game-join-error', { message: 'Invalid bet amount' });
+          return;
+        }
 
-        // Add player to game
+        if (gameState.players.has(user.id)) {
+          socket.emit('game-join-error', { message: 'Already joined this round' });
+          return;
+        }
+
+        // Add player to game (one games row per player, linked to the round)
+        const roundId = gameState.currentGame.gameId;
+        const gameId = `${roundId}-${user.id}`;
         const playerData = {
           socketId: socket.id,
           userId: user.id,
-          betAmount: parseFloat(betAmount),
-          target: parseFloat(target) || 1.01,
+          publicKey: normalizedPublicKey,
+          betAmount: amount,
+          target: targetMultiplier,
           currencyId: currencyId || '',
           gameId,
+          roundId,
         };
 
-        gameState.players.set(socket.id, playerData);
+        gameState.players.set(user.id, playerData);
 
         // Create game record in database
         transaction(() => {
@@ -244,9 +390,9 @@ export function setupSlideSocket(io) {
               gameId,
               user.id,
               'slide',
-              betAmount,
+              amount,
               'active',
-              JSON.stringify({ target, currencyId }),
+              JSON.stringify({ target: targetMultiplier, currencyId, roundId }),
             ]
           );
         });
@@ -254,15 +400,15 @@ export function setupSlideSocket(io) {
         socket.emit('game-join-sucess', {
           playerId: socket.id,
           target,
-          betAmount,
-          gameId,
-          _id: gameId,
+          betAmount: amount,
+          gameId: roundId,
+          _id: roundId,
         });
 
         // Emit bet to all clients
         slideNamespace.emit('bet', {
           playerId: socket.id,
-          betAmount,
+          betAmount: amount,
           target,
         });
       } catch (error) {
@@ -273,7 +419,7 @@ export function setupSlideSocket(io) {
 
     socket.on('disconnect', () => {
       logger.info('Slide game client disconnected:', socket.id);
-      gameState.players.delete(socket.id);
+      // The bet stays in the round and is settled without the socket
     });
   });
 }
@@ -0,0 +1,28 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterAll, beforeAll, jest } from '@jest/globals';
+
+/**
+ * Run the calling test file against its own throwaway database
+ * Call it before importing anything that loads config/database.js, which reads
+ * DB_PATH when it is first imported; import those modules dynamically afterwards
+ * @param {string} name - Part of the database file name
+ */
+export function useTestDB(name) {
+  const dbPath = path.join(os.tmpdir(), `casino-${name}-${process.pid}.db`);
+  process.env.DB_PATH = dbPath;
+  process.env.LOG_LEVEL = 'error';
+
+  beforeAll(async () => {
+    // connectDB starts an autosave interval, which would hold the test run open
+    jest.useFakeTimers();
+    const { connectDB } = await import('../config/database.js');
+    await connectDB();
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+    fs.rmSync(dbPath, { force: true });
+  });
+}
@@ -0,0 +1,35 @@
+import express from 'express';
+import { afterAll, beforeAll, jest } from '@jest/globals';
+
+/**
+ * Serve a router on a free local port for the calling test file
+ * Call it after useTestDB, whose fake timers it swaps for real ones once the
+ * database is connected, so the server can answer
+ * @param {string} mountPath - Path the router is mounted on, e.g. '/api/mine'
+ * @param {() => import('express').Router} getRouter - Returns the router once it is imported
+ * @returns {(path: string, body: object) => Promise<{status: number, body: object}>} POST as JSON
+ */
+export function useTestServer(mountPath, getRouter) {
+  let server;
+
+  beforeAll(async () => {
+    jest.useRealTimers();
+    const app = express();
+    app.use(express.json());
+    app.use(mountPath, getRouter());
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  return async (path, body) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${mountPath}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+}
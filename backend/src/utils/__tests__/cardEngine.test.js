@@ -0,0 +1,97 @@
+import { createDeck, shuffleDeck, rankHand, compareHands, bestHand, JOKER } from '../cardEngine.js';
+
+const card = (code) => {
+  const suits = { h: 'Hearts', d: 'Diamonds', c: 'Clubs', s: 'Spades' };
+  if (code === 'Jk') return { ...JOKER };
+  return { rank: code.slice(0, -1), suit: suits[code.slice(-1)] };
+};
+const hand = (codes) => codes.split(' ').map(card);
+
+describe('createDeck / shuffleDeck', () => {
+  test('builds 52 distinct cards plus jokers', () => {
+    const deck = createDeck(1);
+    expect(deck).toHaveLength(53);
+    expect(new Set(deck.slice(0, 52).map((c) => `${c.rank}${c.suit}`)).size).toBe(52);
+    expect(deck[52]).toEqual(JOKER);
+  });
+
+  test('shuffles deterministically from the seeds', () => {
+    const seeds = { serverSeed: 'server', clientSeed: 'client', nonce: 1 };
+    const shuffled = shuffleDeck(createDeck(), seeds);
+    expect(shuffled).toEqual(shuffleDeck(createDeck(), seeds));
+    expect(shuffled).not.toEqual(shuffleDeck(createDeck(), { ...seeds, nonce: 2 }));
+    expect(new Set(shuffled).size).toBe(52);
+  });
+});
+
+describe('rankHand', () => {
+  test('category counts over all 2,598,960 five-card hands match combinatorics', () => {
+    const deck = createDeck();
+    const counts = {};
+    const cards = new Array(5);
+
+    for (let a = 0; a < 48; a++) {
+      cards[0] = deck[a];
+      for (let b = a + 1; b < 49; b++) {
+        cards[1] = deck[b];
+        for (let c = b + 1; c < 50; c++) {
+          cards[2] = deck[c];
+          for (let d = c + 1; d < 51; d++) {
+            cards[3] = deck[d];
+            for (let e = d + 1; e < 52; e++) {
+              cards[4] = deck[e];
+              const { category } = rankHand(cards);
+              counts[category] = (counts[category] || 0) + 1;
+            }
+          }
+        }
+      }
+    }
+
+    expect(counts).toEqual({
+      royal_flush: 4,
+      straight_flush: 36,
+      four_of_a_kind: 624,
+      full_house: 3744,
+      flush: 5108,
+      straight: 10200,
+      three_of_a_kind: 54912,
+      two_pair: 123552,
+      pair: 1098240,
+      high_card: 1302540,
+    });
+  });
+
+  test('breaks ties on kickers', () => {
+    const better = rankHand(hand('Kh Kd 9c 7s 4h'));
+    const worse = rankHand(hand('Ks Kc 9d 7h 3h'));
+    expect(better.values).toEqual([13, 9, 7, 4]);
+    expect(compareHands(better, worse)).toBeGreaterThan(0);
+    expect(compareHands(rankHand(hand('Ah Ad 5c 5s 2h')), rankHand(hand('As Ac 5d 5h 2d')))).toBe(0);
+  });
+
+  test('ranks the wheel as a five-high straight', () => {
+    const wheel = rankHand(hand('Ah 2d 3c 4s 5h'));
+    expect(wheel).toMatchObject({ category: 'straight', values: [5] });
+    expect(compareHands(rankHand(hand('2h 3d 4c 5s 6h')), wheel)).toBeGreaterThan(0);
+  });
+
+  test('plays wild cards as the strongest hand', () => {
+    const deuces = { wildRanks: ['2'] };
+    expect(rankHand(hand('Ah Kh Qh Jh 2s'), deuces)).toMatchObject({ category: 'royal_flush', wilds: 1 });
+    expect(rankHand(hand('9h 9d 9c 2s 2h'), deuces).category).toBe('five_of_a_kind');
+    expect(rankHand(hand('5h 6h 2c 2s 2d'), deuces).category).toBe('straight_flush');
+    expect(rankHand(hand('Kh Kd 5c 5s Jk')).category).toBe('full_house');
+    expect(rankHand(hand('Kh 9h 5h 3h Jk')).values).toEqual([14, 13, 9, 5, 3]);
+    expect(rankHand(hand('Kh 9d 5c 3s Jk'))).toMatchObject({ category: 'pair', values: [13, 9, 5, 3] });
+  });
+});
+
+describe('bestHand', () => {
+  test('picks the best five of seven cards', () => {
+    const best = bestHand(hand('Ah Kh 7h 7d 2h 9c 5h'));
+    expect(best.category).toBe('flush');
+    expect(best.cards).toHaveLength(5);
+    expect(best.values).toEqual([14, 13, 7, 5, 2]);
+  });
+});
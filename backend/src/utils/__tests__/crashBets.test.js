@@ -0,0 +1,60 @@
+import { getAutoCashout, getCapMultiplier, subtractStake } from '../crashBets.js';
+
+describe('getAutoCashout', () => {
+  test('reads the target in hundredths of a multiplier', () => {
+    expect(getAutoCashout(200)).toBe(2);
+    expect(getAutoCashout('150')).toBe(1.5);
+    expect(getAutoCashout(101)).toBe(1.01);
+    expect(getAutoCashout(333.9)).toBe(3.33);
+  });
+
+  test('has no auto-cashout at or below 1x, or without a target', () => {
+    expect(getAutoCashout(100)).toBeNull();
+    expect(getAutoCashout(0)).toBeNull();
+    expect(getAutoCashout(-200)).toBeNull();
+    expect(getAutoCashout(undefined)).toBeNull();
+    expect(getAutoCashout('abc')).toBeNull();
+  });
+});
+
+describe('getCapMultiplier', () => {
+  test('is what is left of the cap over the stake still riding, rounded down', () => {
+    expect(getCapMultiplier(1000, 0, 100)).toBe(10);
+    expect(getCapMultiplier(10, 4.4, 4)).toBe(1.4);
+    expect(getCapMultiplier(1000, 0, 3)).toBe(333.33);
+  });
+
+  test('never goes below 1x, even when earlier cashouts used up the cap', () => {
+    expect(getCapMultiplier(1000, 990, 100)).toBe(1);
+    expect(getCapMultiplier(1000, 1200, 100)).toBe(1);
+  });
+
+  test('the riding stake never wins more than the cap at that multiplier', () => {
+    for (const [paid, stake] of [[0, 7], [123.45, 66.6], [500, 0.3]]) {
+      expect(getCapMultiplier(1000, paid, stake) * stake).toBeLessThanOrEqual(1000 - paid);
+    }
+  });
+});
+
+describe('subtractStake', () => {
+  test('leaves the stake still riding after a partial cashout', () => {
+    expect(subtractStake(10, 4)).toBe(6);
+    expect(subtractStake(0.3, 0.1)).toBe(0.2);
+    expect(subtractStake(1, 1 / 3)).toBe(0.66666667);
+  });
+
+  test('repeated splits of the remaining stake end at exactly 0', () => {
+    // 1.1 - 1 - 0.1 is 8.3e-17 in floating point
+    expect(subtractStake(subtractStake(1.1, 1), 0.1)).toBe(0);
+
+    let remaining = 1;
+    for (let i = 0; i < 2; i++) remaining = subtractStake(remaining, remaining / 3);
+    remaining = subtractStake(remaining, remaining);
+    expect(remaining).toBe(0);
+  });
+
+  test('never goes below 0', () => {
+    expect(subtractStake(1, 1.5)).toBe(0);
+    expect(subtractStake(0, 0.1)).toBe(0);
+  });
+});
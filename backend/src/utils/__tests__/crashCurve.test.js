@@ -0,0 +1,41 @@
+import { DEFAULT_GROWTH_RATE, delayUntilMultiplier, multiplierAt, timeToMultiplier } from '../crashCurve.js';
+
+describe('multiplierAt', () => {
+  test('starts at 1x and grows by e^(rate * ms), rounded down', () => {
+    expect(multiplierAt(0)).toBe(1);
+    expect(multiplierAt(-500)).toBe(1);
+    expect(multiplierAt(1000)).toBe(1.06);
+    expect(multiplierAt(10000, 0.0001)).toBe(2.71);
+  });
+
+  test('doubles after about 11.6 s at the default rate', () => {
+    expect(multiplierAt(11553)).toBe(2);
+    expect(multiplierAt(11552)).toBe(1.99);
+  });
+});
+
+describe('timeToMultiplier', () => {
+  test('is the first millisecond at which the multiplier is reached', () => {
+    for (const target of [1.01, 1.5, 2, 3.33, 10, 100, 1000]) {
+      const ms = timeToMultiplier(target);
+      expect(multiplierAt(ms)).toBeGreaterThanOrEqual(target);
+      expect(multiplierAt(ms - 1)).toBeLessThan(target);
+    }
+  });
+
+  test('is 0 at or below 1x and scales with the rate', () => {
+    expect(timeToMultiplier(1)).toBe(0);
+    expect(timeToMultiplier(0.5)).toBe(0);
+    expect(timeToMultiplier(2, DEFAULT_GROWTH_RATE * 2)).toBe(Math.ceil(timeToMultiplier(2) / 2));
+  });
+});
+
+describe('delayUntilMultiplier', () => {
+  test('schedules a target from the round start, and at once when it has passed', () => {
+    const startTime = 1000000;
+    const reachedAt = startTime + timeToMultiplier(2);
+    expect(delayUntilMultiplier(startTime, 2, DEFAULT_GROWTH_RATE, startTime)).toBe(timeToMultiplier(2));
+    expect(delayUntilMultiplier(startTime, 2, DEFAULT_GROWTH_RATE, reachedAt - 250)).toBe(250);
+    expect(delayUntilMultiplier(startTime, 2, DEFAULT_GROWTH_RATE, reachedAt + 250)).toBe(0);
+  });
+});
@@ -0,0 +1,157 @@
+import crypto from 'crypto';
+import {
+  CRASH_HOUSE_EDGE,
+  CRASH_MAX_MULTIPLIER,
+  SLIDE_HOUSE_EDGE,
+  SLIDE_MAX_MULTIPLIER,
+  hashServerSeed,
+  buildHashChain,
+  verifyHashChain,
+  byteGenerator,
+  generateFloats,
+  drawIndexes,
+  inverseMultiplier,
+  calculateCrashPoint,
+  calculateSlideResult,
+  calculateUniformSlideResult,
+  slideWinChance,
+  calculateMinePositions,
+  shuffleDeckFromSeeds,
+} from '../provablyFair.js';
+
+const seeds = { serverSeed: 'server', clientSeed: 'client', nonce: 7 };
+const hmac = (message) => crypto.createHmac('sha256', seeds.serverSeed).update(message).digest();
+const take = (generator, count) => Array.from({ length: count }, () => generator.next().value);
+
+describe('byteGenerator / generateFloats', () => {
+  test('streams HMAC-SHA256 blocks of clientSeed:nonce:round', () => {
+    const bytes = take(byteGenerator(seeds), 64);
+    expect(bytes).toEqual([...hmac('client:7:0'), ...hmac('client:7:1')]);
+  });
+
+  test('builds each float from 4 bytes, big end first', () => {
+    const [b0, b1, b2, b3] = hmac('client:7:0');
+    const [float] = generateFloats(seeds, 1);
+    expect(float).toBeCloseTo(b0 / 256 + b1 / 256 ** 2 + b2 / 256 ** 3 + b3 / 256 ** 4, 12);
+  });
+
+  test('floats are deterministic, in [0, 1), and offset skips earlier draws', () => {
+    const floats = generateFloats(seeds, 20);
+    expect(generateFloats(seeds, 20)).toEqual(floats);
+    floats.forEach((float) => {
+      expect(float).toBeGreaterThanOrEqual(0);
+      expect(float).toBeLessThan(1);
+    });
+    expect(generateFloats(seeds, 5, 15)).toEqual(floats.slice(15));
+    expect(generateFloats({ ...seeds, nonce: 8 }, 20)).not.toEqual(floats);
+  });
+});
+
+describe('drawIndexes / calculateMinePositions / shuffleDeckFromSeeds', () => {
+  test('draws distinct indexes in range', () => {
+    const indexes = drawIndexes(seeds, 25);
+    expect([...indexes].sort((a, b) => a - b)).toEqual(Array.from({ length: 25 }, (_, i) => i));
+  });
+
+  test('mine positions are the first draws of the full board order', () => {
+    for (const mines of [1, 3, 24]) {
+      const positions = calculateMinePositions(seeds, mines);
+      expect(positions).toHaveLength(mines);
+      expect(new Set(positions).size).toBe(mines);
+      expect(positions).toEqual(drawIndexes(seeds, 25).slice(0, mines));
+    }
+    calculateMinePositions(seeds, 10, 64).forEach((position) => expect(position).toBeLessThan(64));
+  });
+
+  test('shuffles a deck into a permutation, independently per offset', () => {
+    const deck = Array.from({ length: 52 }, (_, i) => `card${i}`);
+    const shuffled = shuffleDeckFromSeeds(deck, seeds);
+    expect([...shuffled].sort()).toEqual([...deck].sort());
+    expect(shuffled).not.toEqual(deck);
+    expect(shuffleDeckFromSeeds(deck, seeds)).toEqual(shuffled);
+    expect(shuffleDeckFromSeeds(deck, seeds, 52)).not.toEqual(shuffled);
+  });
+});
+
+describe('crash distribution', () => {
+  test('maps floats to (1 - edge) / (1 - float), rounded down and clamped', () => {
+    expect(inverseMultiplier(0, CRASH_HOUSE_EDGE, CRASH_MAX_MULTIPLIER)).toBe(1);
+    expect(inverseMultiplier(0.5, CRASH_HOUSE_EDGE, CRASH_MAX_MULTIPLIER)).toBe(1.98);
+    expect(inverseMultiplier(0.9, CRASH_HOUSE_EDGE, CRASH_MAX_MULTIPLIER)).toBe(9.9);
+    expect(inverseMultiplier(0.999999, CRASH_HOUSE_EDGE, CRASH_MAX_MULTIPLIER)).toBe(CRASH_MAX_MULTIPLIER);
+  });
+
+  test('crash points reach x with probability (1 - edge) / x', () => {
+    const rounds = 20000;
+    const points = Array.from({ length: rounds }, (_, nonce) => calculateCrashPoint({ ...seeds, nonce }));
+
+    for (const target of [1.5, 2, 10]) {
+      const share = points.filter((point) => point >= target).length / rounds;
+      expect(Math.abs(share - (1 - CRASH_HOUSE_EDGE) / target)).toBeLessThan(0.01);
+    }
+    points.forEach((point) => {
+      expect(point).toBeGreaterThanOrEqual(1);
+      expect(point).toBeLessThanOrEqual(CRASH_MAX_MULTIPLIER);
+      expect(Math.round(point * 100) / 100).toBe(point);
+    });
+  });
+});
+
+describe('hash chain', () => {
+  const chain = buildHashChain('secret', 50);
+
+  test('each hash is the SHA-256 of the next one, from the seed down to the terminating hash', () => {
+    expect(chain).toHaveLength(51);
+    expect(chain[50]).toBe('secret');
+    for (let i = 0; i < 50; i++) {
+      expect(chain[i]).toBe(hashServerSeed(chain[i + 1]));
+    }
+  });
+
+  test('verifies a round hash by walking it down to the terminating hash', () => {
+    expect(verifyHashChain(chain[0], chain[0], 50)).toBe(0);
+    expect(verifyHashChain(chain[17], chain[0], 50)).toBe(17);
+    expect(verifyHashChain(chain[17], chain[0], 16)).toBe(-1);
+    expect(verifyHashChain(hashServerSeed('other'), chain[0], 50)).toBe(-1);
+  });
+});
+
+describe('slide', () => {
+  test('win chance is (1 - edge) / target, certain at 1x and none above the max', () => {
+    expect(slideWinChance(2, 0.01)).toBe(0.495);
+    expect(slideWinChance(1.01, 0.01)).toBeCloseTo(0.98019802, 8);
+    expect(slideWinChance(SLIDE_MAX_MULTIPLIER, 0.01)).toBe(0.00099);
+    expect(slideWinChance(1)).toBe(1);
+    expect(slideWinChance(0.5)).toBe(1);
+    expect(slideWinChance(SLIDE_MAX_MULTIPLIER + 0.01)).toBe(0);
+  });
+
+  test('results reach a target as often as its win chance', () => {
+    const rounds = 20000;
+    const results = Array.from({ length: rounds }, (_, nonce) => calculateSlideResult({ ...seeds, nonce }));
+
+    for (const target of [1.5, 2, 10]) {
+      const share = results.filter((result) => result >= target).length / rounds;
+      expect(Math.abs(share - slideWinChance(target))).toBeLessThan(0.01);
+    }
+    results.forEach((result) => {
+      expect(result).toBeGreaterThanOrEqual(1);
+      expect(result).toBeLessThanOrEqual(SLIDE_MAX_MULTIPLIER);
+    });
+  });
+
+  test('uses its own house edge on the crash distribution', () => {
+    const [float] = generateFloats(seeds, 1);
+    expect(calculateSlideResult(seeds)).toBe(inverseMultiplier(float, SLIDE_HOUSE_EDGE, SLIDE_MAX_MULTIPLIER));
+    expect(calculateSlideResult(seeds, 0)).toBe(inverseMultiplier(float, 0, SLIDE_MAX_MULTIPLIER));
+  });
+
+  test('rounds recorded before the house edge stay uniform between 1.01x and 100x', () => {
+    for (let nonce = 0; nonce < 1000; nonce++) {
+      const result = calculateUniformSlideResult({ ...seeds, nonce });
+      expect(result).toBeGreaterThanOrEqual(1.01);
+      expect(result).toBeLessThan(100);
+      expect(Math.round(result * 100) / 100).toBe(result);
+    }
+  });
+});
@@ -0,0 +1,73 @@
+import { JOKER, createDeck, shuffleDeck } from '../cardEngine.js';
+import { VARIANTS, evaluateHand, dealDoubleUp, resolveDoubleUp } from '../videoPoker.js';
+
+const card = (code) => {
+  const suits = { h: 'Hearts', d: 'Diamonds', c: 'Clubs', s: 'Spades' };
+  if (code === 'Jk') return { ...JOKER };
+  return { rank: code.slice(0, -1), suit: suits[code.slice(-1)] };
+};
+const hand = (codes) => codes.split(' ').map(card);
+const pays = (codes, variant) => {
+  const { ranking, multiplier } = evaluateHand(hand(codes), variant);
+  return [ranking, multiplier];
+};
+
+describe('evaluateHand', () => {
+  test('Jacks or Better pays jacks and up, and nothing below', () => {
+    expect(pays('Ah Kh Qh Jh 10h', 'jacks_or_better')).toEqual(['royal_flush', 800]);
+    expect(pays('Ac Ad Ah As 9s', 'jacks_or_better')).toEqual(['4_of_a_kind', 25]);
+    expect(pays('2h 7h 9h Jh Kh', 'jacks_or_better')).toEqual(['flush', 6]);
+    expect(pays('Jh Js 4c 7d 9s', 'jacks_or_better')).toEqual(['pair', 1]);
+    expect(pays('10h 10s 4c 7d 9s', 'jacks_or_better')).toEqual(['', 0]);
+  });
+
+  test('Bonus Poker splits four of a kind by rank', () => {
+    expect(pays('Ac Ad Ah As 9s', 'bonus_poker')).toEqual(['four_aces', 80]);
+    expect(pays('3c 3d 3h 3s 9s', 'bonus_poker')).toEqual(['four_2_4', 40]);
+    expect(pays('9c 9d 9h 9s As', 'bonus_poker')).toEqual(['four_5_k', 25]);
+    expect(pays('2h 7h 9h Jh Kh', 'bonus_poker')).toEqual(['flush', 5]);
+  });
+
+  test('Deuces Wild counts deuces as wild and starts at three of a kind', () => {
+    expect(pays('Ah Kh Qh Jh 10h', 'deuces_wild')).toEqual(['royal_flush', 800]);
+    expect(pays('2c 2d 2h 2s 9s', 'deuces_wild')).toEqual(['four_deuces', 200]);
+    expect(pays('2h Kh Qh Jh 10h', 'deuces_wild')).toEqual(['wild_royal_flush', 25]);
+    expect(pays('2h 2s 9c 9d 9h', 'deuces_wild')).toEqual(['5_of_a_kind', 15]);
+    expect(pays('2h 9c 9d 4s 7h', 'deuces_wild')).toEqual(['3_of_a_kind', 1]);
+    expect(pays('Kh Kd 4c 7d 9s', 'deuces_wild')).toEqual(['', 0]);
+  });
+
+  test('Joker Poker plays the joker as any card and pays kings and up', () => {
+    expect(pays('Jk Ah Kh Qh Jh', 'joker_poker')).toEqual(['wild_royal_flush', 100]);
+    expect(pays('Jk 7c 7d 7h 7s', 'joker_poker')).toEqual(['5_of_a_kind', 200]);
+    expect(pays('Jk Kh 4c 7d 9s', 'joker_poker')).toEqual(['pair', 1]);
+    expect(pays('Qh Qs 4c 7d 9s', 'joker_poker')).toEqual(['', 0]);
+  });
+
+  test('every variant paytable starts at the royal flush and lists each hand once', () => {
+    Object.values(VARIANTS).forEach((variant) => {
+      expect(variant.paytable[0]).toMatchObject({ id: 'royal_flush', multiplier: 800 });
+      expect(new Set(variant.paytable.map(({ id }) => id)).size).toBe(variant.paytable.length);
+    });
+  });
+});
+
+describe('double-up', () => {
+  const seeds = { serverSeed: 'server', clientSeed: 'client', nonce: 3 };
+
+  test('deals the dealer card and four face-down cards from one shuffled deck', () => {
+    const { dealerCard, cards } = dealDoubleUp(seeds);
+    expect([dealerCard, ...cards]).toEqual(shuffleDeck(createDeck(), seeds).slice(0, 5));
+    expect(new Set([dealerCard, ...cards].map(({ rank, suit }) => `${rank}${suit}`)).size).toBe(5);
+    expect(dealDoubleUp(seeds)).toEqual({ dealerCard, cards });
+    expect(dealDoubleUp({ ...seeds, nonce: 4 })).not.toEqual({ dealerCard, cards });
+  });
+
+  test('a higher rank wins, the same rank pushes and suits do not count', () => {
+    expect(resolveDoubleUp(card('Kh'), card('As'))).toBe('win');
+    expect(resolveDoubleUp(card('9h'), card('10c'))).toBe('win');
+    expect(resolveDoubleUp(card('Qh'), card('Qs'))).toBe('push');
+    expect(resolveDoubleUp(card('As'), card('2h'))).toBe('lose');
+    expect(resolveDoubleUp(card('3d'), card('2d'))).toBe('lose');
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Card engine shared by card games
+ * Decks, provably fair shuffling and poker hand ranking (with kickers and wild cards)
+ */
+
+import { shuffleDeckFromSeeds } from './provablyFair.js';
+
+export const SUITS = ['Hearts', 'Diamonds', 'Clubs', 'Spades'];
+export const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+export const JOKER = { rank: 'Joker', suit: 'Joker' };
+
+export const RANK_VALUES = {
+  '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7, '8': 8,
+  '9': 9, '10': 10, 'J': 11, 'Q': 12, 'K': 13, 'A': 14,
+};
+
+// Hand categories from weakest to strongest (five of a kind needs wild cards)
+export const HAND_CATEGORIES = [
+  { id: 'high_card', name: 'High Card' },
+  { id: 'pair', name: 'Pair' },
+  { id: 'two_pair', name: 'Two Pair' },
+  { id: 'three_of_a_kind', name: 'Three of a Kind' },
+  { id: 'straight', name: 'Straight' },
+  { id: 'flush', name: 'Flush' },
+  { id: 'full_house', name: 'Full House' },
+  { id: 'four_of_a_kind', name: 'Four of a Kind' },
+  { id: 'straight_flush', name: 'Straight Flush' },
+  { id: 'royal_flush', name: 'Royal Flush' },
+  { id: 'five_of_a_kind', name: 'Five of a Kind' },
+];
+
+const CATEGORY_INDEX = Object.fromEntries(HAND_CATEGORIES.map(({ id }, index) => [id, index]));
+
+/**
+ * Create a deck (unshuffled, suit by suit, jokers last)
+ * @param {number} jokers - Number of jokers to add to the 52 standard cards
+ */
+export function createDeck(jokers = 0) {
+  const deck = [];
+  for (const suit of SUITS) {
+    for (const rank of RANKS) {
+      deck.push({ rank, suit });
+    }
+  }
+  for (let i = 0; i < jokers; i++) {
+    deck.push({ ...JOKER });
+  }
+  return deck;
+}
+
+/**
+ * Shuffle a deck from a seed pair (see provablyFair.js)
+ * @param {Array<{rank: string, suit: string}>} deck - Deck to shuffle
+ * @param {object} seeds - { serverSeed, clientSeed, nonce }
+ * @param {number} offset - Floats already used by earlier shuffles of the same game
+ * @returns {Array<{rank: string, suit: string}>} The deck in dealing order
+ */
+export function shuffleDeck(deck, seeds, offset = 0) {
+  return shuffleDeckFromSeeds(deck, seeds, offset);
+}
+
+/**
+ * Highest straight distinct rank values can complete (aces high or low), 0 if none
+ * Missing ranks are assumed to be filled by wild cards
+ */
+function bestStraight(values) {
+  for (let high = 14; high >= 5; high--) {
+    const low = high - 4;
+    if (values.every((v) => (v >= low && v <= high) || (high === 5 && v === 14))) {
+      return high;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Rank a five-card hand
+ * Wild cards (jokers and `wildRanks`) always complete the strongest category.
+ * `values` holds the rank values that break ties within a category, most
+ * significant first (e.g. trips rank then kickers); `score` orders any two hands.
+ * @param {Array<{rank: string, suit: string}>} cards - Five cards
+ * @param {object} options - { wildRanks: ranks that play as wild cards }
+ * @returns {{category: string, name: string, rank: number, values: number[], wilds: number, score: number}}
+ */
+export function rankHand(cards, { wildRanks = [] } = {}) {
+  if (!cards || cards.length !== 5) {
+    throw new Error('A poker hand has exactly five cards');
+  }
+
+  const naturals = cards.filter((card) => card.rank !== JOKER.rank && !wildRanks.includes(card.rank));
+  const wilds = cards.length - naturals.length;
+
+  const counts = new Map();
+  for (const card of naturals) {
+    const value = RANK_VALUES[card.rank];
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+
+  // [value, count] pairs, biggest group first, higher rank first on a tie
+  const groups = [...counts].sort((a, b) => b[1] - a[1] || b[0] - a[0]);
+  const [topValue = 14, topCount = 0] = groups[0] || [];
+  const kickers = (from) => groups.slice(from).map(([value]) => value);
+
+  const distinct = groups.length === naturals.length;
+  const flush = naturals.every((card) => card.suit === naturals[0].suit);
+  const straightHigh = distinct ? bestStraight(kickers(0)) : 0;
+
+  let category;
+  let values;
+
+  if (topCount + wilds >= 5) {
+    category = 'five_of_a_kind';
+    values = [topValue];
+  } else if (flush && straightHigh) {
+    category = straightHigh === 14 ? 'royal_flush' : 'straight_flush';
+    values = [straightHigh];
+  } else if (topCount + wilds >= 4) {
+    category = 'four_of_a_kind';
+    values = [topValue, ...kickers(1)];
+  } else if (groups.length === 2) {
+    // 3 + 2 naturally, or two pairs and a wild
+    category = 'full_house';
+    values = [topValue, groups[1][0]];
+  } else if (flush) {
+    // Wilds become the highest ranks missing from the suit
+    category = 'flush';
+    values = kickers(0);
+    for (let v = 14; values.length < 5; v--) {
+      if (!counts.has(v)) values.push(v);
+    }
+    values.sort((a, b) => b - a);
+  } else if (straightHigh) {
+    category = 'straight';
+    values = [straightHigh];
+  } else if (topCount + wilds >= 3) {
+    category = 'three_of_a_kind';
+    values = [topValue, ...kickers(1)];
+  } else if (topCount === 2 && groups[1][1] === 2) {
+    category = 'two_pair';
+    values = kickers(0);
+  } else if (topCount + wilds >= 2) {
+    category = 'pair';
+    values = [topValue, ...kickers(1)];
+  } else {
+    category = 'high_card';
+    values = kickers(0);
+  }
+
+  const rank = CATEGORY_INDEX[category];
+  let score = rank;
+  for (let i = 0; i < 5; i++) {
+    score = score * 15 + (values[i] || 0);
+  }
+
+  return { category, name: HAND_CATEGORIES[rank].name, rank, values, wilds, score };
+}
+
+/**
+ * Compare two ranked hands
+ * @returns {number} > 0 if `a` wins, < 0 if `b` wins, 0 on a split
+ */
+export function compareHands(a, b) {
+  return a.score - b.score;
+}
+
+/**
+ * Best five-card hand from five or more cards (e.g. hole cards plus the board)
+ * @param {Array<{rank: string, suit: string}>} cards - Five or more cards
+ * @param {object} options - Passed to rankHand
+ * @returns {object} rankHand result plus the `cards` that make the hand
+ */
+export function bestHand(cards, options = {}) {
+  let best = null;
+
+  const choose = (start, hand) => {
+    if (hand.length === 5) {
+      const ranked = rankHand(hand, options);
+      if (!best || compareHands(ranked, best) > 0) {
+        best = { ...ranked, cards: [...hand] };
+      }
+      return;
+    }
+    for (let i = start; i <= cards.length - (5 - hand.length); i++) {
+      hand.push(cards[i]);
+      choose(i + 1, hand);
+      hand.pop();
+    }
+  };
+
+  choose(0, []);
+  return best;
+}
@@ -0,0 +1,37 @@
+/**
+ * Crash bet helpers
+ *
+ * Pure rules of a crash bet, shared by the round loop in sockets/crash.js.
+ */
+
+/**
+ * Auto-cashout multiplier of a bet
+ * @param {number|string} target - Multiplier in hundredths (200 = 2.00x), 0 for none
+ * @returns {number|null} Multiplier, or null when the bet has no auto-cashout
+ */
+export function getAutoCashout(target) {
+  const multiplier = Math.floor(parseFloat(target) || 0) / 100;
+  return multiplier > 1 ? multiplier : null;
+}
+
+/**
+ * Multiplier at which the bets still riding reach a round's payout cap
+ * @param {number} maxPayout - Most the round may pay out
+ * @param {number} paid - Already paid by the round's earlier cashouts
+ * @param {number} activeStake - Stake still riding
+ * @returns {number} Multiplier rounded down to 2 decimals, never below 1x
+ */
+export function getCapMultiplier(maxPayout, paid, activeStake) {
+  return Math.max(1, Math.floor(((maxPayout - paid) / activeStake) * 100) / 100);
+}
+
+/**
+ * Stake left riding after a partial cashout
+ * Kept to 8 decimals so that repeated splits end at exactly 0
+ * @param {number} remaining - Stake riding before the cashout
+ * @param {number} amount - Stake cashed out
+ * @returns {number}
+ */
+export function subtractStake(remaining, amount) {
+  return Math.max(0, Math.round((remaining - amount) * 1e8) / 1e8);
+}
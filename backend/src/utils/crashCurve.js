@@ -0,0 +1,42 @@
+/**
+ * Crash multiplier curve
+ *
+ * The multiplier is a function of the time elapsed since the round started on the
+ * server: e^(rate * ms), rounded down to 2 decimals. Clients that know the round's
+ * start time (in server time) and the rate can draw the same curve locally.
+ */
+
+// Growth per millisecond: 2x after ~11.6 s, 10x after ~38 s, 100x after ~77 s
+export const DEFAULT_GROWTH_RATE = 0.00006;
+
+/**
+ * Multiplier reached after a number of milliseconds
+ * @param {number} elapsed - Milliseconds since the round started
+ * @param {number} rate - Growth per millisecond
+ * @returns {number}
+ */
+export function multiplierAt(elapsed, rate = DEFAULT_GROWTH_RATE) {
+  return Math.floor(Math.exp(rate * Math.max(0, elapsed)) * 100 + 1e-9) / 100;
+}
+
+/**
+ * Milliseconds after the start at which a multiplier is reached
+ * @param {number} multiplier - Target multiplier
+ * @param {number} rate - Growth per millisecond
+ * @returns {number}
+ */
+export function timeToMultiplier(multiplier, rate = DEFAULT_GROWTH_RATE) {
+  return Math.ceil(Math.log(Math.max(1, multiplier)) / rate);
+}
+
+/**
+ * Milliseconds from now until a round reaches a multiplier (0 once it has)
+ * @param {number} startTime - Server time the round started
+ * @param {number} multiplier - Target multiplier
+ * @param {number} rate - Growth per millisecond
+ * @param {number} now - Current server time
+ * @returns {number}
+ */
+export function delayUntilMultiplier(startTime, multiplier, rate = DEFAULT_GROWTH_RATE, now = Date.now()) {
+  return Math.max(0, startTime + timeToMultiplier(multiplier, rate) - now);
+}
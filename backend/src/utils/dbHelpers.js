@@ -59,7 +59,7 @@ export function run(query, params = []) {
   
   const result = {
     lastInsertRowid: lastInsertRowid,
-    changes: stmt.getRowsModified() || 0,
+    changes: db.getRowsModified() || 0,
   };
   stmt.free();
   return result;
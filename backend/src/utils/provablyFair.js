@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+
+/**
+ * Provably fair engine shared by every game
+ *
+ * Outcomes are derived from an HMAC-SHA256 byte stream keyed by the server seed
+ * over `${clientSeed}:${nonce}:${round}`. The server seed is committed up front
+ * as its SHA-256 hash, so a player holding the revealed server seed, their client
+ * seed and the nonce can reproduce any result independently.
+ */
+
+// Crash house edge (1%)
+export const CRASH_HOUSE_EDGE = 0.01;
+
+// Crash multiplier cap
+export const CRASH_MAX_MULTIPLIER = 1000;
+
+// Slide house edge (1% unless SLIDE_HOUSE_EDGE is set)
+const slideHouseEdge = parseFloat(process.env.SLIDE_HOUSE_EDGE);
+export const SLIDE_HOUSE_EDGE = slideHouseEdge >= 0 && slideHouseEdge < 1 ? slideHouseEdge : 0.01;
+
+// Slide multiplier cap
+export const SLIDE_MAX_MULTIPLIER = 1000;
+
+/**
+ * Generate a random server seed (64 hex characters)
+ */
+export function generateServerSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Generate a random client seed (32 hex characters)
+ */
+export function generateClientSeed() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Hash a server seed for public commitment
+ */
+export function hashServerSeed(serverSeed) {
+  return crypto.createHash('sha256').update(serverSeed).digest('hex');
+}
+
+/**
+ * Build a reverse SHA-256 hash chain from a secret seed
+ * chain[length] is the seed, chain[i] = sha256(chain[i + 1]) and chain[0] is the
+ * terminating hash that gets published. Round n is played with chain[n], so each
+ * revealed round hash hashes to the previous round's hash.
+ */
+export function buildHashChain(seed, length) {
+  const chain = new Array(length + 1);
+  chain[length] = seed;
+  for (let i = length - 1; i >= 0; i--) {
+    chain[i] = hashServerSeed(chain[i + 1]);
+  }
+  return chain;
+}
+
+/**
+ * Walk a hash chain down to the terminating hash
+ * @returns {number} the round number of `hash`, or -1 if not reached within maxSteps
+ */
+export function verifyHashChain(hash, terminatingHash, maxSteps) {
+  let current = hash;
+  for (let round = 0; round <= maxSteps; round++) {
+    if (current === terminatingHash) {
+      return round;
+    }
+    current = hashServerSeed(current);
+  }
+  return -1;
+}
+
+/**
+ * Yield bytes from the HMAC-SHA256 stream for a seed/nonce triple
+ * Each 32-byte block is HMAC(serverSeed, `${clientSeed}:${nonce}:${round}`)
+ */
+export function* byteGenerator({ serverSeed, clientSeed, nonce }) {
+  let round = 0;
+  while (true) {
+    const block = crypto
+      .createHmac('sha256', serverSeed)
+      .update(`${clientSeed}:${nonce}:${round}`)
+      .digest();
+    for (const byte of block) {
+      yield byte;
+    }
+    round++;
+  }
+}
+
+/**
+ * Generate `count` floats in [0, 1) from the byte stream (4 bytes per float)
+ * `offset` skips that many floats, so one game can read several independent draws
+ */
+export function generateFloats(seeds, count, offset = 0) {
+  const bytes = byteGenerator(seeds);
+  for (let i = 0; i < offset * 4; i++) {
+    bytes.next();
+  }
+  const floats = [];
+  for (let i = 0; i < count; i++) {
+    let float = 0;
+    for (let j = 0; j < 4; j++) {
+      float += bytes.next().value / 256 ** (j + 1);
+    }
+    floats.push(float);
+  }
+  return floats;
+}
+
+/**
+ * Pick `count` distinct indexes from [0, size) in draw order
+ * Each float selects one of the remaining indexes (partial Fisher-Yates)
+ */
+export function drawIndexes(seeds, size, count = size, offset = 0) {
+  const floats = generateFloats(seeds, count, offset);
+  const remaining = Array.from({ length: size }, (_, i) => i);
+  return floats.map((float) => remaining.splice(Math.floor(float * remaining.length), 1)[0]);
+}
+
+/**
+ * Multiplier from a float with the inverse distribution shared by crash and slide:
+ * P(multiplier >= x) = (1 - edge) / x, 2 decimal places, between 1x and `max`
+ */
+export function inverseMultiplier(float, houseEdge, max) {
+  const point = Math.floor(((1 - houseEdge) / (1 - float)) * 100) / 100;
+  return Math.max(1, Math.min(point, max));
+}
+
+/**
+ * Crash point: inverse distribution with house edge, 2 decimal places
+ */
+export function calculateCrashPoint(seeds) {
+  const [float] = generateFloats(seeds, 1);
+  return inverseMultiplier(float, CRASH_HOUSE_EDGE, CRASH_MAX_MULTIPLIER);
+}
+
+/**
+ * Slide result: the crash distribution with the slide house edge, 2 decimal places
+ */
+export function calculateSlideResult(seeds, houseEdge = SLIDE_HOUSE_EDGE) {
+  const [float] = generateFloats(seeds, 1);
+  return inverseMultiplier(float, houseEdge, SLIDE_MAX_MULTIPLIER);
+}
+
+/**
+ * Slide result of rounds recorded without a house edge, played before slide used the
+ * crash distribution: uniform between 1.01x and 100x, 2 decimal places
+ */
+export function calculateUniformSlideResult(seeds) {
+  const [float] = generateFloats(seeds, 1);
+  return Math.floor((1.01 + float * 98.99) * 100) / 100;
+}
+
+/**
+ * Chance that a slide result reaches a target: (1 - edge) / target
+ * Exact for targets with 2 decimals, as results are rounded down to 2 decimals
+ */
+export function slideWinChance(target, houseEdge = SLIDE_HOUSE_EDGE) {
+  if (target <= 1) return 1;
+  if (target > SLIDE_MAX_MULTIPLIER) return 0;
+  return (1 - houseEdge) / target;
+}
+
+/**
+ * Mine positions on a board of `tiles` tiles
+ */
+export function calculateMinePositions(seeds, mines, tiles = 25) {
+  return drawIndexes(seeds, tiles, mines);
+}
+
+/**
+ * Shuffle a deck: the returned array is the deck in dealing order
+ * `offset` is the number of floats already used by earlier shuffles of the same game
+ */
+export function shuffleDeckFromSeeds(deck, seeds, offset = 0) {
+  return drawIndexes(seeds, deck.length, deck.length, offset).map((index) => deck[index]);
+}
@@ -0,0 +1,15 @@
+/**
+ * Normalize a Qubic public key
+ * WalletConnect may return a 60-character address with a prefix; the Qubic
+ * address is always the last 55 characters
+ * @param {string} publicKey - Public key as sent by the client
+ * @returns {string|null} 55-character public key, or null if it is not one
+ */
+export function normalizePublicKey(publicKey) {
+  if (typeof publicKey !== 'string') return null;
+  let normalized = publicKey.trim();
+  if (normalized.length > 55) {
+    normalized = normalized.slice(-55);
+  }
+  return normalized.length === 55 ? normalized : null;
+}
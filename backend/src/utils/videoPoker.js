@@ -0,0 +1,205 @@
+/**
+ * Video poker variants: paytables and hand rules
+ * Multipliers are per unit bet (the royal flush pays the 5-coin rate)
+ */
+
+import { RANK_VALUES, createDeck, rankHand, shuffleDeck } from './cardEngine.js';
+
+export const DEFAULT_VARIANT = 'jacks_or_better';
+
+// Hands that can be played at once (multi-hand play)
+export const HAND_COUNTS = [1, 3, 5, 10, 50];
+
+export const VARIANTS = {
+  jacks_or_better: {
+    id: 'jacks_or_better',
+    name: 'Jacks or Better',
+    jokers: 0,
+    wildRanks: [],
+    minPair: 'J',
+    paytable: [
+      { id: 'royal_flush', name: 'Royal Flush', multiplier: 800 },
+      { id: 'straight_flush', name: 'Straight Flush', multiplier: 50 },
+      { id: '4_of_a_kind', name: '4 of a Kind', multiplier: 25 },
+      { id: 'full_house', name: 'Full House', multiplier: 9 },
+      { id: 'flush', name: 'Flush', multiplier: 6 },
+      { id: 'straight', name: 'Straight', multiplier: 4 },
+      { id: '3_of_a_kind', name: '3 of a Kind', multiplier: 3 },
+      { id: '2_pair', name: '2 Pair', multiplier: 2 },
+      { id: 'pair', name: 'Jacks or Better', multiplier: 1 },
+    ],
+  },
+  bonus_poker: {
+    id: 'bonus_poker',
+    name: 'Bonus Poker',
+    jokers: 0,
+    wildRanks: [],
+    minPair: 'J',
+    paytable: [
+      { id: 'royal_flush', name: 'Royal Flush', multiplier: 800 },
+      { id: 'straight_flush', name: 'Straight Flush', multiplier: 50 },
+      { id: 'four_aces', name: '4 Aces', multiplier: 80 },
+      { id: 'four_2_4', name: '4 2s-4s', multiplier: 40 },
+      { id: 'four_5_k', name: '4 5s-Ks', multiplier: 25 },
+      { id: 'full_house', name: 'Full House', multiplier: 8 },
+      { id: 'flush', name: 'Flush', multiplier: 5 },
+      { id: 'straight', name: 'Straight', multiplier: 4 },
+      { id: '3_of_a_kind', name: '3 of a Kind', multiplier: 3 },
+      { id: '2_pair', name: '2 Pair', multiplier: 2 },
+      { id: 'pair', name: 'Jacks or Better', multiplier: 1 },
+    ],
+  },
+  deuces_wild: {
+    id: 'deuces_wild',
+    name: 'Deuces Wild',
+    jokers: 0,
+    wildRanks: ['2'],
+    minPair: null,
+    paytable: [
+      { id: 'royal_flush', name: 'Natural Royal Flush', multiplier: 800 },
+      { id: 'four_deuces', name: '4 Deuces', multiplier: 200 },
+      { id: 'wild_royal_flush', name: 'Wild Royal Flush', multiplier: 25 },
+      { id: '5_of_a_kind', name: '5 of a Kind', multiplier: 15 },
+      { id: 'straight_flush', name: 'Straight Flush', multiplier: 9 },
+      { id: '4_of_a_kind', name: '4 of a Kind', multiplier: 5 },
+      { id: 'full_house', name: 'Full House', multiplier: 3 },
+      { id: 'flush', name: 'Flush', multiplier: 2 },
+      { id: 'straight', name: 'Straight', multiplier: 2 },
+      { id: '3_of_a_kind', name: '3 of a Kind', multiplier: 1 },
+    ],
+  },
+  joker_poker: {
+    id: 'joker_poker',
+    name: 'Joker Poker',
+    jokers: 1,
+    wildRanks: [],
+    minPair: 'K',
+    paytable: [
+      { id: 'royal_flush', name: 'Natural Royal Flush', multiplier: 800 },
+      { id: '5_of_a_kind', name: '5 of a Kind', multiplier: 200 },
+      { id: 'wild_royal_flush', name: 'Wild Royal Flush', multiplier: 100 },
+      { id: 'straight_flush', name: 'Straight Flush', multiplier: 50 },
+      { id: '4_of_a_kind', name: '4 of a Kind', multiplier: 20 },
+      { id: 'full_house', name: 'Full House', multiplier: 7 },
+      { id: 'flush', name: 'Flush', multiplier: 5 },
+      { id: 'straight', name: 'Straight', multiplier: 3 },
+      { id: '3_of_a_kind', name: '3 of a Kind', multiplier: 2 },
+      { id: '2_pair', name: '2 Pair', multiplier: 1 },
+      { id: 'pair', name: 'Kings or Better', multiplier: 1 },
+    ],
+  },
+};
+
+/**
+ * Get a variant by ID
+ * @param {string} variantId - Variant ID
+ * @returns {object|null}
+ */
+export function getVariant(variantId) {
+  return VARIANTS[variantId] || null;
+}
+
+// Card engine categories named differently in paytables
+const PAYTABLE_IDS = {
+  five_of_a_kind: '5_of_a_kind',
+  four_of_a_kind: '4_of_a_kind',
+  three_of_a_kind: '3_of_a_kind',
+  two_pair: '2_pair',
+};
+
+// Bonus paytables split four of a kind by rank
+const BONUS_QUADS = {
+  four_aces: ['A'],
+  four_2_4: ['2', '3', '4'],
+  four_5_k: ['5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'],
+};
+
+/**
+ * Paytable entry ID a ranked hand falls under (it may not pay in the variant)
+ */
+function paytableId(hand, variant) {
+  const ids = variant.paytable.map(({ id }) => id);
+
+  if (hand.wilds === 4 && ids.includes('four_deuces')) {
+    return 'four_deuces';
+  }
+
+  switch (hand.category) {
+    case 'royal_flush':
+      return hand.wilds === 0 ? 'royal_flush' : 'wild_royal_flush';
+    case 'four_of_a_kind': {
+      const bonus = Object.keys(BONUS_QUADS).find(
+        (id) => ids.includes(id) && BONUS_QUADS[id].some((rank) => RANK_VALUES[rank] === hand.values[0])
+      );
+      return bonus || '4_of_a_kind';
+    }
+    case 'pair':
+      return variant.minPair && hand.values[0] >= RANK_VALUES[variant.minPair] ? 'pair' : '';
+    default:
+      return PAYTABLE_IDS[hand.category] || hand.category;
+  }
+}
+
+/**
+ * Evaluate a five-card hand against a variant's paytable
+ * @param {Array<{rank: string, suit: string}>} hand - Five cards
+ * @param {string} variantId - Variant ID
+ * @returns {{ranking: string, name: string, multiplier: number}} The best paying hand ('' if none)
+ */
+export function evaluateHand(hand, variantId = DEFAULT_VARIANT) {
+  const variant = getVariant(variantId) || VARIANTS[DEFAULT_VARIANT];
+
+  if (!hand || hand.length !== 5) {
+    return { ranking: '', name: '', multiplier: 0 };
+  }
+
+  // Wilds complete the strongest category, which is also the best paying one
+  const id = paytableId(rankHand(hand, { wildRanks: variant.wildRanks }), variant);
+  const entry = variant.paytable.find((item) => item.id === id);
+
+  return entry
+    ? { ranking: entry.id, name: entry.name, multiplier: entry.multiplier }
+    : { ranking: '', name: '', multiplier: 0 };
+}
+
+/**
+ * Complete every hand of a multi-hand game from the held cards of the base hand
+ * Hand 0 draws from the deal's own deck; each further hand draws from its own copy
+ * of the remaining deck, shuffled from the next floats of the game's seed stream
+ * @param {object} options - { hand, remainingDeck, holds, seeds, hands }
+ * @returns {Array<Array<{rank: string, suit: string}>>} Final hands
+ */
+export function completeHands({ hand, remainingDeck, holds, seeds, hands = 1 }) {
+  const deckSize = hand.length + remainingDeck.length;
+
+  return Array.from({ length: hands }, (_, index) => {
+    const deck =
+      index === 0
+        ? [...remainingDeck]
+        : shuffleDeck(remainingDeck, seeds, deckSize + (index - 1) * remainingDeck.length);
+
+    return hand.map((card, i) => (holds.includes(i) || deck.length === 0 ? card : deck.shift()));
+  });
+}
+
+/**
+ * Deal a double-up round from its own seed triple: the first card of a shuffled
+ * 52-card deck is the dealer's, the next four are dealt face down for the player to pick
+ * @param {object} seeds - { serverSeed, clientSeed, nonce }
+ * @returns {{dealerCard: object, cards: object[]}}
+ */
+export function dealDoubleUp(seeds) {
+  const deck = shuffleDeck(createDeck(), seeds);
+  return { dealerCard: deck[0], cards: deck.slice(1, 5) };
+}
+
+/**
+ * Outcome of a double-up pick: a higher card doubles, an equal rank is a push
+ * @returns {'win'|'push'|'lose'}
+ */
+export function resolveDoubleUp(dealerCard, playerCard) {
+  const difference = RANK_VALUES[playerCard.rank] - RANK_VALUES[dealerCard.rank];
+  if (difference > 0) return 'win';
+  if (difference === 0) return 'push';
+  return 'lose';
+}
@@ -0,0 +1,217 @@
+/**
+ * Video poker hold advisor
+ * Expected value of every hold (all 32 subsets of the dealt hand), computed by
+ * enumerating every possible draw from the rest of the deck.
+ *
+ * Each variant's payouts are precomputed once per rank multiset (a prime product
+ * keyed lookup, flush or not) from evaluateHand, so the ~2.6M draws of a hand only
+ * cost a table lookup each. Analyses are cached by hand (up to suit relabelling).
+ */
+
+import { RANKS, SUITS, JOKER } from './cardEngine.js';
+import { DEFAULT_VARIANT, VARIANTS, getVariant, evaluateHand } from './videoPoker.js';
+
+// One prime per rank (2..A), and one for the joker
+const RANK_PRIMES = [2, 3, 5, 7, 11, 13, 17, 19, 23, 29, 31, 37, 41];
+const JOKER_PRIME = 43;
+const JOKER_INDEX = 52;
+
+// Analyses kept in memory (oldest dropped first)
+const CACHE_SIZE = 1000;
+const cache = new Map();
+
+// Variant ID -> Map(prime product * 2 + flush -> paytable index)
+const payoutTables = new Map();
+
+const rankOf = (index) => index % 13;
+const suitOf = (index) => Math.floor(index / 13);
+const toCard = (index) => (index === JOKER_INDEX ? { ...JOKER } : { rank: RANKS[rankOf(index)], suit: SUITS[suitOf(index)] });
+
+/**
+ * Card index: suit * 13 + rank position, 52 for the joker (-1 if not a card)
+ */
+function toIndex(card) {
+  if (card?.rank === JOKER.rank) return JOKER_INDEX;
+  const rank = RANKS.indexOf(card?.rank);
+  const suit = SUITS.indexOf(card?.suit);
+  return rank === -1 || suit === -1 ? -1 : suit * 13 + rank;
+}
+
+/**
+ * Build the payout lookup of a variant: every multiset of five ranks (jokers included)
+ * is evaluated once as a flush and once as a non-flush where each is possible
+ */
+function buildPayoutTable(variant) {
+  const table = new Map();
+  const wildRanks = variant.wildRanks.map((rank) => RANKS.indexOf(rank));
+  const paytableIndex = (cards) => {
+    const { ranking } = evaluateHand(cards, variant.id);
+    return variant.paytable.findIndex(({ id }) => id === ranking);
+  };
+
+  // Rank positions 0..12, 13 for the joker
+  const addMultiset = (ranks) => {
+    const product = ranks.reduce((p, r) => p * (r === 13 ? JOKER_PRIME : RANK_PRIMES[r]), 1);
+    const naturals = ranks.filter((r) => r !== 13 && !wildRanks.includes(r));
+    const wilds = ranks.filter((r) => r === 13 || wildRanks.includes(r));
+    const wildCards = wilds.map((r, i) => (r === 13 ? { ...JOKER } : { rank: RANKS[r], suit: SUITS[i % 4] }));
+
+    // Naturals of one suit (only possible with distinct ranks)
+    if (new Set(naturals).size === naturals.length) {
+      const cards = [...naturals.map((r) => ({ rank: RANKS[r], suit: SUITS[0] })), ...wildCards];
+      table.set(product * 2 + 1, paytableIndex(cards));
+    }
+
+    // Naturals of mixed suits (duplicates sit next to each other, so they differ in suit)
+    if (naturals.length >= 2) {
+      const cards = [...naturals.map((r, i) => ({ rank: RANKS[r], suit: SUITS[i % 4] })), ...wildCards];
+      table.set(product * 2, paytableIndex(cards));
+    }
+  };
+
+  const choose = (from, ranks) => {
+    if (ranks.length === 5) {
+      addMultiset(ranks);
+      return;
+    }
+    for (let r = from; r <= (variant.jokers > 0 ? 13 : 12); r++) {
+      const copies = ranks.filter((x) => x === r).length;
+      if (copies < (r === 13 ? variant.jokers : 4)) {
+        ranks.push(r);
+        choose(r, ranks);
+        ranks.pop();
+      }
+    }
+  };
+
+  choose(0, []);
+  return table;
+}
+
+function getPayoutTable(variant) {
+  if (!payoutTables.has(variant.id)) {
+    payoutTables.set(variant.id, buildPayoutTable(variant));
+  }
+  return payoutTables.get(variant.id);
+}
+
+/**
+ * Build the payout table of every variant ahead of the first analysis
+ * Called at startup; a table takes a few hundred milliseconds to build
+ */
+export function preparePayoutTables() {
+  Object.values(VARIANTS).forEach((variant) => getPayoutTable(variant));
+}
+
+/**
+ * Count the paytable results of every draw for one hold
+ * @returns {number[]} Draw count per paytable index, plus non-winning draws last
+ */
+function countDraws(held, deck, variant, table) {
+  const wildRanks = variant.wildRanks.map((rank) => RANKS.indexOf(rank));
+  const counts = new Array(variant.paytable.length + 1).fill(0);
+  const noWin = variant.paytable.length;
+
+  const prime = (index) => (index === JOKER_INDEX ? JOKER_PRIME : RANK_PRIMES[rankOf(index)]);
+  // Suits of natural cards as a bit mask (wild cards fit any suit)
+  const suitBit = (index) => (index === JOKER_INDEX || wildRanks.includes(rankOf(index)) ? 0 : 1 << suitOf(index));
+
+  const primes = deck.map(prime);
+  const suitBits = deck.map(suitBit);
+
+  const draw = (from, left, product, suits) => {
+    if (left === 0) {
+      const flush = (suits & (suits - 1)) === 0 ? 1 : 0;
+      const index = table.get(product * 2 + flush);
+      counts[index === undefined || index === -1 ? noWin : index]++;
+      return;
+    }
+    for (let i = from; i <= deck.length - left; i++) {
+      draw(i + 1, left - 1, product * primes[i], suits | suitBits[i]);
+    }
+  };
+
+  draw(
+    0,
+    5 - held.length,
+    held.reduce((p, index) => p * prime(index), 1),
+    held.reduce((s, index) => s | suitBit(index), 0)
+  );
+  return counts;
+}
+
+/**
+ * Cache key: variant plus the hand with suits renamed in order of appearance
+ * (hands that only differ by a suit permutation play the same)
+ */
+function cacheKey(indexes, variant) {
+  const suits = [];
+  return `${variant.id}:${indexes
+    .map((index) => {
+      if (index === JOKER_INDEX) return 'J';
+      const suit = suitOf(index);
+      if (!suits.includes(suit)) suits.push(suit);
+      return `${rankOf(index)}.${suits.indexOf(suit)}`;
+    })
+    .join(',')}`;
+}
+
+/**
+ * Expected value of every hold of a dealt hand, best first
+ * EV is the average multiplier per unit bet over every possible draw
+ * @param {Array<{rank: string, suit: string}>} hand - Five dealt cards
+ * @param {string} variantId - Variant ID
+ * @returns {Array<{holds: number[], cards: object[], ev: number, results: object}>|null}
+ *   `results` is the chance of each paying hand; null if the hand is invalid
+ */
+export function analyzeHolds(hand, variantId = DEFAULT_VARIANT) {
+  const variant = getVariant(variantId) || getVariant(DEFAULT_VARIANT);
+  const indexes = (hand || []).map(toIndex);
+
+  if (
+    indexes.length !== 5 ||
+    indexes.includes(-1) ||
+    new Set(indexes).size !== 5 ||
+    indexes.filter((index) => index === JOKER_INDEX).length > variant.jokers
+  ) {
+    return null;
+  }
+
+  const key = cacheKey(indexes, variant);
+  if (!cache.has(key)) {
+    const table = getPayoutTable(variant);
+    const deckSize = 52 + variant.jokers;
+    const deck = Array.from({ length: deckSize }, (_, index) => index).filter((index) => !indexes.includes(index));
+
+    const analysis = [];
+    for (let mask = 0; mask < 32; mask++) {
+      const holds = [0, 1, 2, 3, 4].filter((i) => mask & (1 << i));
+      const counts = countDraws(holds.map((i) => indexes[i]), deck, variant, table);
+      const total = counts.reduce((sum, count) => sum + count, 0);
+
+      const results = {};
+      let ev = 0;
+      variant.paytable.forEach(({ id, multiplier }, i) => {
+        if (counts[i] > 0) {
+          results[id] = counts[i] / total;
+          ev += (counts[i] / total) * multiplier;
+        }
+      });
+
+      analysis.push({ holds, ev, results });
+    }
+
+    // Best first; on a tie prefer holding more cards
+    analysis.sort((a, b) => b.ev - a.ev || b.holds.length - a.holds.length);
+
+    cache.set(key, analysis);
+    if (cache.size > CACHE_SIZE) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+
+  return cache.get(key).map((entry) => ({
+    ...entry,
+    cards: entry.holds.map((i) => toCard(indexes[i])),
+  }));
+}
@@ -0,0 +1,43 @@
+import qubicCrypto from '@qubic-lib/qubic-ts-library/dist/crypto/index.js';
+import qubicHelper from '@qubic-lib/qubic-ts-library/dist/qubicHelper.js';
+
+// Qubic transaction layout: source(32) destination(32) amount(8) tick(4) inputType(2) inputSize(2) payload signature(64)
+const HEADER_LENGTH = 80;
+const INPUT_SIZE_OFFSET = 78;
+const AMOUNT_OFFSET = 64;
+const PUBLIC_KEY_LENGTH = 32;
+const DIGEST_LENGTH = 32;
+const SIGNATURE_LENGTH = 64;
+
+/**
+ * Verify a signed Qubic transaction without broadcasting it
+ * Wallets can only sign transactions, so a zero-amount transaction carrying a message
+ * as its payload is how a wallet proves it owns an identity
+ * @param {string} signedTx - Base64-encoded signed transaction
+ * @returns {Promise<{identity: string, payload: Buffer}|null>} Signer identity (60 characters)
+ *   and payload, or null if the transaction is malformed, moves funds or is not signed by its source
+ */
+export async function verifySignedTransaction(signedTx) {
+  if (typeof signedTx !== 'string') return null;
+
+  const tx = Buffer.from(signedTx, 'base64');
+  if (tx.length < HEADER_LENGTH + SIGNATURE_LENGTH) return null;
+
+  const inputSize = tx.readUInt16LE(INPUT_SIZE_OFFSET);
+  if (tx.length !== HEADER_LENGTH + inputSize + SIGNATURE_LENGTH) return null;
+  if (tx.readBigInt64LE(AMOUNT_OFFSET) !== 0n) return null;
+
+  const { schnorrq, K12 } = await qubicCrypto.default;
+  const source = new Uint8Array(tx.subarray(0, PUBLIC_KEY_LENGTH));
+  const digest = new Uint8Array(DIGEST_LENGTH);
+  K12(new Uint8Array(tx.subarray(0, tx.length - SIGNATURE_LENGTH)), digest, DIGEST_LENGTH);
+
+  if (schnorrq.verify(source, digest, new Uint8Array(tx.subarray(tx.length - SIGNATURE_LENGTH))) !== 1) {
+    return null;
+  }
+
+  return {
+    identity: await new qubicHelper.QubicHelper().getIdentity(source),
+    payload: tx.subarray(HEADER_LENGTH, HEADER_LENGTH + inputSize),
+  };
+}
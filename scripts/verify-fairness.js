@@ -0,0 +1,179 @@
+/**
+ * Offline provably fair verifier
+ *
+ * Recomputes a game outcome from its seeds using the same engine as the backend
+ * (backend/src/utils/provablyFair.js), without touching the database.
+ *
+ * Usage:
+ *   node scripts/verify-fairness.js crash --server-seed <hash> --client-seed <salt> --nonce <round>
+ *   node scripts/verify-fairness.js slide --server-seed <hash> --client-seed <salt> --nonce <round> [--edge 0.01|uniform]
+ *   node scripts/verify-fairness.js mines --server-seed <seed> --client-seed <seed> --nonce <n> --mines <count> [--size 5]
+ *   node scripts/verify-fairness.js videopoker --server-seed <seed> --client-seed <seed> --nonce <n> [--holds 0,2,4] [--variant jacks_or_better] [--hands 1]
+ *   node scripts/verify-fairness.js doubleup --server-seed <seed> --client-seed <seed> --nonce <n> [--pick 0]
+ *   node scripts/verify-fairness.js chain --hash <round hash> --terminating-hash <hash> [--max-rounds 10000000]
+ *
+ * For crash and slide the server seed is the revealed round hash, the client seed
+ * is the chain's published salt and the nonce is the round number.
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const ENGINE_PATH = path.join(__dirname, '../backend/src/utils/provablyFair.js');
+const CARD_ENGINE_PATH = path.join(__dirname, '../backend/src/utils/cardEngine.js');
+const VIDEO_POKER_PATH = path.join(__dirname, '../backend/src/utils/videoPoker.js');
+
+/**
+ * Parse `--key value` pairs into an object (keys camel-cased)
+ */
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = {};
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i].startsWith('--')) {
+      const key = rest[i].slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+      options[key] = rest[i + 1];
+      i++;
+    }
+  }
+  return { command, options };
+}
+
+/**
+ * Read the seed triple from options, exiting if any part is missing
+ */
+function requireSeeds(options) {
+  const { serverSeed, clientSeed, nonce } = options;
+  if (!serverSeed || !clientSeed || nonce === undefined) {
+    console.error('\n❌ --server-seed, --client-seed and --nonce are required\n');
+    process.exit(1);
+  }
+  return { serverSeed, clientSeed, nonce: parseInt(nonce) };
+}
+
+/**
+ * Format a card for display
+ */
+function formatCard(card) {
+  return card.rank === 'Joker' ? 'Joker' : `${card.rank} of ${card.suit}`;
+}
+
+/**
+ * Recompute an outcome (or walk a hash chain) and print the result
+ */
+async function verifyFairness(argv) {
+  const { command, options } = parseArgs(argv);
+  const engine = await import(pathToFileURL(ENGINE_PATH).href);
+
+  switch (command) {
+    case 'crash': {
+      const seeds = requireSeeds(options);
+      console.log(`\n🚀 Crash point: ${engine.calculateCrashPoint(seeds).toFixed(2)}x`);
+      console.log(`   Previous round hash: ${engine.hashServerSeed(seeds.serverSeed)}\n`);
+      return;
+    }
+
+    case 'slide': {
+      const seeds = requireSeeds(options);
+      // The round's `houseEdge` from GET /api/slide/game/:id (SLIDE_HOUSE_EDGE by default);
+      // `uniform` for rounds recorded without one
+      const result =
+        options.edge === 'uniform'
+          ? engine.calculateUniformSlideResult(seeds)
+          : engine.calculateSlideResult(seeds, options.edge === undefined ? engine.SLIDE_HOUSE_EDGE : parseFloat(options.edge));
+      console.log(`\n🎯 Slide result: ${result.toFixed(2)}x`);
+      console.log(`   Previous round hash: ${engine.hashServerSeed(seeds.serverSeed)}\n`);
+      return;
+    }
+
+    case 'mines': {
+      const seeds = requireSeeds(options);
+      const mines = parseInt(options.mines);
+      if (!mines) {
+        console.error('\n❌ --mines is required\n');
+        process.exit(1);
+      }
+      // Board size is tiles per side (5 = the classic 5x5 board)
+      const size = parseInt(options.size) || 5;
+      const positions = engine.calculateMinePositions(seeds, mines, size * size);
+      console.log(`\n💣 Mine positions (${size}x${size} board): ${positions.join(', ')}`);
+      console.log(`   Server seed hash: ${engine.hashServerSeed(seeds.serverSeed)}\n`);
+      return;
+    }
+
+    case 'videopoker': {
+      const seeds = requireSeeds(options);
+      const { createDeck, shuffleDeck } = await import(pathToFileURL(CARD_ENGINE_PATH).href);
+      const { DEFAULT_VARIANT, getVariant, evaluateHand, completeHands } = await import(pathToFileURL(VIDEO_POKER_PATH).href);
+      const holds = options.holds ? options.holds.split(',').map((i) => parseInt(i)) : [];
+      const variant = getVariant(options.variant || DEFAULT_VARIANT);
+      if (!variant) {
+        console.error(`\n❌ Unknown variant: ${options.variant}\n`);
+        process.exit(1);
+      }
+
+      // Joker Poker shuffles a 53-card deck
+      const deck = shuffleDeck(createDeck(variant.jokers), seeds);
+      const dealt = deck.slice(0, 5);
+      const hands = parseInt(options.hands) || 1;
+      const finals = completeHands({ hand: dealt, remainingDeck: deck.slice(5), holds, seeds, hands });
+
+      console.log('\n🃏 Dealt hand:');
+      dealt.forEach((card, i) => console.log(`   ${i}: ${formatCard(card)}${holds.includes(i) ? ' (held)' : ''}`));
+      finals.forEach((drawn, index) => {
+        const result = evaluateHand(drawn, variant.id);
+        console.log(`\n🃏 Final hand${hands > 1 ? ` ${index + 1}` : ''}: ${drawn.map(formatCard).join(', ')}`);
+        console.log(`   ${variant.name}: ${result.name ? `${result.name} (${result.multiplier}x)` : 'no win'}`);
+      });
+      console.log(`\n   Server seed hash: ${engine.hashServerSeed(seeds.serverSeed)}\n`);
+      return;
+    }
+
+    case 'doubleup': {
+      const seeds = requireSeeds(options);
+      const { dealDoubleUp, resolveDoubleUp } = await import(pathToFileURL(VIDEO_POKER_PATH).href);
+      const { dealerCard, cards } = dealDoubleUp(seeds);
+
+      console.log(`\n🃏 Dealer card: ${formatCard(dealerCard)}`);
+      cards.forEach((card, i) => console.log(`   ${i}: ${formatCard(card)}`));
+      if (options.pick !== undefined) {
+        const pick = parseInt(options.pick);
+        console.log(`\n   Pick ${pick}: ${resolveDoubleUp(dealerCard, cards[pick])}`);
+      }
+      console.log(`\n   Server seed hash: ${engine.hashServerSeed(seeds.serverSeed)}\n`);
+      return;
+    }
+
+    case 'chain': {
+      const { hash, terminatingHash } = options;
+      const maxRounds = parseInt(options.maxRounds) || 10000000;
+      if (!hash || !terminatingHash) {
+        console.error('\n❌ --hash and --terminating-hash are required\n');
+        process.exit(1);
+      }
+      const round = engine.verifyHashChain(hash, terminatingHash, maxRounds);
+      if (round < 0) {
+        console.log(`\n❌ Hash does not reach the terminating hash within ${maxRounds} rounds\n`);
+        process.exit(2);
+      }
+      console.log(`\n✅ Valid chain: hash is round ${round} of the chain`);
+      console.log(`   Previous round hash: ${engine.hashServerSeed(hash)}\n`);
+      return;
+    }
+
+    default:
+      console.error('\nUsage: node scripts/verify-fairness.js <crash|slide|mines|videopoker|doubleup|chain> [options]');
+      console.error('See the header of scripts/verify-fairness.js for the options of each command.\n');
+      process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  verifyFairness(process.argv.slice(2)).catch((error) => {
+    console.error('\n❌ Verification failed:', error.message, '\n');
+    process.exit(1);
+  });
+}
+
+module.exports = { verifyFairness };
@@ -5,11 +5,13 @@ import BetNumberInput from "@/components/BetNumberInput";
 import GameCanvas from "@/components/CrashXCanvas";
 import CurrentBets from "@/components/CurrentBets";
 import GameHistory from "@/components/GameHistory";
+import MyCrashBets from "@/components/MyCrashBets";
 import MultiPlierInput from "@/components/MultiplierInput";
 import ProfitAmount from "@/components/ProfitAmount";
 import StopProfitAmount from "@/components/StopProfitAmount";
 import { EthSvg, InfinitySvg } from "@/components/svgs";
 import SwitchTab from "@/components/SwitchTab";
+import TrenballBets, { TRENBALL_SIDES } from "@/components/TrenballBets";
 import VerifyModal from "@/components/VerifyModal";
 import { API_URL } from "@/config";
 import { useSocket } from "@/context/socketcontext";
@@ -17,10 +19,11 @@ import useIsMobile from "@/hooks/useIsMobile";
 import Layout from "@/layout/layout";
 import { Button } from "@heroui/react";
 import React, { useEffect, useRef, useState } from "react";
-import { useGameBetting } from "@/qubic/hooks/useGameBetting";
+import { useSocketAuth } from "@/qubic/hooks/useSocketAuth";
 import { useBalance } from "@/qubic/context/BalanceContext";
 import { useAuth } from "@/qubic/context/AuthContext";
 import { audioManager } from "@/utils/audioManager";
+import { crashMultiplier } from "@/util/crashCurve";
 import toast from "react-hot-toast";
 
 // import { crashXSocket as socket } from "../../utils/socket";
@@ -36,6 +39,14 @@ const GAME_STATES = {
     Refunded: 6,
 };
 
+// Round phases sent by the server
+const SERVER_STATES: Record<string, number> = {
+    WAITING: GAME_STATES.NotStarted,
+    BETTING: GAME_STATES.Starting,
+    RUNNING: GAME_STATES.InProgress,
+    CRASHED: GAME_STATES.Over,
+};
+
 
 
 
@@ -61,9 +72,8 @@ const playSound = (audioFile: any) => {
 const CrashGame = () => {
     const isMobile = useIsMobile();
 
-    // Blockchain integration hooks
-    const { placeBet, cashout: blockchainCashout, isProcessing: isProcessingBet } = useGameBetting();
-    const { hasEnoughBalance, getBalance } = useBalance();
+    // Wallet and balance hooks
+    const { hasEnoughBalance, getBalance, refreshBalance } = useBalance();
     const { isAuthenticated } = useAuth();
 
     const [activeTab, setActiveTab] = useState(0);
@@ -82,17 +92,27 @@ const CrashGame = () => {
     const [stopLossA, setStopLossA] = useState(0);
 
     const [joining, setJoining] = useState(false);
-    const [plannedBet, setPlannedBet] = useState(false);
     const [autoBetEnabled, setAutoBetEnabled] = useState(false);
     const [autoCashoutEnabled, setAutoCashoutEnabled] = useState(false);
 
     const [players, setPlayers] = useState<any[]>([]);
+    // Trenball side bets of the current round
+    const [sideBets, setSideBets] = useState<any[]>([]);
     const [startTime, setStartTime] = useState<any>(null);
+    // Curve of the running round (per ms, from the server)
+    const [growthRate, setGrowthRate] = useState(0);
     const [gameState, setGameState] = useState(GAME_STATES.NotStarted);
     const [payout, setPayout] = useState(1);
     const [crashed, setCrashed] = useState(false);
-    const [betting, setBetting] = useState(false);
-    const [cashedOut, setCashedOut] = useState(false);
+    // This wallet's bets in the current round, by betId (`remaining` is the stake still riding)
+    const [myBets, setMyBets] = useState<any[]>([]);
+    const ridingStake = myBets.reduce((sum, bet) => sum + bet.remaining, 0);
+    const betting = myBets.length > 0;
+    // Every bet of the round has been cashed out
+    const cashedOut = betting && ridingStake === 0;
+    // Bets the server holds for the next round; they are staked when that round opens
+    const [queuedBets, setQueuedBets] = useState<any[]>([]);
+    const plannedBet = queuedBets.length > 0;
     const [amountInputFlag, setAmountInputFlag] = useState(true);
 
     const [savebetAmount, setBetSaveAmount] = useState(0);
@@ -103,14 +123,16 @@ const CrashGame = () => {
     const betCountRef = useRef(0);
     const stopOnProfit = useRef(0);
     const stopOnLoss = useRef(0);
-    const selfId = useRef(null);
     const savedTarget = useRef(0);
+    // Server time minus local time, measured by the sync handshake
+    const clockOffset = useRef(0);
     const [privateSeed, setPrivateSeed] = useState("");
-    const [winAmount, setWinAmount] = useState(0);
 
     const currency: any = {};
 
     const crashSocket = useSocket()
+    // Verified wallet, so the server restores open bets in `session`
+    useSocketAuth(crashSocket);
 
 
     if (!crashSocket) {
@@ -118,8 +140,8 @@ const CrashGame = () => {
     }
 
 
-    // Emit new bet event with blockchain transaction
-    const clickBet = async () => {
+    // Emit new bet event
+    const clickBet = () => {
         if (betAmount <= 0) {
             setAmountInputFlag(false);
             toast.error("Please input your bet amount!");
@@ -150,67 +172,72 @@ const CrashGame = () => {
         if (gameState === GAME_STATES.Starting) {
             setJoining(true);
             savedTarget.current = target * 100;
-            
-            // Place bet with blockchain transaction first
-            const betResult = await placeBet({
-                amount: betAmount,
-                gameType: 'crash',
-                gameId: gameId || undefined,
-                metadata: {
-                    target: target * 100,
-                    currencyId: currency._id || '',
-                },
-                onSuccess: (txHash) => {
-                    // After successful blockchain transaction, emit to socket
-                    crashSocket.emit("join-game", target * 100, betAmount, currency._id || "");
-                },
-                onError: (error) => {
-                    setJoining(false);
-                    console.error('Bet placement failed:', error);
-                },
-            });
 
-            if (!betResult.success) {
-                setJoining(false);
-                return;
-            }
+            // The server checks the balance and locks the stake when the bet joins the round
+            crashSocket.emit("join-game", target * 100, betAmount, currency._id || "");
         } else {
+            savedTarget.current = target * 100;
+            setBetSaveAmount(Number(betAmount));
+            // Autobet joins each round as it opens
+            if (isAuto || autoBetEnabled) return;
+
             if (plannedBet) {
-                savedTarget.current = 0;
-                setPlannedBet(false);
-            } else if (!autoBetEnabled) {
-                savedTarget.current = target * 100;
-                setBetSaveAmount(Number(betAmount));
-                setPlannedBet(true);
+                crashSocket.emit("cancel-bet");
+            } else {
+                // Queued by the server for the next round (`bet-queued`)
+                setJoining(true);
+                crashSocket.emit("join-game", target * 100, betAmount, currency._id || "");
             }
         }
     };
 
+    // Withdraw a bet queued for the next round
+    const cancelQueuedBet = (betId: string) => {
+        crashSocket.emit("cancel-bet", betId);
+    };
+
+    // Trenball side bet: staked like a regular bet, settled by the server when the round crashes
+    const clickTrenball = (side: string) => {
+        if (betAmount <= 0) {
+            setAmountInputFlag(false);
+            toast.error("Please input your bet amount!");
+            return;
+        }
+
+        if (!isAuthenticated) {
+            toast.error("Please connect your wallet first!");
+            return;
+        }
+
+        if (!hasEnoughBalance(betAmount)) {
+            toast.error(`Insufficient balance. You have ${getBalance().toFixed(4)} QUBIC`);
+            return;
+        }
+
+        if (gameState !== GAME_STATES.Starting) {
+            toast.error("Side bets are only accepted before the round starts");
+            return;
+        }
+
+        // The server checks the balance and locks the stake itself
+        crashSocket.emit("trenball-bet", side, betAmount, currency._id || "");
+    };
+
     // Switch to auto betting
     const handleAutoBetChange = (value: any) => {
         setAutoBetEnabled(value);
-        setPlannedBet(false);
+        if (plannedBet) {
+            crashSocket.emit("cancel-bet");
+        }
     };
 
-    // Emit bet cashout with blockchain transaction
-    const clickCashout = async () => {
+    // Emit bet cashout: one bet by ID (optionally only `amount` of its stake), or every riding bet without one
+    // The server pays it at the multiplier of the moment it handles the request
+    const clickCashout = (betId?: string, amount?: number) => {
         if (!betting || !isAuthenticated) {
             return;
         }
-
-        // Calculate win amount based on current payout
-        const calculatedWinAmount = betAmount * payout;
-        setWinAmount(calculatedWinAmount);
-
-        // Process cashout with blockchain
-        const cashoutResult = await blockchainCashout('crash', gameId, calculatedWinAmount);
-        
-        if (cashoutResult.success) {
-            // After successful blockchain cashout, emit to socket
-            crashSocket.emit("bet-cashout");
-        } else {
-            toast.error(cashoutResult.error || 'Cashout failed');
-        }
+        crashSocket.emit("bet-cashout", betId, amount);
     };
 
     // handle target value
@@ -228,16 +255,17 @@ const CrashGame = () => {
         // New round is starting handler
         const onGameStarting = (data: any) => {
             // Update state
-            setGameId(data?._id);
-            setStartTime(
-                new Date(Date.now() + new Date(data.timeUntilStart).valueOf())
-            );
+            setGameId(data?.gameId);
+            setStartTime(new Date(Date.now() + data.countdown * 1000));
             setGameState(GAME_STATES.Starting);
             setPrivateSeed("");
             setPublicSeed(data.publicSeed);
             setPrivateHash(data.privateHash);
             setPayout(1);
             setPlayers([]);
+            setSideBets([]);
+            // Queued bets join this round now (`bet-join-success` or `bet-join-error` for each)
+            setQueuedBets([]);
 
             setCrashed(false);
 
@@ -277,26 +305,14 @@ const CrashGame = () => {
                         savedTarget.current = 0;
                     }
                 }
-            } else if (plannedBet) {
-                setJoining(true);
-
-                // Emit new bet event
-                crashSocket.emit(
-                    "join-game",
-                    savedTarget.current,
-                    betAmount,
-                    currency._id
-                );
-                savedTarget.current = 0;
-                // Reset planned bet
-                setPlannedBet(false);
             }
         };
 
-        // New round started handler
+        // New round started handler: the curve is drawn locally from the server start time
         const onGameStart = (data: any) => {
             // Update state
-            setStartTime(Date.now());
+            setStartTime(data.startTime - clockOffset.current);
+            setGrowthRate(data.growthRate);
             setGameState(GAME_STATES.InProgress);
             setPublicSeed(data.publicSeed);
             setPrivateHash(data.privateHash);
@@ -304,41 +320,52 @@ const CrashGame = () => {
         };
 
         // Current round ended handler
-        const onGameEnd = ({ game }: any) => {
+        const onGameEnd = (game: any) => {
+            const crashPoint = parseFloat(game.crashPoint);
             setGameState(GAME_STATES.Over);
             setCrashed(true);
-            setPayout(game.crashPoint);
+            setPayout(crashPoint);
             setPublicSeed(game.publicSeed);
             setPrivateSeed(game.privateSeed);
-            setBetting(false);
+            setMyBets([]);
+            refreshBalance();
             playSound("crash");
-            setCashedOut(false);
-            addGameToHistory(game);
+            addGameToHistory({ _id: game.gameId, crashPoint });
         };
 
-        // Current round tick handler
-        const onGameTick = (payoutData: any) => {
-            if (gameState !== GAME_STATES.InProgress) return;
-            setPayout(payoutData);
+        // Phase sent on connect: join a round that is already running
+        const onStatus = (data: any) => {
+            if (data.status !== "RUNNING" || gameState === GAME_STATES.InProgress) return;
+            setGameId(data.gameId);
+            setPublicSeed(data.publicSeed);
+            setPrivateHash(data.privateHash);
+            setStartTime(data.startTime - clockOffset.current);
+            setGrowthRate(data.growthRate);
+            setGameState(GAME_STATES.InProgress);
         };
 
         // Error event handler
-        const joinError = (msg: string) => {
-            if (msg === "You are not logged in!") {
-                crashSocket.emit("auth", "token");
-                // toast.error("please try again");
-            } else {
-                // toast.error(msg);
-            }
+        const joinError = (data: any) => {
             setJoining(false);
+            toast.error(data?.message || "Failed to join game");
             playSound("error");
         };
 
+        // Bet held by the server until the next round opens
+        const onBetQueued = (bet: any) => {
+            setJoining(false);
+            setQueuedBets((state) => [...state.filter((item) => item.betId !== bet.betId), bet]);
+            playSound("placebet");
+        };
+
         // Success event handler
         const joinSuccess = (bet: any) => {
             setJoining(false);
-            setBetting(true);
-            selfId.current = bet.playerID;
+            setMyBets((state) => [
+                ...state.filter((item) => item.betId !== bet.betId),
+                { ...bet, remaining: bet.betAmount, winAmount: 0 },
+            ]);
+            refreshBalance();
             setBetSaveAmount(Number(betAmount));
             // toast.success("Successfully joined the game!");
             playSound("placebet");
@@ -354,20 +381,11 @@ const CrashGame = () => {
 
         // New cashout handler
         const onBetCashout = (bet: any) => {
-            if (
-                autoBetEnabled &&
-                bet[0].playerID === selfId.current &&
-                stopProfitA !== 0
-            ) {
-                stopOnProfit.current -= bet[0].betAmount * bet[0].stoppedAt;
-            }
-            // Check if local user cashed out
-            setCashedOut(true);
             // Update state
             if (bet[0]) {
                 setPlayers((state) =>
                     state.map((player) =>
-                        player.playerID === bet[0].playerID
+                        player.betId === bet[0].betId
                             ? Object.assign(player, bet[0])
                             : player
                     )
@@ -375,15 +393,22 @@ const CrashGame = () => {
             }
         };
 
-        // Success event handler
-        const onCashoutSuccess = () => {
+        // Cashout of one of this wallet's bets, in full or in part
+        const onCashoutSuccess = (data: any) => {
+            const won = parseFloat(data.winAmount);
+            if (autoBetEnabled && stopProfitA !== 0) {
+                stopOnProfit.current -= won;
+            }
+            setMyBets((state) =>
+                state.map((bet) =>
+                    bet.betId === data.betId
+                        ? { ...bet, remaining: data.remaining, winAmount: bet.winAmount + won }
+                        : bet
+                )
+            );
+            refreshBalance();
             // toast.success("Successfully cashed out!");
             playSound("success");
-
-            // Reset betting state
-            setTimeout(() => {
-                setBetting(false);
-            }, 500);
         };
 
         // Error event handler
@@ -394,7 +419,10 @@ const CrashGame = () => {
 
         const cancelError = () => { };
 
-        const cancelSuccess = () => { };
+        // Queued bets withdrawn (from this or another connection of the wallet)
+        const cancelSuccess = (data: any) => {
+            setQueuedBets((state) => state.filter((bet) => !data.betIds.includes(bet.betId)));
+        };
 
         // Add game to history
         const addGameToHistory = (game: any) => {
@@ -405,54 +433,118 @@ const CrashGame = () => {
             );
         };
 
+        // The round hit its payout cap: every bet still riding was cashed out at once
+        const onRoundCapped = (data: any) => {
+            toast(`Payout cap of ${data.maxPayout} reached: ${data.players} bet${data.players === 1 ? "" : "s"} cashed out at ${data.multiplier}x`, {
+                icon: "🛑",
+            });
+        };
+
+        // Trenball bet placed by anyone in the round
+        const onTrenballBet = (bet: any) => {
+            setSideBets((state) => [...state, bet]);
+        };
+
+        const onTrenballSuccess = () => {
+            refreshBalance();
+            toast.success("Side bet placed!");
+        };
+
+        const onTrenballError = (data: any) => {
+            toast.error(data?.message || "Side bet failed");
+            playSound("error");
+        };
+
+        // Side bets settled from the crash point
+        const onTrenballSettled = (data: any) => {
+            setSideBets(data.bets);
+        };
+
+        // Result of one of this wallet's side bets, sent to every socket verified for it
+        const onTrenballBetSettled = (result: any) => {
+            if (result.won) {
+                refreshBalance();
+                toast.success(`Trenball ${result.side} won ${result.winAmount.toFixed(4)}!`);
+            }
+        };
+
+        // Current round and the recent ones (newest first)
         const onFetchGame = (schema: any) => {
             // Update state
             setGameId(schema._id);
             setPrivateHash(schema.privateHash);
             setPublicSeed(schema.publicSeed);
             setPlayers(schema.players);
-            setStartTime(new Date(Date.now() - new Date(schema.elapsed).valueOf()));
-            setHistory(schema.history.reverse().slice(0, 6));
-            setGameState(schema.status);
+            setSideBets(schema.sideBets || []);
+            setHistory(schema.history.slice(0, 6).reverse());
+            if (schema.status === "RUNNING") {
+                setStartTime(schema.startTime - clockOffset.current);
+                setGrowthRate(schema.growthRate);
+            } else if (schema.status === "BETTING") {
+                setStartTime(new Date(Date.now() + schema.countdown * 1000));
+            }
+            setGameState(SERVER_STATES[schema.status] || GAME_STATES.NotStarted);
         };
-        // Listeners
-        crashSocket.on("connect", () => {
+        // Bets of this wallet in the current round, sent on every (re)connect
+        const onSession = (session: any) => {
+            setMyBets(session.bets || []);
+            setQueuedBets(session.queued || []);
+        };
+        const onConnect = () => {
             crashSocket.emit("games");
-        });
+        };
+        // Listeners
+        crashSocket.on("connect", onConnect);
         crashSocket.on("disconnect", () => { });
+        crashSocket.on("status", onStatus);
         crashSocket.on("game-starting", onGameStarting);
-        crashSocket.on("game-start", onGameStart);
-        crashSocket.on("game-end", onGameEnd);
-        crashSocket.on("game-tick", onGameTick);
+        crashSocket.on("game-started", onGameStart);
+        crashSocket.on("game-crashed", onGameEnd);
         crashSocket.on("game-bets", onGameBets);
         crashSocket.on("bet-cashout", onBetCashout);
-        crashSocket.on("game-join-error", joinError);
-        crashSocket.on("game-join-success", joinSuccess);
+        crashSocket.on("bet-join-error", joinError);
+        crashSocket.on("bet-join-success", joinSuccess);
+        crashSocket.on("bet-queued", onBetQueued);
         crashSocket.on("bet-cashout-error", onCashoutError);
         crashSocket.on("bet-cashout-success", onCashoutSuccess);
         crashSocket.on("game-cancel-error", cancelError);
         crashSocket.on("game-cancel-success", cancelSuccess);
         crashSocket.on("games", onFetchGame);
+        crashSocket.on("session", onSession);
+        crashSocket.on("round-capped", onRoundCapped);
+        crashSocket.on("trenball-bet", onTrenballBet);
+        crashSocket.on("trenball-bet-success", onTrenballSuccess);
+        crashSocket.on("trenball-bet-error", onTrenballError);
+        crashSocket.on("trenball-settled", onTrenballSettled);
+        crashSocket.on("trenball-bet-settled", onTrenballBetSettled);
 
         return () => {
             // Remove Listeners
+            crashSocket.off("status", onStatus);
             crashSocket.off("game-starting", onGameStarting);
-            crashSocket.off("game-start", onGameStart);
-            crashSocket.off("game-end", onGameEnd);
-            crashSocket.off("game-tick", onGameTick);
+            crashSocket.off("game-started", onGameStart);
+            crashSocket.off("game-crashed", onGameEnd);
             crashSocket.off("game-bets", onGameBets);
             crashSocket.off("bet-cashout", onBetCashout);
-            crashSocket.off("game-join-error", joinError);
-            crashSocket.off("game-join-success", joinSuccess);
+            crashSocket.off("bet-join-error", joinError);
+            crashSocket.off("bet-join-success", joinSuccess);
+            crashSocket.off("bet-queued", onBetQueued);
             crashSocket.off("game-cancel-error", cancelError);
             crashSocket.off("game-cancel-success", cancelSuccess);
 
             crashSocket.off("bet-cashout-error", onCashoutError);
             crashSocket.off("bet-cashout-success", onCashoutSuccess);
 
-            crashSocket.off("connect");
+            crashSocket.off("connect", onConnect);
             crashSocket.off("disconnect");
             crashSocket.off("games", onFetchGame);
+            crashSocket.off("session", onSession);
+            crashSocket.off("round-capped", onRoundCapped);
+            crashSocket.off("trenball-bet", onTrenballBet);
+            crashSocket.off("trenball-bet-success", onTrenballSuccess);
+            crashSocket.off("trenball-bet-error", onTrenballError);
+            crashSocket.off("trenball-settled", onTrenballSettled);
+            crashSocket.off("trenball-bet-settled", onTrenballBetSettled);
         };
     }, [
         gameState,
@@ -472,13 +564,42 @@ const CrashGame = () => {
         crashSocket.emit("games");
     }, []);
 
+    // Clock-offset handshake: the server time is taken to be halfway through the round trip
+    useEffect(() => {
+        const syncClock = () => {
+            const sentAt = Date.now();
+            crashSocket.emit("sync", sentAt, ({ serverTime }: any) => {
+                clockOffset.current = serverTime - (sentAt + Date.now()) / 2;
+            });
+        };
+
+        if (crashSocket.connected) syncClock();
+        crashSocket.on("connect", syncClock);
+
+        return () => {
+            crashSocket.off("connect", syncClock);
+        };
+    }, []);
+
+    // Running payout, computed locally from the curve
+    useEffect(() => {
+        if (gameState !== GAME_STATES.InProgress || !growthRate) return;
+
+        const timer = setInterval(() => {
+            setPayout(crashMultiplier(Date.now() - new Date(startTime).getTime(), growthRate));
+        }, 100);
+
+        return () => clearInterval(timer);
+    }, [gameState, startTime, growthRate]);
+
     useEffect(() => {
         if (Number(betAmount) > 0) {
             setAmountInputFlag(true);
         }
     }, [betAmount]);
 
-    const disabled = joining || betting || autoBetEnabled || isProcessingBet;
+    // A second bet may be added while betting is open
+    const disabled = joining || autoBetEnabled || (betting && gameState !== GAME_STATES.Starting);
     const isAuto = activeTab === 1;
 
     const useAudio = () => {
@@ -602,6 +723,7 @@ const CrashGame = () => {
                                 status={gameState}
                                 payout={payout}
                                 startTime={startTime}
+                                growthRate={growthRate}
                             />
                         </div>
                         {!isMobile && (
@@ -667,7 +789,7 @@ const CrashGame = () => {
                                     )}
                                     <ProfitAmount
                                         disabled={true}
-                                        profit={payout * savebetAmount}
+                                        profit={payout * (ridingStake || savebetAmount)}
                                         multiplier={payout}
                                         icon={<SelectedPaymentIcon currency={currency} />}
                                     />
@@ -712,33 +834,53 @@ const CrashGame = () => {
                                             className="bg-[#00e701] hover:bg-[#00d600] font-bold uppercase rounded-full"
                                             disabled={joining}
                                             onClick={() => {
-                                                if (!betting) {
-                                                    clickBet();
-                                                } else if (
-                                                    gameState === GAME_STATES.InProgress &&
-                                                    !cashedOut
-                                                ) {
+                                                if (gameState === GAME_STATES.InProgress && ridingStake > 0) {
                                                     clickCashout();
+                                                } else {
+                                                    clickBet();
                                                 }
                                             }}
                                         >
-                                            {!betting
-                                                ? joining || isProcessingBet
-                                                    ? isProcessingBet
-                                                        ? "PROCESSING TRANSACTION..."
-                                                        : "BETTING..."
+                                            {gameState === GAME_STATES.InProgress && ridingStake > 0
+                                                ? myBets.length > 1
+                                                    ? "CASHOUT ALL"
+                                                    : "CASHOUT"
+                                                : joining
+                                                    ? "BETTING..."
                                                     : plannedBet
                                                         ? "CANCEL BET"
-                                                        : "Place Bet (next round)"
-                                                : cashedOut
-                                                    ? "CASHED OUT"
-                                                    : isProcessingBet
-                                                        ? "PROCESSING CASHOUT..."
-                                                        : "CASHOUT"}
+                                                        : betting && gameState === GAME_STATES.Starting
+                                                            ? "Place Another Bet"
+                                                            : "Place Bet (next round)"}
                                         </Button>
                                     )}
 
+                                    {!isAuto && (
+                                        <div className="flex gap-1">
+                                            {TRENBALL_SIDES.map(({ side, label, color }) => (
+                                                <Button
+                                                    key={side}
+                                                    className={`${color} flex-1 text-xs font-bold uppercase rounded-full`}
+                                                    disabled={gameState !== GAME_STATES.Starting}
+                                                    onClick={() => clickTrenball(side)}
+                                                >
+                                                    {label}
+                                                </Button>
+                                            ))}
+                                        </div>
+                                    )}
+
+                                    {!isAuto && (myBets.length > 0 || plannedBet) && (
+                                        <MyCrashBets
+                                            bets={myBets}
+                                            queued={queuedBets}
+                                            canCashout={gameState === GAME_STATES.InProgress}
+                                            onCashout={clickCashout}
+                                            onCancel={cancelQueuedBet}
+                                        />
+                                    )}
                                     {!isAuto && <CurrentBets bets={players} />}
+                                    {!isAuto && sideBets.length > 0 && <TrenballBets bets={sideBets} />}
                                 </div>
                             </div>
                         )}
@@ -783,25 +925,24 @@ const CrashGame = () => {
                                     <Button
                                         disabled={joining}
                                         onClick={() => {
-                                            if (!betting) {
-                                                clickBet();
-                                            } else if (
-                                                gameState === GAME_STATES.InProgress &&
-                                                !cashedOut
-                                            ) {
+                                            if (gameState === GAME_STATES.InProgress && ridingStake > 0) {
                                                 clickCashout();
+                                            } else {
+                                                clickBet();
                                             }
                                         }}
                                     >
-                                        {!betting
-                                            ? joining
+                                        {gameState === GAME_STATES.InProgress && ridingStake > 0
+                                            ? myBets.length > 1
+                                                ? "CASHOUT ALL"
+                                                : "CASHOUT"
+                                            : joining
                                                 ? "BETTING..."
                                                 : plannedBet
                                                     ? "CANCEL BET"
-                                                    : "Place Bet (next round)"
-                                            : cashedOut
-                                                ? "CASHED OUT"
-                                                : "CASHOUT"}
+                                                    : betting && gameState === GAME_STATES.Starting
+                                                        ? "Place Another Bet"
+                                                        : "Place Bet (next round)"}
                                     </Button>
                                 )}
                                 {(!isAuto || subActiveTab !== 1) && (
@@ -818,6 +959,15 @@ const CrashGame = () => {
                                         />
                                     </>
                                 )}
+                                {!isAuto && (myBets.length > 0 || plannedBet) && (
+                                    <MyCrashBets
+                                        bets={myBets}
+                                        queued={queuedBets}
+                                        canCashout={gameState === GAME_STATES.InProgress}
+                                        onCashout={clickCashout}
+                                        onCancel={cancelQueuedBet}
+                                    />
+                                )}
                                 {(!isAuto || subActiveTab === 1) && (
                                     <CurrentBets bets={players} />
                                 )}
@@ -848,7 +998,7 @@ const CrashGame = () => {
                                 <ProfitAmount
                                     multiplier={payout}
                                     disabled={true}
-                                    profit={payout * savebetAmount}
+                                    profit={payout * (ridingStake || savebetAmount)}
                                     icon={<SelectedPaymentIcon currency={currency} />}
                                 />
                                 {isAuto && (
@@ -4,7 +4,7 @@ import BetNumberInput from "@/components/BetNumberInput";
 import MineButton from "@/components/Mine/MineButton";
 import MineCustomInput from "@/components/Mine/MineCustomInput";
 import MineModal from "@/components/Mine/MineModal";
-import { GAME_STATUS, MINE_OBJECT, MineArea } from "@/components/Mine/types";
+import { GAME_STATUS, MINE_OBJECT, MineArea, MinePayout } from "@/components/Mine/types";
 import ProfitAmount from "@/components/ProfitAmount";
 import { BombSvg, EthSvg } from "@/components/svgs";
 import SwitchTab from "@/components/SwitchTab";
@@ -16,35 +16,39 @@ import { useEffect, useRef, useState } from "react";
 import { useGameBetting } from "@/qubic/hooks/useGameBetting";
 import { useBalance } from "@/qubic/context/BalanceContext";
 import { useAuth } from "@/qubic/context/AuthContext";
+import { useSocketAuth } from "@/qubic/hooks/useSocketAuth";
 import toast from "react-hot-toast";
+import io, { Socket } from "socket.io-client";
+import { API_URL } from "@/config";
 const MINE_API = "/mine";
+const BOARD_SIZES = [3, 4, 5, 6, 7, 8];
+const DEFAULT_BOARD_SIZE = 5;
+
+// Autobet runs on the server; this socket streams its rounds to the verified owner
+const socket: Socket = io(`${API_URL}/mine`, {
+    autoConnect: false,
+});
+
+const AUTOBET_END_MESSAGES: { [reason: string]: string } = {
+    insufficient_balance: "Autobet stopped: insufficient balance",
+    stop_on_profit: "Autobet stopped: profit target reached",
+    stop_on_loss: "Autobet stopped: loss limit reached",
+    error: "Autobet stopped due to a server error",
+};
 
-function calculateMinesGame(mines: number, picks: number, bet: number): any {
-    const totalSlots = 25; // Total number of slots
-    const safeSlots = totalSlots - mines; // Slots without mines
-
-    // Function to calculate factorial
-    function factorial(n: number): number {
-        let value = 1;
-        for (let i = 2; i <= n; i++) {
-            value *= i;
-        }
-        return value;
-    }
-
-    // Function to calculate combinations
-    function combination(n: number, k: number): number {
-        if (k > n) return 0;
-        return factorial(n) / (factorial(k) * factorial(n - k));
+// Look up the multiplier for the current pick count in the server's payout table
+function calculateMinesGame(payouts: MinePayout[], picks: number, bet: number): any {
+    const payout = payouts.find((p) => p.picks === picks);
+    if (!payout) {
+        return {
+            probability: 0,
+            roundedLossAmount: 0,
+            roundedChance: 0,
+            roundedWinAmount: 0,
+        };
     }
 
-    // Calculate total combinations and safe combinations
-    const totalCombinations = combination(totalSlots, picks);
-    const safeCombinations = combination(safeSlots, picks);
-
-    // Calculate probability and other metrics
-    let probability = 0.99 * (totalCombinations / safeCombinations);
-    probability = Math.round(probability * 100) / 100;
+    const probability = payout.multiplier;
 
     const winAmount = bet * probability;
     const roundedWinAmount = Math.round(winAmount * 100000000) / 100000000;
@@ -52,29 +56,13 @@ function calculateMinesGame(mines: number, picks: number, bet: number): any {
     const lossAmount = 100 / (probability - 1);
     const roundedLossAmount = Math.round(lossAmount * 100) / 100;
 
-    const chance = 99 / probability;
-    const roundedChance = Math.round(chance * 100000) / 100000;
-
-    // Log results if conditions are met
-    if (mines + picks <= totalSlots && picks > 0 && mines > 0) {
-        if (mines && picks) {
-            return {
-                probability,
-                roundedLossAmount,
-                roundedChance,
-                roundedWinAmount,
-            };
-            // console.log("Probability:", probability);
-            // console.log("Loss:", roundedLossAmount);
-            // console.log("Chance:", roundedChance);
-            // if (bet > 0.00000000999) console.log("Win:", roundedWinAmount);
-        }
-    }
+    const roundedChance = Math.round(payout.chance * 100000) / 100000;
+
     return {
-        probability: 0,
-        roundedLossAmount: 0,
-        roundedChance: 0,
-        roundedWinAmount: 0,
+        probability,
+        roundedLossAmount,
+        roundedChance,
+        roundedWinAmount,
     };
 }
 
@@ -85,9 +73,11 @@ const MineGame: React.FC = () => {
     const { placeBet: blockchainPlaceBet, cashout: blockchainCashout, isProcessing: isProcessingBet } = useGameBetting();
     const { hasEnoughBalance, getBalance } = useBalance();
     const { isAuthenticated } = useAuth();
+    useSocketAuth(socket);
     
     const [activeTab, setActiveTab] = useState(0); // 0 for Manual, 1 for Auto
     const [mineCount, setMineCount] = useState<number>(3);
+    const [boardSize, setBoardSize] = useState<number>(DEFAULT_BOARD_SIZE);
     const [betAmount, setBetAmount] = useState<number>(0);
     const [status, setStatus] = useState<GAME_STATUS>(GAME_STATUS.READY);
     const [loading, setLoading] = useState(false);
@@ -95,25 +85,23 @@ const MineGame: React.FC = () => {
     const [autoAreas, setAutoAreas] = useState<MineArea[]>([]);
     const [gameId, setGameId] = useState<string>("");
 
-    const statusRef = useRef<any>(null);
     const [resultVisible, setResultVisible] = useState(false);
     const [autoBetCount, setAutoBetCount] = useState(0);
-    const [isInfinity, setInfinity] = useState(false);
     const [stopProfitA, setStopProfitA] = useState(0);
     const [stopLossA, setStopLossA] = useState(0);
     const [onWinP, setOnWinP] = useState(0);
     const [onLossP, setOnLossP] = useState(0);
     const [areaFlag, setAreaFlag] = useState(true);
-
-    const [totalProfit, setProfitA] = useState<number>(0);
-    const [totalLoss, setLossA] = useState<number>(0);
+    const resultTimer = useRef<ReturnType<typeof setTimeout> | null>(null);
 
     const [result, setResult] = useState({
         odds: 0,
         profit: 0,
     });
+    const [payouts, setPayouts] = useState<MinePayout[]>([]);
+    const totalTiles = boardSize * boardSize;
     const profitAndOdds = calculateMinesGame(
-        mineCount,
+        payouts,
         mineAreas.length,
         betAmount
     );
@@ -136,11 +124,12 @@ const MineGame: React.FC = () => {
         try {
             const { data } = await axiosServices.post(`${MINE_API}/status`);
             if (data.success) {
-                const { datas, amount, mines } = data;
+                const { datas, amount, mines, size } = data;
                 setStatus(GAME_STATUS.LIVE);
                 setMineAreas(datas);
                 setBetAmount(amount);
                 setMineCount(mines);
+                setBoardSize(size || DEFAULT_BOARD_SIZE);
             }
         } catch (error) {
             handleApiError();
@@ -172,12 +161,14 @@ const MineGame: React.FC = () => {
                 gameType: 'mines',
                 metadata: {
                     mines: mineCount,
+                    size: boardSize,
                 },
                 onSuccess: async (txHash) => {
                     // After successful blockchain transaction, create game on backend
                     try {
                         const { data } = await axiosServices.post(`${MINE_API}/create`, {
                             mines: mineCount,
+                            size: boardSize,
                             amount: betAmount,
                             txHash: txHash,
                         });
@@ -316,7 +307,7 @@ const MineGame: React.FC = () => {
 
     const randomBet = async () => {
         const excludeArray = mineAreas.map((m) => m.point);
-        const allNumbers: number[] = Array.from({ length: 25 }, (_, i) => i); // Creates an array [0, 1, 2, ..., 24]
+        const allNumbers: number[] = Array.from({ length: totalTiles }, (_, i) => i); // Creates an array [0, 1, 2, ..., totalTiles - 1]
         const availableNumbers = allNumbers.filter(
             (num) => !excludeArray.includes(num)
         ); // Exclude numbers
@@ -347,123 +338,131 @@ const MineGame: React.FC = () => {
         if (count >= 0) {
             setAutoBetCount(value);
         }
-        setInfinity(count === 0);
     };
 
     useEffect(() => {
         checkActiveGame();
     }, []);
 
+    // Payouts come from the server so the house edge is configured in one place
+    useEffect(() => {
+        const fetchPayouts = async () => {
+            try {
+                const { data } = await axiosServices.get(`${MINE_API}/payouts`, {
+                    params: { mines: mineCount, size: boardSize },
+                });
+                if (data.success) {
+                    setPayouts(data.payouts);
+                }
+            } catch (error) {
+                setPayouts([]);
+            }
+        };
+        fetchPayouts();
+    }, [mineCount, boardSize]);
+
     //------------------- auto -----------------------//
 
-    // Function to start auto betting
-    const autoBet = () => {
+    // Function to start a server-run autobet session
+    const autoBet = async () => {
         if (loading) return;
-        setLoading(true);
-        setInfinity(autoBetCount === 0);
-        setStatus(GAME_STATUS.LIVE);
-    };
-
-    // Function to stop auto betting
-    const stopBet = () => {
-        setLoading(false);
-        setStatus(GAME_STATUS.READY);
-    };
 
-    // Function to handle the betting loop
-    const runTimeBet = async () => {
-        if (statusRef.current == GAME_STATUS.READY) return;
+        if (!isAuthenticated) {
+            toast.error("Please connect your wallet first!");
+            return;
+        }
 
-        setMineAreas([...autoAreas]);
+        if (!hasEnoughBalance(betAmount)) {
+            toast.error(`Insufficient balance. You have ${getBalance().toFixed(4)} QUBIC`);
+            return;
+        }
 
+        setLoading(true);
         try {
             const { data } = await axiosServices.post(`${MINE_API}/autobet`, {
                 points: autoAreas.map((a) => a.point),
                 mines: mineCount,
+                size: boardSize,
                 amount: betAmount,
+                count: autoBetCount,
+                stopOnProfit: stopProfitA,
+                stopOnLoss: stopLossA,
+                onWin: onWinP,
+                onLoss: onLossP,
             });
-
-            if (data.status == "END") {
-                let minedBombIndex = data.datas.findIndex(
-                    (m: any) => m.mined && m.mine == MINE_OBJECT.BOMB
-                );
-                if (minedBombIndex == -1) {
-                    const _profitAndOdds = calculateMinesGame(
-                        mineCount,
-                        autoAreas.length,
-                        1
-                    );
-
-                    setResult({
-                        odds: _profitAndOdds.probability,
-                        profit: _profitAndOdds.roundedWinAmount,
-                    });
-                    setResultVisible(true);
-                    if (stopProfitA !== 0) {
-                        setProfitA((prevCount) => {
-                            if (prevCount + betAmount >= stopProfitA) {
-                                stopBet();
-                                return 0;
-                            }
-                            return prevCount + betAmount;
-                        });
-                    }
-                } else {
-                    if (stopLossA !== 0) {
-                        setLossA((prevCount) => {
-                            if (prevCount + betAmount >= stopLossA) {
-                                stopBet();
-                                return 0;
-                            }
-                            return prevCount + betAmount;
-                        });
-                    }
-                }
-                setMineAreas(data.datas);
+            if (data.success) {
+                setStatus(GAME_STATUS.LIVE);
             } else {
-                stopBet();
+                toast.error(data.error || "Could not start autobet");
             }
-        } catch (error) {
-            stopBet(); // Stop betting if the conditions aren't met
+        } catch (error: any) {
+            toast.error(error?.response?.data?.error || "Could not start autobet");
         }
+        setLoading(false);
+    };
 
-        if (isInfinity) {
-            setTimeout(() => {
-                setResultVisible(false);
-                setMineAreas([]);
-                setTimeout(() => {
-                    runTimeBet();
-                }, 1000);
-            }, 1500);
-        } else if (autoBetCount > 0) {
-            setTimeout(() => {
-                setResultVisible(false);
-                setMineAreas([]);
-                setAutoBetCount((prevCount) => {
-                    const newCount = prevCount > 0 ? prevCount - 1 : prevCount;
-                    if (newCount == 0) {
-                        stopBet(); // Stop betting when no more bets are left
-                    }
-                    return newCount;
-                });
-            }, 1500);
-        } else {
-            stopBet(); // Stop betting if the conditions aren't met
+    // Function to stop the autobet session
+    const stopBet = async () => {
+        try {
+            await axiosServices.post(`${MINE_API}/autobet/stop`);
+        } catch (error) {
+            // The session may already have ended on the server
         }
+        setStatus(GAME_STATUS.READY);
     };
 
-    // Automatically trigger the betting loop when autoBetCount or isAutoRun changes
+    // Resume a session that kept running on the server and follow its rounds
     useEffect(() => {
-        if (status === GAME_STATUS.LIVE && activeTab === 1) {
-            setTimeout(runTimeBet, 1000); // Adjust delay as needed
-        }
-    }, [status, activeTab, autoBetCount]);
+        const onStart = (session: any) => {
+            setActiveTab(1);
+            setMineCount(session.mines);
+            setBoardSize(session.size || DEFAULT_BOARD_SIZE);
+            setBetAmount(session.baseAmount);
+            setAutoAreas(session.points.map((point: number) => ({ point, mine: null, mined: false })));
+            if (session.roundsLeft !== null) {
+                setAutoBetCount(session.roundsLeft);
+            }
+            setStatus(GAME_STATUS.LIVE);
+        };
+
+        const onRound = (round: any) => {
+            if (resultTimer.current) clearTimeout(resultTimer.current);
+            setMineAreas(round.datas);
+            if (round.win) {
+                setResult({ odds: round.multiplier, profit: round.winAmount });
+                setResultVisible(true);
+            }
+            if (round.roundsLeft !== null) {
+                setAutoBetCount(round.roundsLeft);
+            }
+            resultTimer.current = setTimeout(() => {
+                setResultVisible(false);
+                setMineAreas([]);
+            }, 1000);
+        };
 
-    // -------------auto end ---------------------//
+        const onEnd = (session: any) => {
+            if (AUTOBET_END_MESSAGES[session.reason]) {
+                toast.error(AUTOBET_END_MESSAGES[session.reason]);
+            }
+            setStatus(GAME_STATUS.READY);
+        };
+
+        socket.on("autobet-start", onStart);
+        socket.on("autobet-round", onRound);
+        socket.on("autobet-end", onEnd);
+        socket.connect();
+
+        return () => {
+            socket.off("autobet-start", onStart);
+            socket.off("autobet-round", onRound);
+            socket.off("autobet-end", onEnd);
+            socket.disconnect();
+            if (resultTimer.current) clearTimeout(resultTimer.current);
+        };
+    }, []);
 
-    useEffect(() => {
-        statusRef.current = status;
-    }, [status]);
+    // -------------auto end ---------------------//
 
     useEffect(() => {
         if (autoAreas.length > 0) {
@@ -476,6 +475,37 @@ const MineGame: React.FC = () => {
 
 
 
+    // Changing the board size clears picks that no longer fit and caps the mine count
+    const handleBoardSizeChange = (size: number) => {
+        if (status !== GAME_STATUS.READY) return;
+        setBoardSize(size);
+        setMineCount((count) => Math.min(count, size * size - 1));
+        setAutoAreas((areas) => areas.filter((m) => m.point < size * size));
+        setMineAreas([]);
+    };
+
+    // Render board size selector
+    const renderBoardSize = () => (
+        <div className="mt-2 flex flex-col">
+            <p className={`text-xs ${disabled ? "text-[#879097]" : "text-white"}`}>
+                Board
+            </p>
+            <select
+                disabled={disabled}
+                value={boardSize}
+                onChange={(e) => handleBoardSizeChange(Number(e.target.value))}
+                className={`${disabled ? "bg-[#172c38] text-[#879097]" : "bg-[#0f212e] text-white"
+                    } rounded-full border-[2px] border-[#2f4553] hover:border-[#557086] p-1.5 text-sm focus:outline-none`}
+            >
+                {BOARD_SIZES.map((size) => (
+                    <option key={size} value={size}>
+                        {size}x{size}
+                    </option>
+                ))}
+            </select>
+        </div>
+    );
+
     // Render mine count slider
     const renderMineCount = () => (
         <div className="mt-2 flex flex-col">
@@ -490,13 +520,13 @@ const MineGame: React.FC = () => {
                 <input
                     type="range"
                     min="1"
-                    max="24"
+                    max={totalTiles - 1}
                     disabled={disabled}
                     value={mineCount}
                     onChange={(e) => setMineCount(Number(e.target.value))}
                     className="mx-2 w-full h-2 bg-[#879097] rounded-lg cursor-pointer "
                 />
-                <div className="px-4 text-white">24</div>
+                <div className="px-4 text-white">{totalTiles - 1}</div>
             </div>
         </div>
     );
@@ -526,7 +556,7 @@ const MineGame: React.FC = () => {
                         Games
                     </p>
                     <input
-                        value={25 - mineCount - mineAreas.length}
+                        value={totalTiles - mineCount - mineAreas.length}
                         disabled
                         className="bg-[#2f4553] text-white  border-[2px] border-[#2f4553] hover:border-[#557086] rounded w-full p-1.5 text-sm"
                     />
@@ -660,9 +690,10 @@ const MineGame: React.FC = () => {
                             className={`${isMobile ? "w-11/12" : "w-[500px] xl:w-[630px]  p-5"} mx-auto relative`}
                         >
                             <div
-                                className={`grid grid-cols-5 gap-2.5 p-1.5 ${!areaFlag ? "animate-bounding2" : ""
-                                    } `}>
-                                {[...Array(25)].map((_, index) => {
+                                className={`grid ${boardSize > DEFAULT_BOARD_SIZE ? "gap-1.5" : "gap-2.5"} p-1.5 ${!areaFlag ? "animate-bounding2" : ""
+                                    } `}
+                                style={{ gridTemplateColumns: `repeat(${boardSize}, minmax(0, 1fr))` }}>
+                                {[...Array(totalTiles)].map((_, index) => {
                                     const mine = mineAreas.find((m) => m.point == index);
                                     const auto = isAuto
                                         ? autoAreas.findIndex((m) => m.point == index) !== -1
@@ -677,6 +708,7 @@ const MineGame: React.FC = () => {
                                                 point={index}
                                                 mine={mine}
                                                 isAuto={auto}
+                                                boardSize={boardSize}
                                                 onClick={isAuto ? selectArea : placeBet}
                                             />
                                         </div>
@@ -699,6 +731,7 @@ const MineGame: React.FC = () => {
                                 <div className="flex flex-col">
                                     <SwitchTab onChange={handleTabChange} active={activeTab} disabled={disabled} />
                                     <AmountInput value={betAmount} onChange={handleAmountChange} disabled={disabled} />
+                                    {renderBoardSize()}
                                     {renderMineCount()}
                                     <BetNumberInput value={autoBetCount} disabled={disabled} onChange={handleBetCount} />
                                     <MineCustomInput
@@ -726,6 +759,7 @@ const MineGame: React.FC = () => {
                                     <SwitchTab onChange={handleTabChange} active={activeTab} disabled={disabled} />
                                     <AmountInput value={betAmount} onChange={handleAmountChange} disabled={disabled} />
 
+                                    {status === GAME_STATUS.READY && renderBoardSize()}
                                     {status === GAME_STATUS.READY && renderMineCount()}
                                     {status === GAME_STATUS.LIVE && renderMineStatus()}
                                     {status === GAME_STATUS.LIVE && <ProfitAmount
@@ -747,6 +781,7 @@ const MineGame: React.FC = () => {
                             <div className="w-11/12 bg-black/20 p-2">
                                 {renderBetBtn()}
                                 <AmountInput value={betAmount} onChange={handleAmountChange} disabled={disabled} />
+                                {renderBoardSize()}
                                 {renderMineCount()}
                                 <BetNumberInput value={autoBetCount} disabled={disabled} onChange={handleBetCount} />
                                 <MineCustomInput
@@ -773,6 +808,7 @@ const MineGame: React.FC = () => {
                             <div className="w-11/12 bg-black/20 p-2">
                                 <AmountInput value={betAmount} onChange={handleAmountChange} disabled={disabled} />
                                 {renderBetBtn()}
+                                {status === GAME_STATUS.READY && renderBoardSize()}
                                 {status === GAME_STATUS.READY && renderMineCount()}
                                 {status === GAME_STATUS.LIVE && renderMineStatus()}
                                 {status === GAME_STATUS.LIVE && <ProfitAmount
@@ -13,6 +13,7 @@ import CurrentBets from "@/components/CurrentBets";
 import Slider, { findTile } from "@/components/Slider";
 import Layout from "@/layout/layout";
 import { useGameBetting } from "@/qubic/hooks/useGameBetting";
+import { useSocketAuth } from "@/qubic/hooks/useSocketAuth";
 import { useBalance } from "@/qubic/context/BalanceContext";
 import { useAuth } from "@/qubic/context/AuthContext";
 import toast from "react-hot-toast";
@@ -67,6 +68,8 @@ const SlideGame = () => {
 
     // Blockchain integration hooks
     const { placeBet: blockchainPlaceBet, cashout: blockchainCashout, isProcessing: isProcessingBet } = useGameBetting();
+    // Verified wallet, so the server restores the open bet in `session`
+    useSocketAuth(socket);
     const { hasEnoughBalance, getBalance } = useBalance();
     const { isAuthenticated } = useAuth();
 
@@ -414,6 +417,20 @@ const SlideGame = () => {
         }
     }
 
+    // Bet still open for this wallet, sent on every (re)connect
+    const onSession = (session: any) => {
+        if (!session.bet) return;
+        inputDisable.current = true;
+        setGameId(session.bet.gameId);
+    }
+
+    // Outcome of our bet, settled by the server even if we were disconnected
+    const onBetResult = (data: any) => {
+        if (data.won) {
+            toast.success(`You won ${Number(data.winAmount).toFixed(4)}!`);
+        }
+    }
+
     const joinFailed = (data: any) => {
         setBetting(false);
         toast.error(data?.message || "Failed to join game. Please try again.");
@@ -514,6 +531,10 @@ const SlideGame = () => {
 
         socket.on("bet", joinBet);
 
+        socket.on("session", onSession);
+
+        socket.on("bet-result", onBetResult);
+
         socket.on("history", (data) => {
             setHistory(data.reverse().slice(0, 6));
         })
@@ -531,6 +552,8 @@ const SlideGame = () => {
             socket.off("slide-track");
             socket.off("history");
             socket.off("bet");
+            socket.off("session");
+            socket.off("bet-result");
         }
     }, [target, betAmount, status, history, planedbet, autobet]);
 
@@ -607,7 +630,7 @@ const SlideGame = () => {
                             }}>{getButtonContent()}
                             </Button>
                             <AmountInput onChange={setBetAmount} value={betAmount} disabled={disable} />
-                            <MultiPlierInput onChange={setTarget} value={target} disabled={disable} />
+                            <MultiPlierInput onChange={setTarget} value={target} disabled={disable} game="slide" />
                             <SwitchTab onChange={setActiveTab} active={activeTab} disabled={disable} />
                             <CurrentBets bets={bets.map((b) => {
                                 if (status === STATUS.PLAYING) {
@@ -622,7 +645,7 @@ const SlideGame = () => {
                         <div className="col-span-1 p-2 min-h-[560px] bg-sider_panel shadow-[0px_0px_15px_rgba(0,0,0,0.25)] flex flex-col gap-4">
                             <SwitchTab onChange={setActiveTab} active={activeTab} disabled={disable} />
                             <AmountInput onChange={setBetAmount} value={betAmount} disabled={disable} />
-                            <MultiPlierInput onChange={setTarget} value={target} disabled={disable} />
+                            <MultiPlierInput onChange={setTarget} value={target} disabled={disable} game="slide" />
                             <Button className="bg-[#00e701] hover:bg-[#00d600] rounded-full uppercase font-bold" disabled={disable || isProcessingBet} onPress={async () => {
                                 if (betting || inputDisable.current || isProcessingBet)
                                     return;
@@ -11,6 +11,8 @@ import { useGameBetting } from "@/qubic/hooks/useGameBetting";
 import { useBalance } from "@/qubic/context/BalanceContext";
 import { useAuth } from "@/qubic/context/AuthContext";
 import toast from "react-hot-toast";
+import io, { Socket } from "socket.io-client";
+import { API_URL } from "@/config";
 
 
 
@@ -42,17 +44,36 @@ const suits = {
 
 
 
-const payouts = [
-    { id: "royal_flush", multiplier: 800, name: "Royal Flush" },
-    { id: "straight_flush", multiplier: 60, name: "Straight Flush" },
-    { id: "4_of_a_kind", multiplier: 22, name: "4 of a Kind" },
-    { id: "full_house", multiplier: 9, name: "Full House" },
-    { id: "flush", multiplier: 6, name: "Flush" },
-    { id: "straight", multiplier: 4, name: "Straight" },
-    { id: "3_of_a_kind", multiplier: 3, name: "3 of a Kind" },
-    { id: "2_pair", multiplier: 2, name: "2 Pair" },
-    { id: "pair", multiplier: 1, name: "Pair of Jacks" },
-];
+type Payout = { id: string; multiplier: number; name: string };
+type Variant = { id: string; name: string; paytable: Payout[] };
+type HandResult = { hand: Card[]; result: string; resultName: string; payout: number; winAmount: number };
+type DoubleUp = { amount: number; handWin: number; maxRounds: number; doubles: number; roundsLeft: number; pending: { dealerCard: Card } | null };
+// Current double-up round: the dealer card, then the four cards once one is picked
+type DoubleUpRound = { dealerCard: Card; cards: Card[]; pick: number; outcome: string };
+type Jackpot = { amount: number; maxBet: number };
+
+// Progressive jackpot pool, pushed as it grows and when it is won
+const jackpotSocket: Socket = io(`${API_URL}/jackpot`, { autoConnect: false });
+
+// Hands that can be played at once, shown until the server's list is loaded
+const HAND_COUNTS = [1, 3, 5, 10, 50];
+
+// Jacks or Better, shown until the server's variants are loaded
+const DEFAULT_VARIANT: Variant = {
+    id: "jacks_or_better",
+    name: "Jacks or Better",
+    paytable: [
+        { id: "royal_flush", multiplier: 800, name: "Royal Flush" },
+        { id: "straight_flush", multiplier: 50, name: "Straight Flush" },
+        { id: "4_of_a_kind", multiplier: 25, name: "4 of a Kind" },
+        { id: "full_house", multiplier: 9, name: "Full House" },
+        { id: "flush", multiplier: 6, name: "Flush" },
+        { id: "straight", multiplier: 4, name: "Straight" },
+        { id: "3_of_a_kind", multiplier: 3, name: "3 of a Kind" },
+        { id: "2_pair", multiplier: 2, name: "2 Pair" },
+        { id: "pair", multiplier: 1, name: "Jacks or Better" },
+    ],
+};
 
 // Utility functions for deck operations
 const SUITS = ['Hearts', 'Diamonds', 'Clubs', 'Spades'];
@@ -73,6 +94,21 @@ const VideoPoker = () => {
     const [gamestart, setStart] = useState(false);
     const [loading, setLoading] = useState(false);
     const [gameId, setGameId] = useState<string>("");
+    const [variants, setVariants] = useState<Variant[]>([DEFAULT_VARIANT]);
+    const [variantId, setVariantId] = useState<string>(DEFAULT_VARIANT.id);
+    const [result, setResult] = useState<string>("");
+    const [handCounts, setHandCounts] = useState<number[]>(HAND_COUNTS);
+    const [handCount, setHandCount] = useState<number>(1);
+    // Results of the extra hands (the base hand is shown by the main screen)
+    const [handResults, setHandResults] = useState<HandResult[]>([]);
+    const [winAmount, setWinAmount] = useState<number>(0);
+    const [doubleUp, setDoubleUp] = useState<DoubleUp | null>(null);
+    const [doubleUpRound, setDoubleUpRound] = useState<DoubleUpRound | null>(null);
+    // Hold advisor: best hold hint while holding, graded holds after the draw
+    const [strategyNote, setStrategyNote] = useState<string>("");
+    const [jackpot, setJackpot] = useState<Jackpot | null>(null);
+    const totalBet = betAmount * handCount;
+    const variant = variants.find((v) => v.id === variantId) || DEFAULT_VARIANT;
 
     const [privateHash, setPrivateHash] = useState("");
     const [privateSeed, setPrivateSeed] = useState("");
@@ -94,7 +130,7 @@ const VideoPoker = () => {
             }
 
             // Check balance
-            if (!hasEnoughBalance(betAmount)) {
+            if (!hasEnoughBalance(totalBet)) {
                 toast.error(`Insufficient balance. You have ${getBalance().toFixed(4)} QUBIC`);
                 setLoading(false);
                 return;
@@ -103,10 +139,10 @@ const VideoPoker = () => {
             try {
                 // Place blockchain transaction first
                 const betResult = await blockchainPlaceBet({
-                    amount: betAmount,
+                    amount: totalBet,
                     gameType: 'videopoker',
                     gameId: gameId || undefined,
-                    metadata: {},
+                    metadata: { variant: variantId, hands: handCount },
                     onSuccess: async (txHash) => {
                         // After successful blockchain transaction, initialize game on backend
                         try {
@@ -114,11 +150,18 @@ const VideoPoker = () => {
                                 betAmount, 
                                 currencyId: "",
                                 txHash: txHash,
+                                variant: variantId,
+                                hands: handCount,
                             });
                             
                             setGameId(data.gameId || data._id || "");
                             setStart(true);
                             setHolds([]);
+                            setResult("");
+                            setHandResults([]);
+                            setWinAmount(0);
+                            setDoubleUpRound(null);
+                            setStrategyNote("");
                             setCards(Array(5).fill(undefined));
                             setPrivateHash(data.privateSeedHash);
                             setPublicSeed(data.publicSeed);
@@ -148,15 +191,14 @@ const VideoPoker = () => {
         } else {
             // Drawing new cards - process payout if there's a win
             try {
-                const { data } = await axiosServices.post("/video-poker/draw", { holdIndexes: holds });
-                const result = data.result;
+                // Winnings are held for the double-up gamble until collected
+                const { data } = await axiosServices.post("/video-poker/draw", { holdIndexes: holds, doubleUp: true });
                 const payout = data.payout;
                 setPrivateSeed(data.privateSeed);
                 
-                // If there's a payout, process blockchain cashout
-                if (payout > 0 && isAuthenticated) {
-                    const winAmount = betAmount * payout;
-                    await blockchainCashout('videopoker', gameId, winAmount);
+                // If there's a payout, process blockchain cashout (every hand settles at once)
+                if (payout > 0 && isAuthenticated && !data.doubleUp) {
+                    await blockchainCashout('videopoker', gameId, data.winAmount);
                 }
                 
                 let c = 0;
@@ -170,6 +212,14 @@ const VideoPoker = () => {
                         }));
 
                         if (i == data.hand.length) {
+                            if (data.jackpot > 0) {
+                                toast.success(`Jackpot! You won ${formatAmount(data.jackpot)}`);
+                            }
+                            setResult(data.result || "");
+                            setHandResults((data.results || []).slice(1));
+                            setWinAmount(data.winAmount || 0);
+                            setDoubleUp(data.doubleUp || null);
+                            gradeHolds();
                             setHolds([]);
                             setStart(false);
                             setLoading(false);
@@ -189,6 +239,79 @@ const VideoPoker = () => {
         setDealing(!dealing);
     };
 
+    // Settle the double-up winnings (nothing is paid after a losing pick)
+    const finishDoubleUp = async (amount: number) => {
+        setDoubleUp(null);
+        setWinAmount(amount);
+        if (amount > 0 && isAuthenticated) {
+            await blockchainCashout('videopoker', gameId, amount);
+        }
+    };
+
+    const handleDoubleUpDeal = async () => {
+        setLoading(true);
+        try {
+            const { data } = await axiosServices.post("/video-poker/double-up/deal", { gameId: gameId || undefined });
+            setDoubleUp(data.doubleUp);
+            setDoubleUpRound({ dealerCard: data.dealerCard, cards: [], pick: -1, outcome: "" });
+            playAudio("dealing");
+        } catch (error) {
+            toast.error("Failed to deal double up");
+        }
+        setLoading(false);
+    };
+
+    const handleDoubleUpPick = async (pick: number) => {
+        if (loading || !doubleUpRound || doubleUpRound.pick !== -1) return;
+        setLoading(true);
+        try {
+            const { data } = await axiosServices.post("/video-poker/double-up/pick", { gameId: gameId || undefined, pick });
+            setDoubleUpRound({ dealerCard: data.dealerCard, cards: data.cards, pick, outcome: data.outcome });
+            playAudio("dealing");
+            if (data.gameOver) {
+                await finishDoubleUp(data.winAmount);
+            } else {
+                setDoubleUp(data.doubleUp);
+            }
+        } catch (error) {
+            toast.error("Failed to pick card");
+        }
+        setLoading(false);
+    };
+
+    const handleDoubleUpCollect = async () => {
+        setLoading(true);
+        try {
+            const { data } = await axiosServices.post("/video-poker/double-up/collect", { gameId: gameId || undefined });
+            await finishDoubleUp(data.winAmount);
+        } catch (error) {
+            toast.error("Failed to collect winnings");
+        }
+        setLoading(false);
+    };
+
+    const handleHint = async () => {
+        try {
+            const { data } = await axiosServices.post("/video-poker/strategy", { hand: cards, variant: variantId });
+            setHolds(data.best.holds);
+            setStrategyNote(`Best hold EV ${data.best.ev.toFixed(3)}x`);
+        } catch (error) {
+            toast.error("Failed to load hint");
+        }
+    };
+
+    // Flag holds that gave up expected value
+    const gradeHolds = async () => {
+        try {
+            const { data } = await axiosServices.post("/video-poker/strategy", { gameId });
+            if (data.played?.mistake) {
+                setStrategyNote(`Strategy mistake: best hold EV ${data.best.ev.toFixed(3)}x, yours ${data.played.ev.toFixed(3)}x`);
+            }
+        } catch (error) {
+            // Grading is best effort
+        }
+    };
+
     const handleHolder = (index: number) => {
         const i = holds.findIndex((i) => i === index);
         if (i === -1) {
@@ -197,14 +320,33 @@ const VideoPoker = () => {
             setHolds([...holds.filter((h) => h !== index)])
         }
     }
-    const { ranking, winningCards } = evaluateHand(cards);
-    const disabled = dealing || loading || isProcessingBet;
+    // The server's result decides the payout; wild cards complete any hand they are part of
+    const ranking = result;
+    const localWinningCards = evaluateHand(cards).winningCards;
+    const winningCards = !ranking ? [] : localWinningCards.length > 0 ? localWinningCards : cards;
+    const disabled = dealing || loading || isProcessingBet || !!doubleUp;
 
     useEffect(() => {
         const fetchDatas = async () => {
             setLoading(true);
             try {
                 const { data } = await axiosServices.post("/video-poker/fetchgame")
+                if (data.variant) {
+                    setVariantId(data.variant);
+                }
+                if (data.hands) {
+                    setHandCount(data.hands);
+                }
+                if (data.doubleUp) {
+                    // A drawn win is waiting to be collected or doubled
+                    setGameId(data.gameId);
+                    setDoubleUp(data.doubleUp);
+                    setWinAmount(data.doubleUp.handWin);
+                    setHandResults((data.results || []).slice(1));
+                    if (data.doubleUp.pending) {
+                        setDoubleUpRound({ dealerCard: data.doubleUp.pending.dealerCard, cards: [], pick: -1, outcome: "" });
+                    }
+                }
                 setStart(true);
                 setHolds([]);
                 setCards(Array(5).fill(undefined));
@@ -219,10 +361,33 @@ const VideoPoker = () => {
         fetchDatas();
     }, [])
 
+    useEffect(() => {
+        const fetchVariants = async () => {
+            try {
+                const { data } = await axiosServices.get("/video-poker/variants");
+                if (data.success) {
+                    setVariants(data.variants);
+                    setHandCounts(data.handCounts || HAND_COUNTS);
+                }
+            } catch (error) {
+                // Keep the default paytable
+            }
+        };
+        fetchVariants();
+    }, [])
+
+    useEffect(() => {
+        const onJackpot = (pool: Jackpot) => setJackpot(pool);
+
+        jackpotSocket.on("jackpot", onJackpot);
+        jackpotSocket.connect();
+
+        return () => {
+            jackpotSocket.off("jackpot", onJackpot);
+            jackpotSocket.disconnect();
+        };
+    }, [])
 
-    let currentpayout = payouts.find((payout, index) => {
-        return !dealing && payout.id === ranking;
-    })
 
     const playAudio = (key: string) => {
         try {
@@ -263,25 +428,44 @@ const VideoPoker = () => {
                     <div className={`flex items-center justify-center w-full p-4 md:p-6  gap-2 ${isMobile ? "min-h-[350px] " : "min-h-[300px] "
                         }   relative h-full overflow-hidden`}>
                         <div className="flex-col py-2 md:px-10 w-full md:w-auto">
-                            <PayoutTable ranking={ranking} betAmount={betAmount} dealing={dealing} />
+                            <PayoutTable payouts={variant.paytable} ranking={ranking} betAmount={betAmount} dealing={dealing} jackpot={jackpot} />
                             <div className="flex justify-center">
                                 <Button
                                     onPress={handleDeal}
-                                    disabled={loading}
+                                    disabled={loading || !!doubleUp}
                                     color="default"
                                     className={` mt-5 py-3 px-6 w-30 rounded-full  transition duration-200 font-bold`}
                                 >
                                     {dealing ? "Deal" : "Bet Again"}
                                 </Button>
+                                {dealing && gamestart && !loading && (
+                                    <Button onPress={handleHint} color="default" variant="bordered" className="mt-5 ml-2 py-3 px-6 rounded-full font-bold">
+                                        Hint
+                                    </Button>
+                                )}
                             </div>
+                            {strategyNote && <p className="text-center text-sm text-[#879097] mt-2">{strategyNote}</p>}
                             <VideoPokerGameScreen cards={cards} holds={holds} onSelect={handleHolder} dealing={dealing} gamestart={gamestart} winningCards={winningCards} />
+                            {handCount > 1 && <MultiHandResults count={handCount - 1} results={handResults} />}
+                            {(doubleUp || doubleUpRound) && (
+                                <DoubleUpPanel
+                                    doubleUp={doubleUp}
+                                    round={doubleUpRound}
+                                    disabled={loading || isProcessingBet}
+                                    onDeal={handleDoubleUpDeal}
+                                    onPick={handleDoubleUpPick}
+                                    onCollect={handleDoubleUpCollect}
+                                />
+                            )}
                         </div>
-                        <ResultModal visible={!gamestart && winningCards.length > 0 && ranking !== ""} data={{ odds: currentpayout?.multiplier || 0, profit: (currentpayout?.multiplier || 0) * betAmount, coin: "" }} Currency={""} />
+                        <ResultModal visible={!gamestart && winAmount > 0 && !doubleUp} data={{ odds: totalBet > 0 ? winAmount / totalBet : 0, profit: winAmount, coin: "" }} Currency={""} />
                     </div>
                     {!isMobile && (
                         <div className={`w-full md:w-auto col-span-1 p-2 min-h-[560px] bg-black/20 shadow-[0px_0px_15px_rgba(0,0,0,0.25)] flex flex-col justify-between`}>
                             <div className="flex flex-col gap-4">
                                 <AmountInput value={betAmount} onChange={setBetAmount} disabled={disabled} />
+                                <VariantSelect variants={variants} value={variantId} onChange={setVariantId} disabled={disabled || gamestart} />
+                                <HandCountSelect counts={handCounts} value={handCount} onChange={setHandCount} disabled={disabled || gamestart} />
                                 <Button disabled={disabled} onPress={handleDeal} color="success" className="bg-[#00e701] hover:bg-[#00d600] rounded-full uppercase font-bold">
                                     Bet
                                 </Button>
@@ -291,6 +475,8 @@ const VideoPoker = () => {
                         <div className={`w-full px-4 md:w-auto col-span-1 bg-black/20 p-2 shadow-[0px_0px_15px_rgba(0,0,0,0.25)] flex flex-col justify-between`}>
                             <div className="flex flex-col gap-4">
                                 <AmountInput value={betAmount} onChange={setBetAmount} disabled={disabled} />
+                                <VariantSelect variants={variants} value={variantId} onChange={setVariantId} disabled={disabled || gamestart} />
+                                <HandCountSelect counts={handCounts} value={handCount} onChange={setHandCount} disabled={disabled || gamestart} />
                                 <Button disabled={disabled} onPress={handleDeal} color="success" className="bg-[#00e701] hover:bg-[#00d600] rounded-full uppercase font-bold">
                                     Bet
                                 </Button>
@@ -308,10 +494,127 @@ export default VideoPoker;
 
 
 
-const PayoutTable = ({ ranking, betAmount, dealing }: { ranking: string, betAmount: number, dealing: boolean }) => {
+const VariantSelect = ({ variants, value, onChange, disabled }: { variants: Variant[], value: string, onChange: (id: string) => void, disabled: boolean }) => {
+    return (
+        <div className="flex flex-col">
+            <p className={`text-sm ${disabled ? "text-[#879097]" : "text-white"}`}>Game</p>
+            <select
+                disabled={disabled}
+                value={value}
+                onChange={(e) => onChange(e.target.value)}
+                className={`${disabled ? "bg-[#172c38] text-[#879097]" : "bg-[#0f212e] text-white"} rounded-full border-[2px] border-[#2f4553] hover:border-[#557086] p-1.5 text-sm focus:outline-none`}
+            >
+                {variants.map((v) => (
+                    <option key={v.id} value={v.id}>{v.name}</option>
+                ))}
+            </select>
+        </div>
+    );
+};
+
+
+const DoubleUpPanel = ({ doubleUp, round, disabled, onDeal, onPick, onCollect }: { doubleUp: DoubleUp | null, round: DoubleUpRound | null, disabled: boolean, onDeal: () => void, onPick: (pick: number) => void, onCollect: () => void }) => {
+    const picking = !!round && round.pick === -1;
+    const renderCard = (card: Card, highlight?: string) => (
+        <div className="w-10 h-14 rounded-md flex flex-col items-center justify-center font-bold" style={{ background: card ? "white" : "green", color: card ? suits[card.suit as Suit]?.color : undefined, boxShadow: highlight ? `0 0 0 .2em ${highlight}` : "" }}>
+            {card && <span>{card.rank}</span>}
+            {card && <div className="w-4">{suits[card.suit as Suit]?.icon}</div>}
+        </div>
+    );
+    const outcomeColor: { [key: string]: string } = { win: "#00e701", push: "#35ccfa", lose: "#e9113c" };
+
+    return (
+        <div className="flex flex-col items-center gap-2 bg-sider_panel rounded-lg p-3 text-white">
+            <p className="uppercase font-bold text-sm">
+                Double up {doubleUp ? `· ${formatAmount(doubleUp.amount)} 💰 · ${doubleUp.roundsLeft} left` : ""}
+            </p>
+            {round && (
+                <div className="flex items-center gap-4">
+                    {renderCard(round.dealerCard)}
+                    <div className="flex gap-1">
+                        {Array.from({ length: 4 }, (_, i) => (
+                            <div key={i} className={picking && !disabled ? "cursor-pointer" : ""} onClick={() => picking && !disabled && onPick(i)}>
+                                {renderCard(round.cards[i], i === round.pick ? outcomeColor[round.outcome] : undefined)}
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+            {round && round.outcome && <p className="uppercase font-bold text-sm" style={{ color: outcomeColor[round.outcome] }}>{round.outcome}</p>}
+            {doubleUp && !picking && (
+                <div className="flex gap-2">
+                    {doubleUp.roundsLeft > 0 && <Button size="sm" disabled={disabled} onPress={onDeal} className="rounded-full uppercase font-bold">Double</Button>}
+                    <Button size="sm" disabled={disabled} onPress={onCollect} color="success" className="bg-[#00e701] rounded-full uppercase font-bold">Collect</Button>
+                </div>
+            )}
+            {picking && <p className="text-xs text-[#879097]">Pick a card higher than the dealer&apos;s</p>}
+        </div>
+    );
+};
+
+
+const HandCountSelect = ({ counts, value, onChange, disabled }: { counts: number[], value: number, onChange: (count: number) => void, disabled: boolean }) => {
+    return (
+        <div className="flex flex-col">
+            <p className={`text-sm ${disabled ? "text-[#879097]" : "text-white"}`}>Hands</p>
+            <select
+                disabled={disabled}
+                value={value}
+                onChange={(e) => onChange(parseInt(e.target.value))}
+                className={`${disabled ? "bg-[#172c38] text-[#879097]" : "bg-[#0f212e] text-white"} rounded-full border-[2px] border-[#2f4553] hover:border-[#557086] p-1.5 text-sm focus:outline-none`}
+            >
+                {counts.map((count) => (
+                    <option key={count} value={count}>{count === 1 ? "Single hand" : `${count} play`}</option>
+                ))}
+            </select>
+        </div>
+    );
+};
+
+
+// Compact view of the extra hands of a multi-hand game (face down until drawn)
+const MultiHandResults = ({ count, results }: { count: number, results: HandResult[] }) => {
+    return (
+        <div className="grid gap-2 max-h-[320px] overflow-y-auto" style={{ gridTemplateColumns: `repeat(${count > 4 ? 5 : count}, minmax(0, 1fr))` }}>
+            {Array.from({ length: count }, (_, index) => {
+                const handResult = results[index];
+                return (
+                    <div key={index} className={`flex flex-col items-center rounded-md p-1 ${handResult?.result ? "bg-[#00e701]/20" : "bg-panel"}`}>
+                        <div className="flex gap-[2px]">
+                            {Array.from({ length: 5 }, (_, i) => {
+                                const card = handResult?.hand[i];
+                                return (
+                                    <div key={i} className="w-5 h-7 rounded-sm flex flex-col items-center justify-center text-[10px] font-bold leading-none" style={{ background: card ? "white" : "green", color: card ? suits[card.suit as Suit]?.color : undefined }}>
+                                        {card && <span>{card.rank === "Joker" ? "★" : card.rank}</span>}
+                                        {card && <div className="w-2">{suits[card.suit as Suit]?.icon}</div>}
+                                    </div>
+                                );
+                            })}
+                        </div>
+                        <span className="text-[10px] uppercase font-bold text-white truncate max-w-full">
+                            {handResult ? handResult.resultName ? `${handResult.resultName} ${formatAmount(handResult.winAmount)}` : "-" : ""}
+                        </span>
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+
+const PayoutTable = ({ payouts, ranking, betAmount, dealing, jackpot }: { payouts: Payout[], ranking: string, betAmount: number, dealing: boolean, jackpot: Jackpot | null }) => {
     const isMobile = useIsMobile();
+    // A max-bet royal flush pays the pool instead of its fixed payout (never less)
+    const jackpotAmount = (multiplier: number) =>
+        jackpot && betAmount >= jackpot.maxBet ? Math.max(jackpot.amount, betAmount * multiplier) : betAmount * multiplier;
     return (
         <div className="mx-auto bg-sider_panel text-white shadow-md rounded-lg overflow-hidden">
+            {jackpot && (
+                <div className="px-4 pt-3 flex justify-between uppercase font-bold">
+                    <span>Jackpot</span>
+                    <span className="text-[#00e701]">{formatAmount(jackpot.amount)}</span>
+                </div>
+            )}
             <div className="p-4">
                 <div className="min-w-full">
                     {payouts.map((payout, index) => {
@@ -329,7 +632,7 @@ const PayoutTable = ({ ranking, betAmount, dealing }: { ranking: string, betAmou
                                     </div>}
                                 </div>}
                                 {!isMobile &&
-                                    <div className={`py-1 px-4 text-right ${iswinning ? `bg-[${wincolor}]` : "bg-panel"} rounded-sm`}>{formatAmount(betAmount * payout.multiplier)} <span className="text-blue-400">💰</span></div>
+                                    <div className={`py-1 px-4 text-right ${iswinning ? `bg-[${wincolor}]` : "bg-panel"} rounded-sm`}>{formatAmount(payout.id === "royal_flush" ? jackpotAmount(payout.multiplier) : betAmount * payout.multiplier)} <span className="text-blue-400">💰</span></div>
                                 }
                             </div>)
                     })}
@@ -382,7 +685,7 @@ const VideoPokerGameScreen = ({ dealing, cards, holds, onSelect, gamestart, winn
                                 }}
                             >
                                 <div className={`flex-col h-full w-full md:p-2 p-1 `} style={{ color: Color }}>
-                                    <span className="font-bold md:text-[2.2em]">{card?.rank}</span>
+                                    <span className="font-bold md:text-[2.2em]">{card?.rank === "Joker" ? "★" : card?.rank}</span>
                                     <div className="w-1/2">
                                         {Icon}
                                     </div>
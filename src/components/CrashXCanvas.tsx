@@ -1,6 +1,7 @@
 'use client'
 import { AnyNaptrRecord } from "dns";
 import { useEffect, useRef, useState } from "react";
+import { crashMultiplier } from "@/util/crashCurve";
 
 
 
@@ -157,6 +158,14 @@ class CrashGameEngine {
         this.gameStatus = props;
     }
 
+    // Payout of the running round: drawn from the curve when its growth rate is known,
+    // startTime being the round start converted to the local clock
+    currentPayout() {
+        const { payout, startTime, growthRate }: any = this.gameStatus;
+        if (!growthRate || !startTime) return payout;
+        return crashMultiplier(Date.now() - new Date(startTime).getTime(), growthRate);
+    }
+
     loop() {
         if (this.canvas && this.gameStatus) {
             const width = this.gameWidth;
@@ -167,7 +176,7 @@ class CrashGameEngine {
             const { status, payout, startTime } = this.gameStatus;
 
             if (status === GAME_STATES.InProgress) {
-                this.PAY_OUT = payout;
+                this.PAY_OUT = this.currentPayout();
                 this.PRE_PAYOUT = (this.PAY_OUT - 1) * 10;
                 this.elapsed = (currentTime - new Date(startTime).getTime()) / 100;
 
@@ -270,7 +279,7 @@ class CrashGameEngine {
                 DISPLAY_PAYOUT = `${this.PAY_OUT.toFixed(2)}x`;
                 DISPLAY_STATUS = "Current payout";
             } else if (status === GAME_STATES.InProgress) {
-                DISPLAY_PAYOUT = `${payout.toFixed(2)}x`;
+                DISPLAY_PAYOUT = `${this.PAY_OUT.toFixed(2)}x`;
                 DISPLAY_STATUS = "Current payout";
             } else {
                 const endTime = new Date(new Date(startTime).getTime());
@@ -3,12 +3,14 @@ import { useCallback, useEffect, useState } from "react";
 import Modal from "./Modal";
 import { Button } from "@heroui/react";
 
+// Rounds per page
+const PAGE_SIZE = 7;
 
 const GameHistory = ({ Label, setGameId }: any) => {
     const [openModal, setOpenModal] = useState(false)
     const [histories, setHistory] = useState([])
     const [loading, setLoading] = useState(false);
-    const [skip, setSkip] = useState(0);
+    const [page, setPage] = useState(0);
 
     // get game hash
     const fetchData = useCallback(async () => {
@@ -16,17 +18,17 @@ const GameHistory = ({ Label, setGameId }: any) => {
         try {
             const { data } = await axiosServices.get(`/${Label}/games`, {
                 params: {
-                    skip,
-                    limit: 7
+                    skip: page * PAGE_SIZE,
+                    limit: PAGE_SIZE
                 }
             })
-            setHistory(data)
+            setHistory(data.games || [])
             setOpenModal(true)
         } catch (error) {
             // toast.error("Request failed")
         }
         setLoading(false)
-    }, [skip])
+    }, [page])
 
     const setVeifyGameId = (gameid: string) => {
         setGameId(gameid)
@@ -36,7 +38,7 @@ const GameHistory = ({ Label, setGameId }: any) => {
         if (histories.length > 0) {
             fetchData()
         }
-    }, [skip])
+    }, [page])
 
     useEffect(() => {
         if (openModal) {
@@ -67,6 +69,7 @@ const GameHistory = ({ Label, setGameId }: any) => {
                             <div className="flex">
                                 <div>Time</div>
                                 <div>Multiplier</div>
+                                {Label === "crash" && <div>Trenball</div>}
                                 <div>Details</div>
                             </div>
                             <div className="min-h-[500px] relative">
@@ -106,6 +109,9 @@ const GameHistory = ({ Label, setGameId }: any) => {
                                                     )}x</div >
                                                 )}
                                             </div>
+                                            {Label === "crash" && <div className="p-0 text-xs uppercase">
+                                                {(game.winningSides || []).join(", ")}
+                                            </div>}
                                             <div className="p-0">
                                                 <Button onClick={() => {
                                                     setOpenModal(false);
@@ -118,8 +124,8 @@ const GameHistory = ({ Label, setGameId }: any) => {
                             </div>
                         </div>
                         <div className="flex justify-center items-center">
-                            <Button onClick={() => skip > 0 && setSkip(skip - 1)}>Previeus</Button>
-                            <Button onClick={() => setSkip(skip + 1)}>Next</Button>
+                            <Button onClick={() => page > 0 && setPage(page - 1)}>Previeus</Button>
+                            <Button onClick={() => histories.length === PAGE_SIZE && setPage(page + 1)}>Next</Button>
                         </div>
                     </div>
                 </div>
@@ -4,7 +4,10 @@ import { MINE_OBJECT, MineArea, MineButtonProps } from "./types";
 
 
 
-const MineButton = ({ point, mine, isAuto, onClick }: MineButtonProps) => {
+const MineButton = ({ point, mine, isAuto, boardSize = 5, onClick }: MineButtonProps) => {
+  // Tiles on boards larger than 5x5 are smaller, so tighten their padding
+  const padding = boardSize > 5 ? "p-1" : "p-2";
+
   const handleClick = () => {
     onClick(point);
   };
@@ -47,7 +50,7 @@ const MineButton = ({ point, mine, isAuto, onClick }: MineButtonProps) => {
 
     if (isGem) {
       return (
-        <div className="animate-bounding opacity-40 p-2">
+        <div className={`animate-bounding opacity-40 ${padding}`}>
           <JewlSvg />
         </div>
       );
@@ -55,7 +58,7 @@ const MineButton = ({ point, mine, isAuto, onClick }: MineButtonProps) => {
 
     if (isBomb) {
       return (
-        <div className="animate-bounding opacity-40 p-2">
+        <div className={`animate-bounding opacity-40 ${padding}`}>
           <ExpolitionBombSvg />
         </div>
       );
@@ -73,12 +76,12 @@ const MineButton = ({ point, mine, isAuto, onClick }: MineButtonProps) => {
     <Button
       className={
         mine?.mine
-          ? `p-2 w-full h-full rounded-lg aspect-square bg-white/20 ${isAuto && "border-[5px] border-[#9000ff]"
+          ? `${padding} w-full h-full rounded-lg aspect-square bg-white/20 ${isAuto && "border-[5px] border-[#9000ff]"
           }`
           : mine
-            ? `p-2 animate-bounding1 w-full h-full rounded-lg aspect-square ${isAuto ? "bg-[#9000ff]" : "bg-white/20"
+            ? `${padding} animate-bounding1 w-full h-full rounded-lg aspect-square ${isAuto ? "bg-[#9000ff]" : "bg-white/20"
             }`
-            : `p-2 w-full h-full rounded-lg aspect-square ${isAuto ? "bg-[#9000ff]" : "bg-white/20"
+            : `${padding} w-full h-full rounded-lg aspect-square ${isAuto ? "bg-[#9000ff]" : "bg-white/20"
             }`
       }
       onClick={handleClick}
@@ -14,10 +14,16 @@ export type MineArea = {
     mine: MINE_OBJECT | null;
     mined: boolean;
 };
+export type MinePayout = {
+    picks: number;
+    multiplier: number;
+    chance: number;
+};
 export type MineButtonProps = {
     point: number;
     mine: MineArea | undefined;
     isAuto: boolean;
+    boardSize?: number;
     onClick: (point: number) => void;
 };
 export type MineModalPropsType = {
@@ -1,13 +1,41 @@
-import React from "react";
+import React, { useEffect, useState } from "react";
 import Input from "./Input";
+import axiosServices from "@/util/axios";
 
-type props = { onChange: Function, disabled?: boolean, value: number };
+// `game` shows the server's win chance for the target (e.g. "slide" uses /slide/win-chance)
+type props = { onChange: Function, disabled?: boolean, value: number, game?: string };
+
+const MultiPlierInput: React.FC<props> = ({ onChange, disabled, value, game }) => {
+    const [winChance, setWinChance] = useState<number | null>(null);
+
+    useEffect(() => {
+        if (!game || !(Number(value) >= 1.01)) {
+            setWinChance(null);
+            return;
+        }
+
+        // Wait for typing to settle before asking the server
+        const timer = setTimeout(async () => {
+            try {
+                const { data } = await axiosServices.get(`/${game}/win-chance`, { params: { target: value } });
+                setWinChance(data.winChance);
+            } catch (error) {
+                setWinChance(null);
+            }
+        }, 300);
+
+        return () => clearTimeout(timer);
+    }, [game, value]);
 
-const MultiPlierInput: React.FC<props> = ({ onChange, disabled, value }) => {
     return <div className="mt-2 flex flex-col">
-        <p className={`text-sm ${disabled ? "text-text_1" : "text-[#bdbcbc]"}  font-bold`}>
-            Target Multiplier
-        </p>
+        <div className="flex justify-between">
+            <p className={`text-sm ${disabled ? "text-text_1" : "text-[#bdbcbc]"}  font-bold`}>
+                Target Multiplier
+            </p>
+            {winChance !== null && <p className="text-sm text-[#bdbcbc] font-bold">
+                Win Chance {winChance.toFixed(2)}%
+            </p>}
+        </div>
         <div className="flex bg-input_bg rounded overflow-hidden shadow-input">
             <Input onChange={onChange} value={value} disabled={disabled} />
             <div className="relative flex">
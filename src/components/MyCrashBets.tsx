@@ -0,0 +1,95 @@
+import { Button } from "@heroui/react";
+import CurrencyIcon from "./CurrencyIcon";
+
+// Bets of the connected wallet in the current round; each one is cashed out on its own, in full or half of what rides
+// Bets queued for the next round are listed after them and can be cancelled until that round opens
+const MyCrashBets = ({
+    bets,
+    queued = [],
+    canCashout,
+    onCashout,
+    onCancel,
+}: {
+    bets: any[];
+    queued?: any[];
+    canCashout: boolean;
+    onCashout: (betId: string, amount?: number) => void;
+    onCancel?: (betId: string) => void;
+}) => {
+    return (
+        <div className="mt-2">
+            <div className="text-white text-sm">My Bets</div>
+            <div className="max-h-[150px] overflow-y-auto bg-panel rounded-sm">
+                {bets.map((bet) => (
+                    <div
+                        key={bet.betId}
+                        className="flex px-3 py-1.5 gap-1 items-center hover:bg-[#29374793] justify-between"
+                    >
+                        <div className="text-xs text-stone-200 font-bold">
+                            {bet.target > 0 ? `${(bet.target / 100).toFixed(2)}x` : "Manual"}
+                        </div>
+                        <div className="flex justify-center items-center">
+                            <div className="w-4">
+                                <CurrencyIcon />
+                            </div>
+                            <span className="text-xs px-1 text-stone-100 font-bold">
+                                {bet.remaining < bet.betAmount ? `${bet.remaining} / ${bet.betAmount}` : bet.betAmount}
+                            </span>
+                            {bet.winAmount > 0 && (
+                                <span className="text-xs px-1 text-green-600 font-bold">
+                                    +{bet.winAmount.toFixed(4)}
+                                </span>
+                            )}
+                        </div>
+                        {canCashout && bet.remaining > 0 && (
+                            <div className="flex gap-1">
+                                <Button
+                                    size="sm"
+                                    className="bg-[#00e701] min-w-0 h-6 px-2 text-xs font-bold uppercase rounded-full"
+                                    onClick={() => onCashout(bet.betId, Math.floor((bet.remaining / 2) * 1e8) / 1e8)}
+                                >
+                                    ½
+                                </Button>
+                                <Button
+                                    size="sm"
+                                    className="bg-[#00e701] min-w-0 h-6 px-2 text-xs font-bold uppercase rounded-full"
+                                    onClick={() => onCashout(bet.betId)}
+                                >
+                                    Cashout
+                                </Button>
+                            </div>
+                        )}
+                    </div>
+                ))}
+                {queued.map((bet) => (
+                    <div
+                        key={bet.betId}
+                        className="flex px-3 py-1.5 gap-1 items-center hover:bg-[#29374793] justify-between"
+                    >
+                        <div className="text-xs text-stone-200 font-bold">
+                            {bet.target > 0 ? `${(bet.target / 100).toFixed(2)}x` : "Manual"}
+                        </div>
+                        <div className="flex justify-center items-center">
+                            <div className="w-4">
+                                <CurrencyIcon />
+                            </div>
+                            <span className="text-xs px-1 text-stone-100 font-bold">{bet.betAmount}</span>
+                            <span className="text-xs px-1 text-stone-400">Next round</span>
+                        </div>
+                        {onCancel && (
+                            <Button
+                                size="sm"
+                                className="bg-[#2f4553] text-white min-w-0 h-6 px-2 text-xs font-bold uppercase rounded-full"
+                                onClick={() => onCancel(bet.betId)}
+                            >
+                                Cancel
+                            </Button>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default MyCrashBets;
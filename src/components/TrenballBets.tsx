@@ -0,0 +1,52 @@
+import CurrencyIcon from "./CurrencyIcon";
+import { DefaultAvatar } from "./CurrentBets";
+
+// Trenball sides: red crashes below 2x, green at or above 2x, moon above 10x
+export const TRENBALL_SIDES = [
+    { side: "red", label: "Red < 2x", color: "bg-[#e9113c]" },
+    { side: "green", label: "Green ≥ 2x", color: "bg-[#00e701]" },
+    { side: "moon", label: "Moon > 10x", color: "bg-[#ffbd16]" },
+];
+
+const sideColor = (side: string) =>
+    TRENBALL_SIDES.find((item) => item.side === side)?.color || "";
+
+const TrenballBets = ({ bets }: { bets: any[] }) => {
+    return (
+        <div className="mt-2">
+            <div className="text-white text-sm">Trenball</div>
+            <div className="max-h-[150px] overflow-y-auto bg-panel rounded-sm">
+                {bets.map((row, index) => (
+                    <div
+                        key={index}
+                        className="flex px-3 py-1.5 items-center hover:bg-[#29374793] justify-between"
+                    >
+                        <div className="flex items-center w-3/5">
+                            <div className="text-stone-100" style={{ width: "30px" }}>
+                                <DefaultAvatar />
+                            </div>
+                            <div className="text-xs px-1 text-white max-w-sm overflow-hidden text-ellipsis whitespace-nowrap">
+                                {row.playerID}
+                            </div>
+                        </div>
+                        <div className={`text-xs px-2 rounded-full uppercase font-bold text-black ${sideColor(row.side)}`}>
+                            {row.side}
+                        </div>
+                        <div className="flex justify-center items-center">
+                            <div className="w-4">
+                                <CurrencyIcon />
+                            </div>
+                            <span
+                                className={`text-xs px-1 ${row.winAmount > 0 ? "text-green-600" : "text-stone-100"} font-bold`}
+                            >
+                                {row.winAmount > 0 ? row.winAmount.toFixed(4) : row.betAmount}
+                            </span>
+                        </div>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default TrenballBets;
@@ -4,6 +4,7 @@ import CurrentBets from "./CurrentBets";
 import SwitchTab from "./SwitchTab";
 import axiosServices from "@/util/axios";
 import Modal from "./Modal";
+import TrenballBets from "./TrenballBets";
 
 const VerifyModal = ({ gameId, Label, setGameId }: any) => {
     const [verifyOpen, setVerifyOpen] = useState(false)
@@ -14,6 +15,8 @@ const VerifyModal = ({ gameId, Label, setGameId }: any) => {
         privateHash: "",
         publicSeed: "",
         bets: "",
+        sideBets: [],
+        winningSides: [],
         crashPoint: 1,
         startedAt: new Date()
     });
@@ -30,7 +33,9 @@ const VerifyModal = ({ gameId, Label, setGameId }: any) => {
                 publicSeed: data.publicSeed,
                 _id: data._id,
                 bets: data.players,
-                crashPoint: data.crashPoint,
+                sideBets: data.sideBets || [],
+                winningSides: data.winningSides || [],
+                crashPoint: data.crashPoint ?? 1, // withheld until the round is settled
                 startedAt: data.startedAt
             })
             setVerifyOpen(true)
@@ -88,6 +93,9 @@ const VerifyModal = ({ gameId, Label, setGameId }: any) => {
                             )}x</div>
                         )}
                     </div>
+                    {showGame.winningSides.length > 0 && <div className="flex justify-center mt-1 text-xs uppercase text-stone-300">
+                        Trenball: {showGame.winningSides.join(", ")}
+                    </div>}
                 </>
             }
         </div>
@@ -107,6 +115,7 @@ const VerifyModal = ({ gameId, Label, setGameId }: any) => {
                         <CustomInput disabled={true} value={showGame.publicSeed} type="string" icon={<button onClick={() => copyToClipboard(showGame.publicSeed)} className="px-1 py-2 w-full "></button>} />
                     </> : <>
                         <CurrentBets bets={showGame.bets} />
+                        {showGame.sideBets.length > 0 && <TrenballBets bets={showGame.sideBets} />}
                     </>}
                 </div>
             }
@@ -0,0 +1,87 @@
+'use client';
+
+import { useEffect } from 'react';
+import type { Socket } from 'socket.io-client';
+import { useQubicConnect } from '../context/QubicConnectContext';
+import { uint8ArrayToBase64 } from '../utils';
+
+const tokenKey = (publicKey: string) => `socketAuth:${publicKey}`;
+
+/**
+ * Hook proving the connected wallet to a game socket
+ * The server's challenge is signed once as a zero-amount transaction (never broadcast);
+ * reconnects reuse the token returned with `auth-success`
+ */
+export function useSocketAuth(socket: Socket | null) {
+  const { wallet, getSignedTx } = useQubicConnect();
+  const publicKey = wallet?.publicKey;
+
+  useEffect(() => {
+    if (!socket || !publicKey) return;
+
+    let signing = false;
+
+    const signChallenge = () => {
+      if (signing) return;
+      signing = true;
+
+      socket.emit('auth-challenge', async ({ challenge }: { challenge: string }) => {
+        try {
+          const { QubicTransaction } = await import('@qubic-lib/qubic-ts-library/dist/qubic-types/QubicTransaction');
+          const { DynamicPayload } = await import('@qubic-lib/qubic-ts-library/dist/qubic-types/DynamicPayload');
+
+          const message = new TextEncoder().encode(challenge);
+          const payload = new DynamicPayload(message.length);
+          payload.setPayload(message);
+
+          const tx = new QubicTransaction()
+            .setSourcePublicKey(publicKey)
+            .setDestinationPublicKey(publicKey)
+            .setAmount(0)
+            .setTick(0)
+            .setInputType(0)
+            .setPayload(payload);
+
+          const { tx: signedTx } = await getSignedTx(tx);
+          socket.emit('auth', { signedTx: uint8ArrayToBase64(signedTx) });
+        } catch (error) {
+          console.error('Error signing socket challenge:', error);
+        } finally {
+          signing = false;
+        }
+      });
+    };
+
+    const authenticate = () => {
+      const token = localStorage.getItem(tokenKey(publicKey));
+      if (token) {
+        socket.emit('auth', { token });
+      } else {
+        signChallenge();
+      }
+    };
+
+    const onAuthSuccess = ({ token }: { token: string }) => {
+      localStorage.setItem(tokenKey(publicKey), token);
+    };
+
+    // An expired token falls back to signing; a rejected signature is not retried
+    const onAuthError = () => {
+      if (localStorage.getItem(tokenKey(publicKey))) {
+        localStorage.removeItem(tokenKey(publicKey));
+        signChallenge();
+      }
+    };
+
+    socket.on('connect', authenticate);
+    socket.on('auth-success', onAuthSuccess);
+    socket.on('auth-error', onAuthError);
+    if (socket.connected) authenticate();
+
+    return () => {
+      socket.off('connect', authenticate);
+      socket.off('auth-success', onAuthSuccess);
+      socket.off('auth-error', onAuthError);
+    };
+  }, [socket, publicKey]);
+}
@@ -0,0 +1,5 @@
+// Crash multiplier after `elapsed` ms of a round, matching the server's curve
+// (backend/src/utils/crashCurve.js): e^(rate * ms), rounded down to 2 decimals
+export function crashMultiplier(elapsed: number, growthRate: number): number {
+    return Math.floor(Math.exp(growthRate * Math.max(0, elapsed)) * 100 + 1e-9) / 100;
+}